@@ -24,9 +24,13 @@ const AIManager = (function() {
     const CONFIG = {
         defaultDifficulty: DifficultyLevel.INTERMEDIATE,
         defaultThinkingTime: 1000, // milliseconds
-        enableAIvsAI: true
+        enableAIvsAI: true,
+        drawAcceptThreshold: 25 // Highest evaluation (centipawns) at which an AI accepts a draw
     };
     
+    // Piece values (in pawns) for the material fallback used when no engine can judge a position
+    const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+    
     /**
      * Get difficulty-based prompt for Grok
      * @param {string} difficulty - Difficulty level
@@ -69,9 +73,11 @@ Return only the move in UCI notation (e.g., e2e4). No explanation needed.`;
      * @param {string} fen - Current position in FEN notation
      * @param {string} difficulty - Difficulty level
      * @param {number} thinkingTime - Optional thinking time in milliseconds
+     * @param {object} clock - Optional clock state {wtime, btime, winc, binc} in milliseconds
+     * @param {object} options - Optional {chess960}
      * @returns {Promise<string>} UCI move notation
      */
-    async function getStockfishMove(fen, difficulty, thinkingTime = null) {
+    async function getStockfishMove(fen, difficulty, thinkingTime = null, clock = null, options = {}) {
         try {
             // Ensure Stockfish is initialized
             if (!StockfishEngine.isReady()) {
@@ -81,10 +87,12 @@ Return only the move in UCI notation (e.g., e2e4). No explanation needed.`;
                 }
             }
             
-            const move = await StockfishEngine.getBestMove(fen, difficulty, thinkingTime);
+            const move = await StockfishEngine.getBestMove(fen, difficulty, thinkingTime, clock, options);
             return move;
         } catch (error) {
-            console.error('Stockfish move error:', error);
+            if (!error.cancelled) {
+                console.error('Stockfish move error:', error);
+            }
             throw error;
         }
     }
@@ -94,9 +102,10 @@ Return only the move in UCI notation (e.g., e2e4). No explanation needed.`;
      * @param {string} fen - Current position in FEN notation
      * @param {array} legalMoves - Array of legal moves in UCI format
      * @param {string} difficulty - Difficulty level
-     * @returns {Promise<string>} UCI move notation
+     * @param {object} options - Optional {chess960}
+     * @returns {Promise<string|null>} UCI move notation, or null when Grok gave no move
      */
-    async function getGrokMove(fen, legalMoves, difficulty) {
+    async function getGrokMove(fen, legalMoves, difficulty, options = {}) {
         try {
             // Update Grok configuration with difficulty-specific prompt
             const originalGetBestMove = GrokAI.getBestMove;
@@ -105,7 +114,7 @@ Return only the move in UCI notation (e.g., e2e4). No explanation needed.`;
             const tempBuildPrompt = GrokAI.buildPrompt;
             GrokAI.buildPrompt = (f, m) => buildGrokPrompt(f, m, difficulty);
             
-            const move = await GrokAI.getBestMove(fen, legalMoves);
+            const move = await GrokAI.requestMove(fen, legalMoves, options);
             
             // Restore original buildPrompt
             if (tempBuildPrompt) {
@@ -119,6 +128,38 @@ Return only the move in UCI notation (e.g., e2e4). No explanation needed.`;
         }
     }
     
+    /**
+     * Get a move from the local variant search, for variants Stockfish cannot play
+     * @param {string} fen - Current position in FEN notation
+     * @param {string} difficulty - Difficulty level
+     * @param {number} thinkingTime - Optional thinking time in milliseconds
+     * @param {object} clock - Optional clock state {wtime, btime, winc, binc} in milliseconds
+     * @param {object} options - {variant, variantState}
+     * @returns {Promise<string>} UCI move notation
+     */
+    async function getVariantSearchMove(fen, difficulty, thinkingTime = null, clock = null, options = {}) {
+        let timeLimit = thinkingTime;
+        
+        if (clock) {
+            // Spend about a thirtieth of the remaining time plus the increment
+            const color = fen.split(' ')[1];
+            const remaining = color === 'w' ? clock.wtime : clock.btime;
+            const increment = color === 'w' ? clock.winc : clock.binc;
+            timeLimit = Math.max(100, Math.floor(remaining / 30 + increment / 2));
+        }
+        
+        return VariantSearch.getBestMove(options.variant, fen, options.variantState, { difficulty, timeLimit });
+    }
+    
+    /**
+     * Check whether AI sides need the local variant search
+     * @param {object} options - Game options
+     * @returns {boolean}
+     */
+    function needsVariantSearch(options) {
+        return Boolean(options.variant) && !Variants.get(options.variant).engineCompatible;
+    }
+    
     /**
      * Get best move from specified AI provider
      * @param {object} config - AI configuration
@@ -127,40 +168,146 @@ Return only the move in UCI notation (e.g., e2e4). No explanation needed.`;
      * @param {string} fen - Current position in FEN notation
      * @param {array} legalMoves - Array of legal moves in UCI format
      * @param {number} thinkingTime - Optional thinking time in milliseconds
-     * @returns {Promise<string>} UCI move notation
+     * @param {object} clock - Optional clock state {wtime, btime, winc, binc}; used instead of thinkingTime
+     * @param {object} options - Optional game options: {chess960} for Chess960 games, and
+     *                           {variant, variantState}; variants Stockfish cannot play use the local search
+     * @returns {Promise<string|null>} UCI move notation, or null when the search was cancelled
+     */
+    async function getBestMove(config, fen, legalMoves, thinkingTime = null, clock = null, options = {}) {
+        const reply = await requestMove(config, fen, legalMoves, thinkingTime, clock, options);
+        return reply ? reply.move : null;
+    }
+    
+    /**
+     * Get a move from the specified AI provider, with how it was found; takes the same
+     * arguments as getBestMove
+     * @returns {Promise<object|null>} {move, thinkingTime, isFallback}: UCI move, time taken (ms), and
+     *                                 whether it is a random move played because the provider gave no legal one;
+     *                                 null when the search was cancelled (see cancelPendingMove)
      */
-    async function getBestMove(config, fen, legalMoves, thinkingTime = null) {
+    async function requestMove(config, fen, legalMoves, thinkingTime = null, clock = null, options = {}) {
         const { provider, difficulty = CONFIG.defaultDifficulty } = config;
         
         if (provider === AIProvider.HUMAN) {
             throw new Error('Cannot get move for human player');
         }
         
+        const startedAt = Date.now();
+        const reply = (move, isFallback) => ({ move, thinkingTime: Date.now() - startedAt, isFallback });
+        
         try {
             let move;
             
-            if (provider === AIProvider.STOCKFISH) {
-                move = await getStockfishMove(fen, difficulty, thinkingTime);
+            if (needsVariantSearch(options)) {
+                move = await getVariantSearchMove(fen, difficulty, thinkingTime, clock, options);
+            } else if (provider === AIProvider.STOCKFISH) {
+                move = await getStockfishMove(fen, difficulty, thinkingTime, clock, options);
             } else if (provider === AIProvider.GROK) {
-                move = await getGrokMove(fen, legalMoves, difficulty);
+                move = await getGrokMove(fen, legalMoves, difficulty, options);
             } else {
                 throw new Error(`Unknown AI provider: ${provider}`);
             }
             
             // Validate move
             if (move && legalMoves.includes(move)) {
-                return move;
+                return reply(move, false);
             } else {
-                console.warn(`Invalid move ${move} from ${provider}, using random`);
-                return getRandomMove(legalMoves);
+                console.warn(move ? `Invalid move ${move} from ${provider}, using random` : `No move from ${provider}, using random`);
+                return reply(getRandomMove(legalMoves), true);
             }
         } catch (error) {
+            // A cancelled search is not a failure: nobody wants its move any more
+            if (error.cancelled) {
+                return null;
+            }
             console.error(`Error getting move from ${provider}:`, error);
             // Fallback to random move
-            return getRandomMove(legalMoves);
+            return reply(getRandomMove(legalMoves), true);
         }
     }
     
+    /**
+     * Decide whether an AI player accepts a draw offer
+     * Stockfish judges by its evaluation, Grok is asked directly, and in variants Stockfish
+     * cannot play the local search evaluates the position; if none of them can answer,
+     * the draw is accepted only when the AI is not ahead on material
+     * @param {object} config - AI configuration of the side answering the offer
+     * @param {string} fen - Current position in FEN notation
+     * @param {string} color - Side answering the offer ('w' or 'b')
+     * @param {object} options - Optional game options: {chess960, variant, variantState}
+     * @returns {Promise<boolean>} True if the draw is accepted
+     */
+    async function respondToDrawOffer(config, fen, color, options = {}) {
+        const { provider } = config;
+        
+        try {
+            if (needsVariantSearch(options)) {
+                const score = VariantSearch.evaluatePosition(options.variant, fen, options.variantState);
+                const ownScore = fen.split(' ')[1] === color ? score : -score;
+                return ownScore <= CONFIG.drawAcceptThreshold;
+            }
+            
+            if (provider === AIProvider.STOCKFISH) {
+                const score = await StockfishEngine.evaluate(fen, options);
+                const ownScore = fen.split(' ')[1] === color ? score : negateScore(score);
+                
+                if (ownScore.mate !== null) {
+                    return ownScore.mate < 0;
+                }
+                return ownScore.cp <= CONFIG.drawAcceptThreshold;
+            }
+            
+            if (provider === AIProvider.GROK) {
+                return await GrokAI.respondToDrawOffer(fen, color, options);
+            }
+        } catch (error) {
+            console.error(`Error getting draw decision from ${provider}:`, error);
+        }
+        
+        return getMaterialBalance(fen, color) <= 0;
+    }
+    
+    /**
+     * Flip an engine score to the other side's point of view
+     * @param {object} score - {cp, mate}
+     * @returns {object} Negated score
+     */
+    function negateScore(score) {
+        return {
+            cp: score.cp !== null ? -score.cp : null,
+            mate: score.mate !== null ? -score.mate : null
+        };
+    }
+    
+    /**
+     * Count material from one side's point of view
+     * @param {string} fen - Position in FEN notation
+     * @param {string} color - 'w' or 'b'
+     * @returns {number} Material difference in pawns
+     */
+    function getMaterialBalance(fen, color) {
+        let balance = 0;
+        
+        for (const symbol of fen.split(' ')[0]) {
+            const type = symbol.toLowerCase();
+            if (PIECE_VALUES[type] !== undefined) {
+                const pieceColor = symbol === type ? 'b' : 'w';
+                balance += pieceColor === color ? PIECE_VALUES[type] : -PIECE_VALUES[type];
+            }
+        }
+        
+        return balance;
+    }
+    
+    /**
+     * Cancel any engine or variant search in progress (e.g. after a takeback)
+     * Grok requests cannot be aborted; callers should ignore their late replies
+     */
+    function cancelPendingMove() {
+        StockfishEngine.cancel();
+        VariantSearch.cancel();
+    }
+    
     /**
      * Get a random legal move (fallback)
      * @param {array} legalMoves - Array of legal moves
@@ -294,6 +441,9 @@ Return only the move in UCI notation (e.g., e2e4). No explanation needed.`;
         
         // Core functions
         getBestMove,
+        requestMove,
+        respondToDrawOffer,
+        cancelPendingMove,
         isProviderAvailable,
         
         // Utility functions
@@ -43,20 +43,34 @@ const GrokAI = (function() {
     }
     
     /**
-     * Get the best move from Grok AI
+     * Get the best move from Grok AI, or a random legal move when Grok gives none
      * @param {string} fen - Current position in FEN notation
      * @param {array} legalMoves - Array of legal moves in UCI format
+     * @param {object} options - Optional {chess960} for Chess960 games
      * @returns {Promise<string>} UCI move notation (e.g., 'e2e4')
      */
-    async function getBestMove(fen, legalMoves) {
+    async function getBestMove(fen, legalMoves, options = {}) {
+        const move = await requestMove(fen, legalMoves, options);
+        return move || getRandomMove(legalMoves);
+    }
+    
+    /**
+     * Ask Grok AI for a move, retrying failed requests
+     * @param {string} fen - Current position in FEN notation
+     * @param {array} legalMoves - Array of legal moves in UCI format
+     * @param {object} options - Optional {chess960} for Chess960 games
+     * @returns {Promise<string|null>} UCI move notation, or null when AI is disabled
+     *                                 or no attempt gave a legal move
+     */
+    async function requestMove(fen, legalMoves, options = {}) {
         if (!CONFIG.AI_ENABLED) {
-            console.log('AI is disabled, using random move');
-            return getRandomMove(legalMoves);
+            console.log('AI is disabled');
+            return null;
         }
         
         if (!CONFIG.GROK_API_KEY || CONFIG.GROK_API_KEY === 'your-api-key-here') {
-            console.warn('Grok API key not configured, using random move');
-            return getRandomMove(legalMoves);
+            console.warn('Grok API key not configured');
+            return null;
         }
         
         let lastError = null;
@@ -65,7 +79,7 @@ const GrokAI = (function() {
         for (let attempt = 1; attempt <= CONFIG.MAX_RETRIES; attempt++) {
             try {
                 console.log(`Attempt ${attempt} to get move from Grok AI...`);
-                const move = await callGrokAPI(fen, legalMoves);
+                const move = await callGrokAPI(fen, legalMoves, options);
                 
                 if (move && isValidMove(move, legalMoves)) {
                     console.log(`Grok AI suggests: ${move}`);
@@ -84,21 +98,58 @@ const GrokAI = (function() {
             }
         }
         
-        // Fallback to random move
-        console.warn('All Grok API attempts failed, falling back to random move');
+        console.warn('All Grok API attempts failed');
         console.error('Last error:', lastError);
-        return getRandomMove(legalMoves);
+        return null;
+    }
+    
+    /**
+     * Ask Grok whether to accept a draw offer
+     * @param {string} fen - Current position in FEN notation
+     * @param {string} color - Side answering the offer ('w' or 'b')
+     * @param {object} options - Optional {chess960} for Chess960 games
+     * @returns {Promise<boolean>} True if Grok accepts the draw
+     */
+    async function respondToDrawOffer(fen, color, options = {}) {
+        if (!isConfigured()) {
+            throw new Error('Grok API key not configured');
+        }
+        
+        const side = color === 'w' ? 'White' : 'Black';
+        const content = await sendChatRequest(
+            'You are a chess player deciding whether to accept a draw offer. Accept only if you do not expect to win the position. Always respond with only ACCEPT or DECLINE.',
+            `You are playing ${side}${options.chess960 ? ' in a Chess960 (Fischer Random) game' : ''}. Your opponent offers a draw.
+
+Position (FEN): ${fen}
+
+Reply with ACCEPT or DECLINE.`
+        );
+        
+        return /\baccept/i.test(content) && !/\bdecline/i.test(content);
     }
     
     /**
      * Call the Grok API to get a move
      * @param {string} fen - Current position in FEN notation
      * @param {array} legalMoves - Array of legal moves in UCI format
+     * @param {object} options - Optional {chess960}
      * @returns {Promise<string>} UCI move notation
      */
-    async function callGrokAPI(fen, legalMoves) {
-        const prompt = buildPrompt(fen, legalMoves);
-        
+    async function callGrokAPI(fen, legalMoves, options = {}) {
+        const content = await sendChatRequest(
+            'You are a chess engine. You analyze positions and suggest moves. Always respond with only the move in UCI notation (e.g., e2e4, e7e8q for promotion). No explanations or additional text.',
+            buildPrompt(fen, legalMoves, options)
+        );
+        return parseMove(content);
+    }
+    
+    /**
+     * Send a system and user prompt to the Grok chat completions API
+     * @param {string} systemPrompt - System message
+     * @param {string} prompt - User message
+     * @returns {Promise<string>} Trimmed reply text
+     */
+    async function sendChatRequest(systemPrompt, prompt) {
         const response = await fetch(CONFIG.GROK_API_ENDPOINT, {
             method: 'POST',
             headers: {
@@ -110,7 +161,7 @@ const GrokAI = (function() {
                 messages: [
                     {
                         role: 'system',
-                        content: 'You are a chess engine. You analyze positions and suggest moves. Always respond with only the move in UCI notation (e.g., e2e4, e7e8q for promotion). No explanations or additional text.'
+                        content: systemPrompt
                     },
                     {
                         role: 'user',
@@ -128,25 +179,27 @@ const GrokAI = (function() {
         
         const data = await response.json();
         
-        // Extract move from response
         if (data.choices && data.choices.length > 0) {
-            const content = data.choices[0].message.content.trim();
-            return parseMove(content);
+            return data.choices[0].message.content.trim();
         }
         
-        throw new Error('No move in API response');
+        throw new Error('No reply in API response');
     }
     
     /**
      * Build the prompt for the AI
      * @param {string} fen - Current position in FEN notation
      * @param {array} legalMoves - Array of legal moves
+     * @param {object} options - Optional {chess960}
      * @returns {string} Formatted prompt
      */
-    function buildPrompt(fen, legalMoves) {
+    function buildPrompt(fen, legalMoves, options = {}) {
         const movesStr = legalMoves.slice(0, 50).join(', '); // Limit moves to avoid token limits
+        const variantNote = options.chess960
+            ? '\nThis is a Chess960 (Fischer Random) game. Castling follows Chess960 rules and is written as the king moving onto its own rook (e.g. b1a1).\n'
+            : '';
         return `Analyze this chess position and return the best move.
-
+${variantNote}
 Position (FEN): ${fen}
 
 Available legal moves (UCI format): ${movesStr}
@@ -225,6 +278,8 @@ Return only the best move in UCI notation (e.g., e2e4). No explanation needed.`;
     return {
         configure,
         getBestMove,
+        requestMove,
+        respondToDrawOffer,
         getRandomMove,
         isConfigured,
         CONFIG // Expose for debugging/configuration
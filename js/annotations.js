@@ -0,0 +1,152 @@
+/**
+ * annotations.js - Board Annotations
+ * Arrows and marked squares drawn on a position, and their PGN form ([%cal] and [%csl] comments)
+ *
+ * Annotations are {arrows: [{from, to, color}], squares: [{square, color}]}, with colors given
+ * by their PGN letters: G(reen), R(ed), Y(ellow) and B(lue).
+ */
+
+const Annotations = (function() {
+    'use strict';
+    
+    // Display colors by PGN letter
+    const COLORS = {
+        G: '#15781b',
+        R: '#882020',
+        Y: '#e68f00',
+        B: '#003088'
+    };
+    
+    /**
+     * Create empty annotations
+     * @returns {object}
+     */
+    function create() {
+        return { arrows: [], squares: [] };
+    }
+    
+    /**
+     * Check whether annotations draw nothing
+     * @param {object} annotations - Annotations, or undefined
+     * @returns {boolean}
+     */
+    function isEmpty(annotations) {
+        return !annotations || (annotations.arrows.length === 0 && annotations.squares.length === 0);
+    }
+    
+    /**
+     * Pick the color for a drawing gesture from its modifier keys, as most chess sites do:
+     * green, Shift for red, Alt for blue, Shift+Alt for yellow
+     * @param {MouseEvent} event - Pointer event of the gesture
+     * @returns {string} Color letter
+     */
+    function getColorForEvent(event) {
+        if (event.shiftKey && event.altKey) return 'Y';
+        if (event.shiftKey) return 'R';
+        if (event.altKey) return 'B';
+        return 'G';
+    }
+    
+    /**
+     * Add an arrow, recolor it, or remove it when drawn again in the same color
+     * @param {object} annotations - Current annotations
+     * @param {string} from - Start square
+     * @param {string} to - End square
+     * @param {string} color - Color letter
+     * @returns {object} New annotations
+     */
+    function toggleArrow(annotations, from, to, color) {
+        const existing = annotations.arrows.find(arrow => arrow.from === from && arrow.to === to);
+        const arrows = annotations.arrows.filter(arrow => arrow !== existing);
+        
+        if (!existing || existing.color !== color) {
+            arrows.push({ from, to, color });
+        }
+        return { arrows, squares: annotations.squares.slice() };
+    }
+    
+    /**
+     * Mark a square, recolor its mark, or remove it when marked again in the same color
+     * @param {object} annotations - Current annotations
+     * @param {string} square - Square name
+     * @param {string} color - Color letter
+     * @returns {object} New annotations
+     */
+    function toggleSquare(annotations, square, color) {
+        const existing = annotations.squares.find(mark => mark.square === square);
+        const squares = annotations.squares.filter(mark => mark !== existing);
+        
+        if (!existing || existing.color !== color) {
+            squares.push({ square, color });
+        }
+        return { arrows: annotations.arrows.slice(), squares };
+    }
+    
+    /**
+     * Write annotations as PGN comment commands
+     * @param {object} annotations - Annotations, or undefined
+     * @returns {string} E.g. '[%csl Gd4] [%cal Ge2e4,Rg8f6]', or '' when there are none
+     */
+    function toPgn(annotations) {
+        if (isEmpty(annotations)) {
+            return '';
+        }
+        
+        const commands = [];
+        if (annotations.squares.length > 0) {
+            commands.push(`[%csl ${annotations.squares.map(mark => mark.color + mark.square).join(',')}]`);
+        }
+        if (annotations.arrows.length > 0) {
+            commands.push(`[%cal ${annotations.arrows.map(arrow => arrow.color + arrow.from + arrow.to).join(',')}]`);
+        }
+        return commands.join(' ');
+    }
+    
+    /**
+     * Read the annotations in a PGN comment
+     * @param {string} comment - Comment text, without braces
+     * @returns {object} Annotations; empty when the comment has none
+     */
+    function fromPgn(comment) {
+        const annotations = create();
+        const commandPattern = /\[%(csl|cal)\s+([^\]]*)\]/g;
+        let command;
+        
+        while ((command = commandPattern.exec(comment)) !== null) {
+            command[2].split(',').map(item => item.trim()).forEach(item => {
+                const square = command[1] === 'csl' && item.match(/^([GRYB])([a-h][1-8])$/);
+                const arrow = command[1] === 'cal' && item.match(/^([GRYB])([a-h][1-8])([a-h][1-8])$/);
+                
+                if (square) {
+                    annotations.squares.push({ square: square[2], color: square[1] });
+                } else if (arrow) {
+                    annotations.arrows.push({ from: arrow[2], to: arrow[3], color: arrow[1] });
+                }
+            });
+        }
+        
+        return annotations;
+    }
+    
+    /**
+     * Remove annotation commands from a PGN comment, leaving its text
+     * @param {string} comment - Comment text
+     * @returns {string}
+     */
+    function stripPgn(comment) {
+        return comment.replace(/\[%(csl|cal)\s+[^\]]*\]/g, '').replace(/\s+/g, ' ').trim();
+    }
+    
+    // Public API
+    return {
+        COLORS,
+        create,
+        isEmpty,
+        getColorForEvent,
+        toggleArrow,
+        toggleSquare,
+        toPgn,
+        fromPgn,
+        stripPgn
+    };
+})();
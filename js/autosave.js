@@ -0,0 +1,65 @@
+/**
+ * autosave.js - Saved Game
+ * Keeps the game in progress in localStorage, so it can be resumed after a reload or a closed tab
+ *
+ * The saved game is a snapshot from GameController.getSnapshot(). Snapshots carry a version,
+ * and ones written in another format are ignored rather than resumed half-way.
+ */
+
+const Autosave = (function() {
+    'use strict';
+    
+    const STORAGE_KEY = 'chess.savedGame';
+    
+    // Format of the snapshots written by this version
+    const VERSION = 1;
+    
+    /**
+     * Save a game, replacing the one saved before
+     * @param {object} snapshot - Game snapshot
+     * @returns {boolean} True if saved
+     */
+    function save(snapshot) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...snapshot, version: VERSION, savedAt: Date.now() }));
+            return true;
+        } catch (error) {
+            console.warn('Could not save the game:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Load the saved game
+     * @returns {object|null} Snapshot with its savedAt time, or null when there is none that can be resumed
+     */
+    function load() {
+        try {
+            const snapshot = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (snapshot && snapshot.version === VERSION && Array.isArray(snapshot.moveHistory) && snapshot.gameMode) {
+                return snapshot;
+            }
+        } catch (error) {
+            // Storage disabled or unreadable: nothing to resume
+        }
+        return null;
+    }
+    
+    /**
+     * Forget the saved game
+     */
+    function clear() {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            // Storage disabled: nothing was saved
+        }
+    }
+    
+    // Public API
+    return {
+        save,
+        load,
+        clear
+    };
+})();
@@ -0,0 +1,592 @@
+/**
+ * board-editor.js - Board Editor Module
+ * Lets the user set up a position on the board before starting a game
+ */
+
+const BoardEditor = (function() {
+    'use strict';
+    
+    // Palette order for each color
+    const PALETTE_PIECES = ['k', 'q', 'r', 'b', 'n', 'p'];
+    
+    // Castling rights in FEN order, with the king and rook squares they require
+    const CASTLING_RIGHTS = [
+        { right: 'K', king: 'e1', rook: 'h1', color: 'w' },
+        { right: 'Q', king: 'e1', rook: 'a1', color: 'w' },
+        { right: 'k', king: 'e8', rook: 'h8', color: 'b' },
+        { right: 'q', king: 'e8', rook: 'a8', color: 'b' }
+    ];
+    
+    // Pointer travel (px) before a press turns into a drag
+    const DRAG_THRESHOLD = 5;
+    
+    let position = null;       // Chess.js instance used as a piece container
+    let sideToMove = 'w';
+    let castlingRights = { K: true, Q: true, k: true, q: true };
+    let enPassant = '-';
+    let isFlipped = false;
+    let selectedTool = null;   // {type, color}, 'erase', or null to move pieces
+    let selectedSquare = null; // Square picked up by click-to-move
+    let drag = null;           // Active pointer drag
+    let suppressClick = false;
+    let onStart = null;
+    let onCancel = null;
+    let listenersAttached = false;
+    let active = false;
+    
+    /**
+     * Open the editor on the main board
+     * @param {string} fen - Position to start editing from
+     * @param {object} handlers - {onStart(fen), onCancel()}
+     */
+    function open(fen, handlers = {}) {
+        onStart = handlers.onStart || null;
+        onCancel = handlers.onCancel || null;
+        active = true;
+        selectedTool = null;
+        selectedSquare = null;
+        
+        position = new Chess();
+        if (!loadFen(fen)) {
+            loadFen(Position.DEFAULT_FEN);
+        }
+        
+        attachListeners();
+        buildPalette();
+        document.body.classList.add('board-editing');
+        
+        ChessBoard.init('chess-board', handleSquareClick, isFlipped);
+        ChessBoard.setEditorMode(true);
+        update();
+    }
+    
+    /**
+     * Close the editor, leaving the board to the next game
+     */
+    function close() {
+        active = false;
+        endDrag();
+        document.body.classList.remove('board-editing');
+        ChessBoard.setEditorMode(false);
+    }
+    
+    /**
+     * Check if the editor is open
+     * @returns {boolean}
+     */
+    function isActive() {
+        return active;
+    }
+    
+    /**
+     * Load a FEN into the editor
+     * @param {string} fen - FEN string
+     * @returns {boolean} True if the FEN could be read
+     */
+    function loadFen(fen) {
+        const normalized = Position.normalizeFen(fen);
+        if (!normalized || !new Chess().validate_fen(normalized).valid) {
+            return false;
+        }
+        
+        const [, turn, castling, ep] = normalized.split(' ');
+        position.load(normalized);
+        sideToMove = turn;
+        castlingRights = { K: false, Q: false, k: false, q: false };
+        castling.replace('-', '').split('').forEach(right => {
+            castlingRights[right] = true;
+        });
+        enPassant = ep;
+        selectedSquare = null;
+        return true;
+    }
+    
+    /**
+     * Build the FEN for the position being edited
+     * @returns {string} FEN string
+     */
+    function getFen() {
+        const placement = position.fen().split(' ')[0];
+        const castling = CASTLING_RIGHTS
+            .filter(({ right }) => castlingRights[right] && isCastlingPossible(right))
+            .map(({ right }) => right)
+            .join('') || '-';
+        const ep = getEnPassantSquares().includes(enPassant) ? enPassant : '-';
+        
+        return `${placement} ${sideToMove} ${castling} ${ep} 0 1`;
+    }
+    
+    /**
+     * Handle a click on a board square
+     * @param {string} square - Square name
+     */
+    function handleSquareClick(square) {
+        if (suppressClick) {
+            suppressClick = false;
+            return;
+        }
+        
+        if (selectedTool === 'erase') {
+            position.remove(square);
+        } else if (selectedTool) {
+            const existing = position.get(square);
+            if (existing && existing.type === selectedTool.type && existing.color === selectedTool.color) {
+                position.remove(square);
+            } else {
+                placePiece(selectedTool, square);
+            }
+        } else if (selectedSquare) {
+            if (selectedSquare !== square) {
+                movePiece(selectedSquare, square);
+            }
+            selectedSquare = null;
+        } else if (position.get(square)) {
+            selectedSquare = square;
+        }
+        
+        update();
+    }
+    
+    /**
+     * Put a piece on a square, replacing whatever stood there
+     * @param {object} piece - {type, color}
+     * @param {string} square - Square name
+     */
+    function placePiece(piece, square) {
+        // Each side has one king, so placing a king moves it
+        if (piece.type === 'k') {
+            const kingSquare = findKing(piece.color);
+            if (kingSquare) {
+                position.remove(kingSquare);
+            }
+        }
+        
+        position.remove(square);
+        position.put({ type: piece.type, color: piece.color }, square);
+    }
+    
+    /**
+     * Move a piece between two squares
+     * @param {string} from - Source square
+     * @param {string} to - Target square
+     */
+    function movePiece(from, to) {
+        const piece = position.get(from);
+        if (!piece) return;
+        
+        position.remove(from);
+        placePiece(piece, to);
+    }
+    
+    /**
+     * Find the king of a color
+     * @param {string} color - 'w' or 'b'
+     * @returns {string|null} Square name
+     */
+    function findKing(color) {
+        const files = 'abcdefgh';
+        const board = position.board();
+        
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = board[row][col];
+                if (piece && piece.type === 'k' && piece.color === color) {
+                    return files[col] + (8 - row);
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Check whether the king and rook of a castling right are on their home squares
+     * @param {string} right - 'K', 'Q', 'k' or 'q'
+     * @returns {boolean}
+     */
+    function isCastlingPossible(right) {
+        const { king, rook, color } = CASTLING_RIGHTS.find(entry => entry.right === right);
+        const kingPiece = position.get(king);
+        const rookPiece = position.get(rook);
+        
+        return Boolean(kingPiece && kingPiece.type === 'k' && kingPiece.color === color &&
+            rookPiece && rookPiece.type === 'r' && rookPiece.color === color);
+    }
+    
+    /**
+     * List the squares that can be en passant targets for the side to move
+     * @returns {array} Square names
+     */
+    function getEnPassantSquares() {
+        const movedColor = sideToMove === 'w' ? 'b' : 'w';
+        const pawnRank = sideToMove === 'w' ? '5' : '4';
+        const targetRank = sideToMove === 'w' ? '6' : '3';
+        const originRank = sideToMove === 'w' ? '7' : '2';
+        
+        return 'abcdefgh'.split('').filter(file => {
+            const pawn = position.get(file + pawnRank);
+            return pawn && pawn.type === 'p' && pawn.color === movedColor &&
+                !position.get(file + targetRank) && !position.get(file + originRank);
+        }).map(file => file + targetRank);
+    }
+    
+    /**
+     * Redraw the board and every editor control
+     */
+    function update() {
+        ChessBoard.render(position);
+        ChessBoard.setSelectedSquare(selectedSquare, []);
+        updatePalette();
+        updateOptions();
+        updateStatus();
+    }
+    
+    /**
+     * Build the piece palette
+     */
+    function buildPalette() {
+        const palette = document.getElementById('editor-palette');
+        if (!palette) return;
+        
+        const rows = ['w', 'b'].map(color => {
+            const buttons = PALETTE_PIECES.map(type =>
+                `<button type="button" class="palette-piece" data-type="${type}" data-color="${color}" ` +
+                `aria-label="${ChessBoard.describePiece({ type, color })}">` +
+                `${ChessBoard.renderPiece({ type, color })}</button>`
+            ).join('');
+            return `<div class="palette-row">${buttons}</div>`;
+        }).join('');
+        
+        palette.innerHTML = rows +
+            '<div class="palette-row palette-tools">' +
+            '<button type="button" class="palette-tool" data-tool="move">✋ Move</button>' +
+            '<button type="button" class="palette-tool" data-tool="erase">✖ Erase</button>' +
+            '</div>';
+        
+        palette.querySelectorAll('.palette-piece').forEach(button => {
+            button.addEventListener('click', () => {
+                selectTool({ type: button.dataset.type, color: button.dataset.color });
+            });
+            button.addEventListener('pointerdown', event => {
+                startDrag(event, { type: button.dataset.type, color: button.dataset.color }, null);
+            });
+        });
+        
+        palette.querySelectorAll('.palette-tool').forEach(button => {
+            button.addEventListener('click', () => {
+                selectTool(button.dataset.tool === 'erase' ? 'erase' : null);
+            });
+        });
+    }
+    
+    /**
+     * Select a palette tool
+     * @param {object|string|null} tool - Piece to place, 'erase', or null to move pieces
+     */
+    function selectTool(tool) {
+        selectedTool = tool;
+        selectedSquare = null;
+        update();
+    }
+    
+    /**
+     * Highlight the selected palette tool
+     */
+    function updatePalette() {
+        document.querySelectorAll('#editor-palette .palette-piece').forEach(button => {
+            const isSelected = selectedTool !== null && typeof selectedTool === 'object' &&
+                selectedTool.type === button.dataset.type && selectedTool.color === button.dataset.color;
+            button.classList.toggle('selected', isSelected);
+        });
+        
+        document.querySelectorAll('#editor-palette .palette-tool').forEach(button => {
+            const tool = button.dataset.tool === 'erase' ? 'erase' : null;
+            button.classList.toggle('selected', selectedTool === tool);
+        });
+    }
+    
+    /**
+     * Sync the side-to-move, castling, en passant and FEN controls with the position
+     */
+    function updateOptions() {
+        const sideSelect = document.getElementById('editor-side-to-move');
+        if (sideSelect) {
+            sideSelect.value = sideToMove;
+        }
+        
+        document.querySelectorAll('#board-editor-panel [data-castling]').forEach(checkbox => {
+            const right = checkbox.dataset.castling;
+            const possible = isCastlingPossible(right);
+            checkbox.disabled = !possible;
+            checkbox.checked = possible && castlingRights[right];
+        });
+        
+        const epSelect = document.getElementById('editor-en-passant');
+        if (epSelect) {
+            const squares = getEnPassantSquares();
+            if (!squares.includes(enPassant)) {
+                enPassant = '-';
+            }
+            epSelect.innerHTML = ['-', ...squares].map(square =>
+                `<option value="${square}">${square === '-' ? 'None' : square}</option>`
+            ).join('');
+            epSelect.value = enPassant;
+            epSelect.disabled = squares.length === 0;
+        }
+        
+        const fenInput = document.getElementById('editor-fen');
+        if (fenInput && document.activeElement !== fenInput) {
+            fenInput.value = getFen();
+        }
+    }
+    
+    /**
+     * Show whether the position can be played, and enable the start button accordingly
+     */
+    function updateStatus() {
+        const validation = Position.validateFen(getFen());
+        const status = document.getElementById('editor-status');
+        const startBtn = document.getElementById('editor-start-btn');
+        
+        if (status) {
+            status.innerHTML = validation.valid
+                ? 'Position is legal.'
+                : validation.errors.map(error => `<div>${error}</div>`).join('');
+            status.classList.toggle('valid', validation.valid);
+        }
+        if (startBtn) {
+            startBtn.disabled = !validation.valid;
+        }
+    }
+    
+    /**
+     * Show a message in the status area
+     * @param {string} message - Message text
+     */
+    function showStatusError(message) {
+        const status = document.getElementById('editor-status');
+        if (status) {
+            status.textContent = message;
+            status.classList.remove('valid');
+        }
+    }
+    
+    /**
+     * Begin a possible drag from the palette or the board
+     * @param {PointerEvent} event - Pointer down event
+     * @param {object} piece - {type, color} being dragged
+     * @param {string|null} fromSquare - Board square the piece is lifted from, or null for the palette
+     */
+    function startDrag(event, piece, fromSquare) {
+        if (!active || event.button !== 0) return;
+        
+        drag = {
+            piece,
+            fromSquare,
+            startX: event.clientX,
+            startY: event.clientY,
+            ghost: null
+        };
+        
+        document.addEventListener('pointermove', handlePointerMove);
+        document.addEventListener('pointerup', handlePointerUp);
+        document.addEventListener('pointercancel', endDrag);
+    }
+    
+    /**
+     * Start dragging a piece lifted from the board
+     * @param {PointerEvent} event - Pointer down event
+     */
+    function handleBoardPointerDown(event) {
+        if (!active || selectedTool === 'erase') return;
+        
+        const squareElement = event.target.closest('.square');
+        const piece = squareElement && position.get(squareElement.dataset.square);
+        if (piece) {
+            startDrag(event, piece, squareElement.dataset.square);
+        }
+    }
+    
+    /**
+     * Move the dragged piece with the pointer
+     * @param {PointerEvent} event - Pointer move event
+     */
+    function handlePointerMove(event) {
+        if (!drag) return;
+        
+        if (!drag.ghost) {
+            const distance = Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY);
+            if (distance < DRAG_THRESHOLD) return;
+            
+            drag.ghost = document.createElement('div');
+            drag.ghost.className = 'editor-drag-piece';
+            drag.ghost.innerHTML = ChessBoard.renderPiece(drag.piece);
+            document.body.appendChild(drag.ghost);
+        }
+        
+        event.preventDefault();
+        drag.ghost.style.left = `${event.clientX}px`;
+        drag.ghost.style.top = `${event.clientY}px`;
+    }
+    
+    /**
+     * Drop the dragged piece on the square under the pointer
+     * @param {PointerEvent} event - Pointer up event
+     */
+    function handlePointerUp(event) {
+        if (!drag) return;
+        
+        const { piece, fromSquare, ghost } = drag;
+        endDrag();
+        
+        // A press without movement is a click, handled by the click listeners
+        if (!ghost) return;
+        
+        const target = ChessBoard.getSquareAtPoint(event.clientX, event.clientY);
+        if (fromSquare) {
+            if (!target) {
+                // Dragging a piece off the board removes it
+                position.remove(fromSquare);
+            } else if (target !== fromSquare) {
+                movePiece(fromSquare, target);
+            }
+        } else if (target) {
+            placePiece(piece, target);
+        }
+        
+        // The browser follows a drag within one square with a click on it
+        suppressClick = target !== null;
+        setTimeout(() => {
+            suppressClick = false;
+        }, 0);
+        
+        selectedSquare = null;
+        update();
+    }
+    
+    /**
+     * Stop tracking the pointer and remove the drag image
+     */
+    function endDrag() {
+        if (drag && drag.ghost) {
+            drag.ghost.remove();
+        }
+        drag = null;
+        
+        document.removeEventListener('pointermove', handlePointerMove);
+        document.removeEventListener('pointerup', handlePointerUp);
+        document.removeEventListener('pointercancel', endDrag);
+    }
+    
+    /**
+     * Attach listeners to the editor controls
+     */
+    function attachListeners() {
+        if (listenersAttached) return;
+        
+        const boardElement = document.getElementById('chess-board');
+        if (boardElement) {
+            boardElement.addEventListener('pointerdown', handleBoardPointerDown);
+        }
+        
+        const sideSelect = document.getElementById('editor-side-to-move');
+        if (sideSelect) {
+            sideSelect.addEventListener('change', () => {
+                sideToMove = sideSelect.value;
+                update();
+            });
+        }
+        
+        document.querySelectorAll('#board-editor-panel [data-castling]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                castlingRights[checkbox.dataset.castling] = checkbox.checked;
+                update();
+            });
+        });
+        
+        const epSelect = document.getElementById('editor-en-passant');
+        if (epSelect) {
+            epSelect.addEventListener('change', () => {
+                enPassant = epSelect.value;
+                update();
+            });
+        }
+        
+        const fenInput = document.getElementById('editor-fen');
+        if (fenInput) {
+            fenInput.addEventListener('change', () => {
+                if (loadFen(fenInput.value)) {
+                    update();
+                } else {
+                    showStatusError('That FEN could not be read.');
+                }
+            });
+        }
+        
+        const clearBtn = document.getElementById('editor-clear-btn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                position.clear();
+                selectedSquare = null;
+                enPassant = '-';
+                update();
+            });
+        }
+        
+        const resetBtn = document.getElementById('editor-reset-btn');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                loadFen(Position.DEFAULT_FEN);
+                update();
+            });
+        }
+        
+        const flipBtn = document.getElementById('editor-flip-btn');
+        if (flipBtn) {
+            flipBtn.addEventListener('click', () => {
+                ChessBoard.flip();
+                isFlipped = ChessBoard.getFlipState();
+                update();
+            });
+        }
+        
+        const startBtn = document.getElementById('editor-start-btn');
+        if (startBtn) {
+            startBtn.addEventListener('click', startGame);
+        }
+        
+        const cancelBtn = document.getElementById('editor-cancel-btn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => {
+                close();
+                if (onCancel) {
+                    onCancel();
+                }
+            });
+        }
+        
+        listenersAttached = true;
+    }
+    
+    /**
+     * Validate the position and hand it to the start handler, which closes the editor once the game starts
+     */
+    function startGame() {
+        const validation = Position.validateFen(getFen());
+        if (!validation.valid) {
+            updateStatus();
+            return;
+        }
+        
+        if (onStart) {
+            onStart(validation.fen);
+        }
+    }
+    
+    // Public API
+    return {
+        open,
+        close,
+        isActive,
+        getFen
+    };
+})();
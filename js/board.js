@@ -12,58 +12,87 @@ const ChessBoard = (function() {
         'P': '♙', 'R': '♖', 'N': '♘', 'B': '♗', 'Q': '♕', 'K': '♔'
     };
     
-    /* 
-     * Future: To use image-based pieces
-     * 
-     * 1. Create images in assets/pieces/ directory following naming convention:
-     *    - white-king.png, white-queen.png, white-rook.png, etc.
-     *    - black-king.png, black-queen.png, black-rook.png, etc.
-     * 
-     * 2. Replace PIECES object with:
-     *    const PIECE_IMAGES = {
-     *        'p': 'assets/pieces/black-pawn.png',
-     *        'r': 'assets/pieces/black-rook.png',
-     *        'n': 'assets/pieces/black-knight.png',
-     *        'b': 'assets/pieces/black-bishop.png',
-     *        'q': 'assets/pieces/black-queen.png',
-     *        'k': 'assets/pieces/black-king.png',
-     *        'P': 'assets/pieces/white-pawn.png',
-     *        'R': 'assets/pieces/white-rook.png',
-     *        'N': 'assets/pieces/white-knight.png',
-     *        'B': 'assets/pieces/white-bishop.png',
-     *        'Q': 'assets/pieces/white-queen.png',
-     *        'K': 'assets/pieces/white-king.png'
-     *    };
-     * 
-     * 3. Update renderPiece() function to create <img> elements
-     */
+    // Pieces offered in the promotion picker, nearest the promotion square first
+    const PROMOTION_PIECES = ['q', 'n', 'r', 'b'];
+    
+    const PIECE_NAMES = {
+        'p': 'Pawn', 'n': 'Knight', 'b': 'Bishop', 'r': 'Rook', 'q': 'Queen', 'k': 'King'
+    };
+    
+    // Pointer travel (px) before a press on a piece turns into a drag
+    const DRAG_THRESHOLD = 5;
+    
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    
+    // Arrow sizes, in squares
+    const ARROW_WIDTH = 0.16;
+    const ARROW_HEAD_LENGTH = 0.4;
+    const ARROW_HEAD_WIDTH = 0.45;
     
     let boardElement;
     let onSquareClick;
     let selectedSquare = null;
     let legalMoves = [];
+    let premoves = [];         // Queued premoves {from, to}, highlighted until they are played
+    let markers = { lastMove: null, check: null, hanging: [] }; // Highlights of the shown position
     let isFlipped = false;
+    let promotionOverlay = null;
+    let promotionKeyHandler = null;
+    let boardHandlers = null;  // Drag and right-click handlers from init, or null
+    let drag = null;           // Active pointer drag
+    let suppressClick = false;
+    let focusSquare = null;    // Square reached with Tab; the arrow keys move on from it
+    let annotations = Annotations.create(); // Arrows and marked squares of the shown position
+    let annotationLayer = null; // SVG the annotations are drawn in
+    let annotationGesture = null; // Arrow or mark being drawn with the right button
+    let coordinates = 'inside'; // Where file and rank labels go: 'inside', 'outside' or 'none'
+    let dropSquare = null;     // Square a piece is being dropped on; the piece is already there, so it does not slide
     
     /**
      * Initialize the chess board
      * @param {string} containerId - ID of the container element
      * @param {function} clickHandler - Function to call when a square is clicked
      * @param {boolean} flipInitial - Whether to flip the board initially (for black player)
+     * @param {object} handlers - Optional handlers:
+     *   onDragStart(square) returns whether the piece on the square may be dragged,
+     *   onDrop(from, to) gets the square the piece was dropped on, or null when dropped off the board,
+     *   onRightClick(square) is called on a right click, which then opens no context menu,
+     *   onAnnotate(annotations) gets the annotations after the user drew or cleared some
      */
-    function init(containerId, clickHandler, flipInitial = false) {
+    function init(containerId, clickHandler, flipInitial = false, handlers = null) {
         boardElement = document.getElementById(containerId);
         onSquareClick = clickHandler;
+        boardHandlers = handlers;
         isFlipped = flipInitial;
+        selectedSquare = null;
+        legalMoves = [];
+        premoves = [];
+        markers = { lastMove: null, check: null, hanging: [] };
+        focusSquare = null;
+        annotations = Annotations.create();
+        boardElement.classList.remove('editor-mode');
+        boardElement.setAttribute('role', 'grid');
+        boardElement.setAttribute('aria-label', 'Chess board');
         createBoard();
     }
     
     /**
      * Create the 8x8 chess board
+     * Squares form an ARIA grid in rows as seen on the screen, with one square in the tab order
      */
     function createBoard() {
+        hidePromotionPicker();
+        endDrag();
+        endAnnotationGesture();
+        const hadFocus = boardElement.contains(document.activeElement);
         boardElement.innerHTML = '';
         
         for (let row = 0; row < 8; row++) {
+            const rowElement = document.createElement('div');
+            rowElement.className = 'board-row';
+            rowElement.setAttribute('role', 'row');
+            boardElement.appendChild(rowElement);
+            
             for (let col = 0; col < 8; col++) {
                 const square = document.createElement('div');
                 // When not flipped (white's perspective): row 0 = rank 8, row 7 = rank 1
@@ -72,28 +101,164 @@ const ChessBoard = (function() {
                 const file = String.fromCharCode(97 + (isFlipped ? 7 - col : col)); // a-h
                 const squareName = file + rank;
                 
-                // Color pattern remains consistent
-                const isLightSquare = (row + col) % 2 === 1;
+                // Color pattern remains consistent, with a dark square in the bottom-left corner (a1, or h8 flipped)
+                const isLightSquare = (row + col) % 2 === 0;
                 square.className = 'square ' + (isLightSquare ? 'light' : 'dark');
                 square.dataset.square = squareName;
+                square.setAttribute('role', 'gridcell');
+                square.tabIndex = -1;
                 
                 square.addEventListener('click', () => {
-                    if (onSquareClick) {
+                    if (onSquareClick && !suppressClick) {
                         onSquareClick(squareName);
                     }
                 });
+                square.addEventListener('pointerdown', event => handlePointerDown(event, squareName));
+                square.addEventListener('contextmenu', event => {
+                    if (boardHandlers && (boardHandlers.onRightClick || boardHandlers.onAnnotate)) {
+                        event.preventDefault();
+                    }
+                    if (boardHandlers && boardHandlers.onRightClick) {
+                        boardHandlers.onRightClick(squareName);
+                    }
+                });
+                square.addEventListener('keydown', event => handleSquareKeyDown(event, squareName));
+                square.addEventListener('focus', () => setFocusSquare(squareName));
                 
-                boardElement.appendChild(square);
+                rowElement.appendChild(square);
             }
         }
+        
+        annotationLayer = createSvgElement('svg', {
+            class: 'board-annotations',
+            viewBox: '0 0 8 8',
+            'aria-hidden': 'true'
+        });
+        boardElement.appendChild(annotationLayer);
+        drawAnnotations();
+        drawCoordinates();
+        
+        setFocusSquare(focusSquare || (isFlipped ? 'h8' : 'a1'));
+        updateLabels();
+        if (hadFocus) {
+            getSquareElement(focusSquare).focus();
+        }
+    }
+    
+    /**
+     * Label the files and ranks along the bottom and left edges of the board as it is shown,
+     * either in the corners of the edge squares or outside the board
+     */
+    function drawCoordinates() {
+        const existing = boardElement.querySelector('.board-coordinates');
+        if (existing) {
+            existing.remove();
+        }
+        boardElement.classList.toggle('coords-inside', coordinates === 'inside');
+        boardElement.classList.toggle('coords-outside', coordinates === 'outside');
+        if (coordinates === 'none') return;
+        
+        const layer = document.createElement('div');
+        layer.className = 'board-coordinates';
+        layer.setAttribute('aria-hidden', 'true');
+        
+        for (let i = 0; i < 8; i++) {
+            const file = document.createElement('span');
+            file.className = 'coord coord-file ' + ((7 + i) % 2 === 0 ? 'on-light' : 'on-dark');
+            file.style.left = `${i * 12.5}%`;
+            file.textContent = String.fromCharCode(97 + (isFlipped ? 7 - i : i));
+            layer.appendChild(file);
+            
+            const rank = document.createElement('span');
+            rank.className = 'coord coord-rank ' + (i % 2 === 0 ? 'on-light' : 'on-dark');
+            rank.style.top = `${i * 12.5}%`;
+            rank.textContent = isFlipped ? i + 1 : 8 - i;
+            layer.appendChild(rank);
+        }
+        
+        boardElement.appendChild(layer);
+    }
+    
+    /**
+     * Set where the file and rank labels go
+     * @param {string} placement - 'inside' (in the edge squares), 'outside' (around the board) or 'none'
+     */
+    function setCoordinates(placement) {
+        coordinates = placement;
+        if (boardElement) {
+            drawCoordinates();
+        }
+    }
+    
+    /**
+     * Get the element of a square
+     * @param {string} square - Square name
+     * @returns {Element|null}
+     */
+    function getSquareElement(square) {
+        return boardElement.querySelector(`[data-square="${square}"]`);
+    }
+    
+    /**
+     * Make a square the one the board is tabbed to
+     * @param {string} square - Square name
+     */
+    function setFocusSquare(square) {
+        const previous = focusSquare && getSquareElement(focusSquare);
+        if (previous) {
+            previous.tabIndex = -1;
+        }
+        focusSquare = square;
+        getSquareElement(square).tabIndex = 0;
+    }
+    
+    /**
+     * Handle keys on a focused square: arrow keys move around the board as it is shown,
+     * Enter and Space act like a click
+     * @param {KeyboardEvent} event - Key down event
+     * @param {string} square - Square name
+     */
+    function handleSquareKeyDown(event, square) {
+        const up = isFlipped ? -1 : 1;
+        const steps = {
+            ArrowUp: [0, up],
+            ArrowDown: [0, -up],
+            ArrowLeft: [-up, 0],
+            ArrowRight: [up, 0]
+        };
+        
+        if (steps[event.key]) {
+            const file = square.charCodeAt(0) - 97 + steps[event.key][0];
+            const rank = parseInt(square[1], 10) + steps[event.key][1];
+            if (file >= 0 && file <= 7 && rank >= 1 && rank <= 8) {
+                const target = String.fromCharCode(97 + file) + rank;
+                setFocusSquare(target);
+                getSquareElement(target).focus();
+            }
+        } else if (event.key === 'Enter' || event.key === ' ') {
+            if (onSquareClick) {
+                onSquareClick(square);
+            }
+        } else {
+            return;
+        }
+        
+        // Keep the page's own arrow key shortcuts out of board navigation
+        event.preventDefault();
+        event.stopPropagation();
     }
     
     /**
      * Render the current board position
      * @param {object} game - Chess.js game instance
+     * @param {number} animationDuration - Time (ms) for pieces to slide from where they were shown;
+     *   0 to place them at once
      */
-    function render(game) {
+    function render(game, animationDuration = 0) {
         const board = game.board();
+        const previous = animationDuration > 0 && !prefersReducedMotion() ? getShownPieces() : null;
+        endDrag();
+        boardElement.querySelectorAll('.square.animating').forEach(square => square.classList.remove('animating'));
         
         // Clear all squares first
         const squares = boardElement.querySelectorAll('.square');
@@ -110,33 +275,131 @@ const ChessBoard = (function() {
             
             if (piece) {
                 square.innerHTML = renderPiece(piece);
+                square.dataset.piece = piece.color + piece.type;
             } else {
                 square.innerHTML = '';
+                delete square.dataset.piece;
             }
         });
         
+        if (previous) {
+            animatePieces(previous, getShownPieces(), animationDuration);
+        }
         updateHighlights();
     }
     
     /**
-     * Render a chess piece
+     * Get the pieces on the board as shown
+     * @returns {object} Piece codes (color and type, e.g. 'wn') by square
+     */
+    function getShownPieces() {
+        const pieces = {};
+        boardElement.querySelectorAll('.square[data-piece]').forEach(square => {
+            pieces[square.dataset.square] = square.dataset.piece;
+        });
+        return pieces;
+    }
+    
+    /**
+     * Slide the pieces that changed squares from where they were, and fade out the ones that left the board.
+     * Pieces are paired up by what they are, so a castling rook and an en passant capture animate too;
+     * a pawn that promoted is paired with the new piece
+     * @param {object} before - Piece codes by square before rendering
+     * @param {object} after - Piece codes by square after rendering
+     * @param {number} duration - Animation time (ms)
+     */
+    function animatePieces(before, after, duration) {
+        const vanished = Object.keys(before).filter(square => after[square] !== before[square]);
+        const appeared = Object.keys(after).filter(square => before[square] !== after[square]);
+        const moves = [];
+        
+        // Match by piece first, then by color for promotions; nearest squares first
+        [(from, to) => before[from] === after[to], (from, to) => before[from][0] === after[to][0]].forEach(matches => {
+            appeared.slice().forEach(to => {
+                const candidates = vanished.filter(from => matches(from, to));
+                if (candidates.length === 0) return;
+                
+                const from = candidates.reduce((nearest, square) =>
+                    getSquareDistance(square, to) < getSquareDistance(nearest, to) ? square : nearest);
+                moves.push({ from, to });
+                vanished.splice(vanished.indexOf(from), 1);
+                appeared.splice(appeared.indexOf(to), 1);
+            });
+        });
+        
+        moves.forEach(({ from, to }) => {
+            const fromElement = getSquareElement(from);
+            const toElement = getSquareElement(to);
+            const pieceElement = toElement.querySelector('.piece');
+            if (to === dropSquare || !pieceElement || !pieceElement.animate) return;
+            
+            const dx = fromElement.offsetLeft - toElement.offsetLeft;
+            const dy = fromElement.offsetTop - toElement.offsetTop;
+            toElement.classList.add('animating');
+            pieceElement.animate(
+                [{ transform: `translate(${dx}px, ${dy}px)` }, { transform: 'none' }],
+                { duration, easing: 'ease-out' }
+            ).onfinish = () => toElement.classList.remove('animating');
+        });
+        
+        // Captured pieces fade out where they stood
+        vanished.forEach(square => {
+            const squareElement = getSquareElement(square);
+            const ghost = document.createElement('div');
+            ghost.className = 'capture-ghost';
+            ghost.innerHTML = renderPiece({ color: before[square][0], type: before[square][1] });
+            if (!ghost.animate) return;
+            
+            squareElement.appendChild(ghost);
+            ghost.animate([{ opacity: 1 }, { opacity: 0 }], { duration, easing: 'ease-in' }).onfinish = () => ghost.remove();
+        });
+    }
+    
+    /**
+     * Get the distance between two squares in king moves
+     * @param {string} from - Square name
+     * @param {string} to - Square name
+     * @returns {number}
+     */
+    function getSquareDistance(from, to) {
+        return Math.max(Math.abs(from.charCodeAt(0) - to.charCodeAt(0)), Math.abs(from[1] - to[1]));
+    }
+    
+    /**
+     * Check whether the user asked the system for less motion
+     * @returns {boolean}
+     */
+    function prefersReducedMotion() {
+        return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+    
+    /**
+     * Render a chess piece in the piece set chosen in Themes
      * @param {object} piece - Piece object with type and color
      * @returns {string} HTML for the piece
      */
     function renderPiece(piece) {
-        const symbol = PIECES[piece.type] || '';
         const colorClass = piece.color === 'w' ? 'white' : 'black';
-        return `<span class="piece ${colorClass}">${symbol}</span>`;
+        const image = Themes.getPieceImage(piece);
         
-        /* 
-         * Future: Image-based rendering
-         * 
-         * const img = document.createElement('img');
-         * img.src = PIECE_IMAGES[piece.type];
-         * img.className = 'piece';
-         * img.alt = piece.color + ' ' + piece.type;
-         * return img.outerHTML;
-         */
+        // Squares and buttons carry the piece name for screen readers instead of the glyph or image
+        if (image) {
+            return `<span class="piece ${colorClass} piece-image" aria-hidden="true" style="background-image: url('${image}')"></span>`;
+        }
+        return `<span class="piece ${colorClass}" aria-hidden="true">${PIECES[piece.type] || ''}</span>`;
+    }
+    
+    /**
+     * Draw the pieces on the board again, e.g. after the piece set changed
+     */
+    function refreshPieces() {
+        if (!boardElement) return;
+        
+        endDrag();
+        boardElement.querySelectorAll('.square[data-piece]').forEach(square => {
+            const code = square.dataset.piece;
+            square.innerHTML = renderPiece({ color: code[0], type: code[1] });
+        });
     }
     
     /**
@@ -150,6 +413,38 @@ const ChessBoard = (function() {
         updateHighlights();
     }
     
+    /**
+     * Set the queued premoves to highlight
+     * @param {array} moves - Premoves {from, to}, in the order they will be played
+     */
+    function setPremoves(moves) {
+        premoves = moves || [];
+        updateHighlights();
+    }
+    
+    /**
+     * Set the highlights that belong to the shown position
+     * @param {object} newMarkers - {lastMove: {from, to} or null, check: square of a king in check or null,
+     *   hanging: squares of attacked, undefended pieces}
+     */
+    function setMarkers(newMarkers) {
+        markers = {
+            lastMove: newMarkers.lastMove || null,
+            check: newMarkers.check || null,
+            hanging: newMarkers.hanging || []
+        };
+        updateHighlights();
+    }
+    
+    /**
+     * Set the arrows and marked squares to draw
+     * @param {object} newAnnotations - Annotations (see Annotations), or null for none
+     */
+    function setAnnotations(newAnnotations) {
+        annotations = newAnnotations || Annotations.create();
+        drawAnnotations();
+    }
+    
     /**
      * Clear selection
      */
@@ -166,7 +461,32 @@ const ChessBoard = (function() {
         // Clear all highlights
         const squares = boardElement.querySelectorAll('.square');
         squares.forEach(square => {
-            square.classList.remove('selected', 'legal-move', 'has-piece');
+            square.classList.remove('selected', 'legal-move', 'has-piece', 'castling-move', 'premove',
+                'last-move', 'in-check', 'hanging');
+        });
+        
+        // Mark the position: the move that led to it, a king in check, pieces left hanging
+        const addClass = (square, className) => {
+            const element = square && getSquareElement(square);
+            if (element) {
+                element.classList.add(className);
+            }
+        };
+        if (markers.lastMove) {
+            addClass(markers.lastMove.from, 'last-move');
+            addClass(markers.lastMove.to, 'last-move');
+        }
+        addClass(markers.check, 'in-check');
+        markers.hanging.forEach(square => addClass(square, 'hanging'));
+        
+        // Highlight the squares of queued premoves
+        premoves.forEach(premove => {
+            [premove.from, premove.to].forEach(square => {
+                const premoveElement = boardElement.querySelector(`[data-square="${square}"]`);
+                if (premoveElement) {
+                    premoveElement.classList.add('premove');
+                }
+            });
         });
         
         // Highlight selected square
@@ -182,11 +502,514 @@ const ChessBoard = (function() {
             const moveSquare = boardElement.querySelector(`[data-square="${move.to}"]`);
             if (moveSquare) {
                 moveSquare.classList.add('legal-move');
-                if (moveSquare.innerHTML.trim() !== '') {
+                if (moveSquare.dataset.piece) {
                     moveSquare.classList.add('has-piece');
                 }
+                // Castling targets (in Chess960 the king's own rook) get their own marker
+                if (move.flags && /[kq]/.test(move.flags)) {
+                    moveSquare.classList.add('castling-move');
+                }
+            }
+        });
+        
+        updateLabels();
+    }
+    
+    /**
+     * Give every square a spoken label such as "e4, white knight, legal move"
+     */
+    function updateLabels() {
+        const targets = legalMoves.map(move => move.to);
+        const premoveSquares = premoves.flatMap(premove => [premove.from, premove.to]);
+        
+        boardElement.querySelectorAll('.square').forEach(square => {
+            const name = square.dataset.square;
+            const code = square.dataset.piece;
+            const parts = [name, code ? describePiece({ color: code[0], type: code[1] }) : 'empty'];
+            
+            if (name === markers.check) parts.push('in check');
+            if (markers.hanging.includes(name)) parts.push('hanging');
+            if (markers.lastMove && [markers.lastMove.from, markers.lastMove.to].includes(name)) parts.push('last move');
+            if (name === selectedSquare) parts.push('selected');
+            if (targets.includes(name)) parts.push('legal move');
+            if (premoveSquares.includes(name)) parts.push('premove');
+            
+            square.setAttribute('aria-label', parts.join(', '));
+            square.setAttribute('aria-selected', name === selectedSquare ? 'true' : 'false');
+        });
+    }
+    
+    /**
+     * Name a piece for speech, e.g. "white knight"
+     * @param {object} piece - {type, color}
+     * @returns {string}
+     */
+    function describePiece(piece) {
+        return `${piece.color === 'w' ? 'white' : 'black'} ${PIECE_NAMES[piece.type].toLowerCase()}`;
+    }
+    
+    /**
+     * Describe a move for speech, e.g. "White knight takes pawn on e5, check"
+     * @param {object} move - Verbose move object
+     * @returns {string}
+     */
+    function describeMove(move) {
+        const color = move.color === 'w' ? 'White' : 'Black';
+        let text;
+        
+        if (/[kq]/.test(move.flags)) {
+            text = `${color} castles ${move.flags.includes('k') ? 'kingside' : 'queenside'}`;
+        } else {
+            const piece = PIECE_NAMES[move.piece].toLowerCase();
+            text = move.captured
+                ? `${color} ${piece} takes ${PIECE_NAMES[move.captured].toLowerCase()} on ${move.to}`
+                : `${color} ${piece} ${move.from} to ${move.to}`;
+            if (move.flags.includes('e')) {
+                text += ' en passant';
+            }
+            if (move.promotion) {
+                text += `, promotes to ${PIECE_NAMES[move.promotion].toLowerCase()}`;
+            }
+        }
+        
+        if (move.san.endsWith('#')) {
+            text += ', checkmate';
+        } else if (move.san.endsWith('+')) {
+            text += ', check';
+        }
+        return text;
+    }
+    
+    /**
+     * Describe a whole position for speech: side to move, then each side's pieces
+     * @param {object} game - Game object
+     * @returns {string} E.g. "White to move. White: king e1, rooks a1 and h1. Black: king e8."
+     */
+    function describePosition(game) {
+        const bySide = { w: {}, b: {} };
+        
+        game.board().forEach((row, rowIndex) => {
+            row.forEach((piece, colIndex) => {
+                if (!piece) return;
+                const square = String.fromCharCode(97 + colIndex) + (8 - rowIndex);
+                (bySide[piece.color][piece.type] = bySide[piece.color][piece.type] || []).push(square);
+            });
+        });
+        
+        const sides = ['w', 'b'].map(color => {
+            const groups = ['k', 'q', 'r', 'b', 'n', 'p']
+                .filter(type => bySide[color][type])
+                .map(type => {
+                    const squares = bySide[color][type].sort();
+                    const name = PIECE_NAMES[type].toLowerCase() + (squares.length > 1 ? 's' : '');
+                    const list = squares.length > 1
+                        ? `${squares.slice(0, -1).join(', ')} and ${squares[squares.length - 1]}`
+                        : squares[0];
+                    return `${name} ${list}`;
+                });
+            return `${color === 'w' ? 'White' : 'Black'}: ${groups.length > 0 ? groups.join(', ') : 'no pieces'}.`;
+        });
+        
+        return `${game.turn() === 'w' ? 'White' : 'Black'} to move. ${sides.join(' ')}`;
+    }
+    
+    /**
+     * Begin a possible drag of the piece on a square
+     * @param {PointerEvent} event - Pointer down event
+     * @param {string} square - Square name
+     */
+    function handlePointerDown(event, square) {
+        if (!boardHandlers || promotionOverlay) return;
+        
+        if (event.button === 2 && boardHandlers.onAnnotate) {
+            startAnnotationGesture(event, square);
+            return;
+        }
+        if (event.button !== 0) return;
+        
+        // A left click wipes the drawing off the board
+        if (boardHandlers.onAnnotate && !Annotations.isEmpty(annotations)) {
+            setAnnotations(null);
+            boardHandlers.onAnnotate(annotations);
+        }
+        
+        const squareElement = boardElement.querySelector(`[data-square="${square}"]`);
+        const pieceElement = squareElement.querySelector('.piece');
+        if (!pieceElement) return;
+        
+        endDrag();
+        drag = {
+            from: square,
+            pieceElement,
+            startX: event.clientX,
+            startY: event.clientY,
+            ghost: null,
+            overSquare: null
+        };
+        
+        document.addEventListener('pointermove', handlePointerMove);
+        document.addEventListener('pointerup', handlePointerUp);
+        document.addEventListener('pointercancel', endDrag);
+    }
+    
+    /**
+     * Move the dragged piece with the pointer
+     * @param {PointerEvent} event - Pointer move event
+     */
+    function handlePointerMove(event) {
+        if (!drag) return;
+        
+        if (!drag.ghost) {
+            const distance = Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY);
+            if (distance < DRAG_THRESHOLD) return;
+            
+            // The handler selects the piece, which highlights its legal moves
+            const { from, pieceElement } = drag;
+            if (!boardHandlers.onDragStart(from)) {
+                endDrag();
+                return;
+            }
+            if (!drag) return;
+            
+            drag.ghost = document.createElement('div');
+            drag.ghost.className = 'drag-piece';
+            drag.ghost.style.fontSize = getComputedStyle(pieceElement.parentElement).fontSize;
+            drag.ghost.innerHTML = pieceElement.outerHTML;
+            document.body.appendChild(drag.ghost);
+            pieceElement.classList.add('drag-source');
+        }
+        
+        event.preventDefault();
+        drag.ghost.style.left = `${event.clientX}px`;
+        drag.ghost.style.top = `${event.clientY}px`;
+        setDragOverSquare(getSquareAtPoint(event.clientX, event.clientY));
+    }
+    
+    /**
+     * Drop the dragged piece on the square under the pointer
+     * @param {PointerEvent} event - Pointer up event
+     */
+    function handlePointerUp(event) {
+        if (!drag) return;
+        
+        const { from, ghost } = drag;
+        endDrag();
+        
+        // A press without movement is a click, handled by the click listeners
+        if (!ghost) return;
+        
+        const target = getSquareAtPoint(event.clientX, event.clientY);
+        
+        // The browser follows a drag that ends on its own square with a click on it
+        suppressClick = target !== null;
+        setTimeout(() => {
+            suppressClick = false;
+        }, 0);
+        
+        // Nothing on the board has moved yet, so an illegal drop just snaps back
+        dropSquare = target;
+        boardHandlers.onDrop(from, target);
+        dropSquare = null;
+    }
+    
+    /**
+     * Mark the square the dragged piece is over
+     * @param {string|null} square - Square name, or null off the board
+     */
+    function setDragOverSquare(square) {
+        if (drag.overSquare === square) return;
+        
+        boardElement.querySelectorAll('.drag-over').forEach(element => element.classList.remove('drag-over'));
+        if (square) {
+            boardElement.querySelector(`[data-square="${square}"]`).classList.add('drag-over');
+        }
+        drag.overSquare = square;
+    }
+    
+    /**
+     * Stop tracking the pointer and remove the drag image
+     */
+    function endDrag() {
+        if (drag) {
+            if (drag.ghost) {
+                drag.ghost.remove();
+                drag.pieceElement.classList.remove('drag-source');
+                setDragOverSquare(null);
+            }
+            drag = null;
+        }
+        
+        document.removeEventListener('pointermove', handlePointerMove);
+        document.removeEventListener('pointerup', handlePointerUp);
+        document.removeEventListener('pointercancel', endDrag);
+    }
+    
+    /**
+     * Begin drawing an arrow from a square, or marking it, with the right button.
+     * The color follows the modifier keys held at the start (see Annotations.getColorForEvent)
+     * @param {PointerEvent} event - Pointer down event
+     * @param {string} square - Square name
+     */
+    function startAnnotationGesture(event, square) {
+        endDrag();
+        endAnnotationGesture();
+        annotationGesture = {
+            from: square,
+            to: square,
+            color: Annotations.getColorForEvent(event)
+        };
+        
+        document.addEventListener('pointermove', handleAnnotationMove);
+        document.addEventListener('pointerup', handleAnnotationUp);
+        document.addEventListener('pointercancel', cancelAnnotationGesture);
+    }
+    
+    /**
+     * Show the arrow being drawn up to the square under the pointer
+     * @param {PointerEvent} event - Pointer move event
+     */
+    function handleAnnotationMove(event) {
+        const square = getSquareAtPoint(event.clientX, event.clientY);
+        if (square && square !== annotationGesture.to) {
+            annotationGesture.to = square;
+            drawAnnotations();
+        }
+    }
+    
+    /**
+     * Finish the gesture: released on its own square it marks the square, elsewhere it draws an arrow.
+     * Drawing the same thing again in the same color removes it
+     * @param {PointerEvent} event - Pointer up event
+     */
+    function handleAnnotationUp(event) {
+        const { from, color } = annotationGesture;
+        const to = getSquareAtPoint(event.clientX, event.clientY);
+        endAnnotationGesture();
+        
+        if (to) {
+            annotations = from === to
+                ? Annotations.toggleSquare(annotations, from, color)
+                : Annotations.toggleArrow(annotations, from, to, color);
+            boardHandlers.onAnnotate(annotations);
+        }
+        drawAnnotations();
+    }
+    
+    /**
+     * Drop the gesture and the arrow it was drawing
+     */
+    function cancelAnnotationGesture() {
+        endAnnotationGesture();
+        drawAnnotations();
+    }
+    
+    /**
+     * Stop tracking the right-button gesture
+     */
+    function endAnnotationGesture() {
+        annotationGesture = null;
+        document.removeEventListener('pointermove', handleAnnotationMove);
+        document.removeEventListener('pointerup', handleAnnotationUp);
+        document.removeEventListener('pointercancel', cancelAnnotationGesture);
+    }
+    
+    /**
+     * Draw the annotations, and the arrow being drawn, over the board
+     */
+    function drawAnnotations() {
+        if (!annotationLayer) return;
+        
+        annotationLayer.innerHTML = '';
+        annotations.squares.forEach(mark => {
+            const center = getSquareCenter(mark.square);
+            annotationLayer.appendChild(createSvgElement('circle', {
+                class: 'annotation-mark',
+                cx: center.x,
+                cy: center.y,
+                r: 0.45,
+                stroke: Annotations.COLORS[mark.color]
+            }));
+        });
+        annotations.arrows.forEach(arrow => drawArrow(arrow, false));
+        
+        if (annotationGesture && annotationGesture.to !== annotationGesture.from) {
+            drawArrow(annotationGesture, true);
+        }
+    }
+    
+    /**
+     * Draw one arrow: a shaft from the centre of its first square, and a head on the last one
+     * @param {object} arrow - {from, to, color}
+     * @param {boolean} isPreview - Whether the arrow is still being drawn
+     */
+    function drawArrow(arrow, isPreview) {
+        const start = getSquareCenter(arrow.from);
+        const end = getSquareCenter(arrow.to);
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        const dx = (end.x - start.x) / length;
+        const dy = (end.y - start.y) / length;
+        const base = { x: end.x - dx * ARROW_HEAD_LENGTH, y: end.y - dy * ARROW_HEAD_LENGTH };
+        const halfHead = ARROW_HEAD_WIDTH / 2;
+        
+        const group = createSvgElement('g', {
+            class: 'annotation-arrow' + (isPreview ? ' preview' : ''),
+            fill: Annotations.COLORS[arrow.color],
+            stroke: Annotations.COLORS[arrow.color]
+        });
+        group.appendChild(createSvgElement('line', {
+            x1: start.x,
+            y1: start.y,
+            x2: base.x,
+            y2: base.y,
+            'stroke-width': ARROW_WIDTH
+        }));
+        group.appendChild(createSvgElement('polygon', {
+            stroke: 'none',
+            points: [
+                [end.x, end.y],
+                [base.x - dy * halfHead, base.y + dx * halfHead],
+                [base.x + dy * halfHead, base.y - dx * halfHead]
+            ].map(point => point.join(',')).join(' ')
+        }));
+        annotationLayer.appendChild(group);
+    }
+    
+    /**
+     * Get the centre of a square in annotation layer units, one unit per square
+     * @param {string} square - Square name
+     * @returns {object} {x, y}
+     */
+    function getSquareCenter(square) {
+        const file = square.charCodeAt(0) - 97;
+        const rank = parseInt(square[1], 10);
+        return {
+            x: (isFlipped ? 7 - file : file) + 0.5,
+            y: (isFlipped ? rank - 1 : 8 - rank) + 0.5
+        };
+    }
+    
+    /**
+     * Create an SVG element
+     * @param {string} tag - Element name
+     * @param {object} attributes - Attribute values by name
+     * @returns {SVGElement}
+     */
+    function createSvgElement(tag, attributes) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+        return element;
+    }
+    
+    /**
+     * Show the promotion piece picker over the promotion square
+     * @param {string} square - Promotion square (e.g., 'e8')
+     * @param {string} color - Color of the promoting side ('w' or 'b')
+     * @param {function} onSelect - Called with the chosen piece type ('q', 'r', 'b' or 'n')
+     * @param {function} onCancel - Called when the picker is dismissed without a choice
+     */
+    function showPromotionPicker(square, color, onSelect, onCancel) {
+        hidePromotionPicker();
+        
+        const squareElement = boardElement.querySelector(`[data-square="${square}"]`);
+        if (!squareElement) return;
+        
+        const cancel = () => {
+            hidePromotionPicker();
+            if (onCancel) {
+                onCancel();
+            }
+        };
+        
+        promotionOverlay = document.createElement('div');
+        promotionOverlay.className = 'promotion-overlay';
+        promotionOverlay.addEventListener('click', (event) => {
+            if (event.target === promotionOverlay) {
+                cancel();
             }
         });
+        
+        // The picker grows from the promotion square towards the centre of the board
+        const picker = document.createElement('div');
+        const opensDown = squareElement.offsetTop < boardElement.clientHeight / 2;
+        picker.className = 'promotion-picker ' + (opensDown ? 'opens-down' : 'opens-up');
+        picker.style.left = `${squareElement.offsetLeft}px`;
+        picker.style.width = `${squareElement.offsetWidth}px`;
+        if (opensDown) {
+            picker.style.top = `${squareElement.offsetTop}px`;
+        } else {
+            picker.style.bottom = `${boardElement.clientHeight - squareElement.offsetTop - squareElement.offsetHeight}px`;
+        }
+        
+        PROMOTION_PIECES.forEach(type => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = 'promotion-option';
+            option.style.height = `${squareElement.offsetHeight}px`;
+            option.style.fontSize = getComputedStyle(squareElement).fontSize;
+            option.title = PIECE_NAMES[type];
+            option.innerHTML = renderPiece({ type: type, color: color });
+            option.addEventListener('click', () => {
+                hidePromotionPicker();
+                onSelect(type);
+            });
+            picker.appendChild(option);
+        });
+        
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'promotion-cancel';
+        cancelButton.title = 'Cancel';
+        cancelButton.textContent = '×';
+        cancelButton.addEventListener('click', cancel);
+        picker.appendChild(cancelButton);
+        
+        promotionOverlay.appendChild(picker);
+        boardElement.appendChild(promotionOverlay);
+        
+        promotionKeyHandler = (event) => {
+            if (event.key === 'Escape') {
+                cancel();
+            }
+        };
+        document.addEventListener('keydown', promotionKeyHandler);
+    }
+    
+    /**
+     * Remove the promotion picker if it is open
+     */
+    function hidePromotionPicker() {
+        if (promotionOverlay) {
+            promotionOverlay.remove();
+            promotionOverlay = null;
+        }
+        if (promotionKeyHandler) {
+            document.removeEventListener('keydown', promotionKeyHandler);
+            promotionKeyHandler = null;
+        }
+    }
+    
+    /**
+     * Switch the board's look between playing and position editing
+     * @param {boolean} enabled - Whether the board is used by the position editor
+     */
+    function setEditorMode(enabled) {
+        boardElement.classList.toggle('editor-mode', enabled);
+    }
+    
+    /**
+     * Find the board square under a viewport point
+     * @param {number} clientX - Horizontal viewport coordinate
+     * @param {number} clientY - Vertical viewport coordinate
+     * @returns {string|null} Square name, or null if the point is off the board
+     */
+    function getSquareAtPoint(clientX, clientY) {
+        const element = document.elementFromPoint(clientX, clientY);
+        const squareElement = element && element.closest('.square');
+        
+        if (squareElement && boardElement.contains(squareElement)) {
+            return squareElement.dataset.square;
+        }
+        return null;
     }
     
     /**
@@ -221,8 +1044,21 @@ const ChessBoard = (function() {
     return {
         init,
         render,
+        renderPiece,
+        refreshPieces,
+        describePiece,
+        describeMove,
+        describePosition,
         setSelectedSquare,
+        setPremoves,
+        setMarkers,
+        setAnnotations,
+        setCoordinates,
         clearSelection,
+        showPromotionPicker,
+        hidePromotionPicker,
+        setEditorMode,
+        getSquareAtPoint,
         flip,
         getFlipState,
         setOrientation
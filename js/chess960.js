@@ -0,0 +1,488 @@
+/**
+ * chess960.js - Chess960 (Fischer Random) Rules
+ * Start positions by number and a chess.js wrapper that adds 960 castling
+ */
+
+const Chess960 = (function() {
+    'use strict';
+    
+    const FILES = 'abcdefgh';
+    
+    // Number of the standard chess start position
+    const STANDARD_POSITION = 518;
+    
+    // Knight placements on the five squares left after the bishops and queen, by index 0-9
+    const KNIGHT_TABLE = [
+        [0, 1], [0, 2], [0, 3], [0, 4], [1, 2],
+        [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]
+    ];
+    
+    /**
+     * Get the back rank of a Chess960 start position (Scharnagl numbering)
+     * @param {number} number - Position number, 0-959 (518 is the standard position)
+     * @returns {string} White's back rank from a to h, e.g. 'RNBQKBNR'
+     */
+    function getBackRank(number) {
+        if (!Number.isInteger(number) || number < 0 || number > 959) {
+            throw new Error(`Chess960 position number must be between 0 and 959 (got ${number})`);
+        }
+        
+        const rank = new Array(8).fill(null);
+        const emptyFiles = () => rank.map((piece, file) => piece ? null : file).filter(file => file !== null);
+        
+        let n = number;
+        rank[(n % 4) * 2 + 1] = 'B'; // Light-squared bishop on b, d, f or h
+        n = Math.floor(n / 4);
+        rank[(n % 4) * 2] = 'B';     // Dark-squared bishop on a, c, e or g
+        n = Math.floor(n / 4);
+        rank[emptyFiles()[n % 6]] = 'Q';
+        n = Math.floor(n / 6);
+        
+        const empty = emptyFiles();
+        KNIGHT_TABLE[n].forEach(index => {
+            rank[empty[index]] = 'N';
+        });
+        
+        // The king goes between the two rooks on the last three squares
+        emptyFiles().forEach((file, index) => {
+            rank[file] = index === 1 ? 'K' : 'R';
+        });
+        
+        return rank.join('');
+    }
+    
+    /**
+     * Get the FEN of a Chess960 start position
+     * @param {number} number - Position number, 0-959
+     * @returns {string} FEN string with full castling rights
+     */
+    function getStartFen(number) {
+        const backRank = getBackRank(number);
+        return `${backRank.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/${backRank} w KQkq - 0 1`;
+    }
+    
+    /**
+     * Pick a random start position
+     * @returns {number} Position number, 0-959
+     */
+    function getRandomNumber() {
+        return Math.floor(Math.random() * 960);
+    }
+    
+    /**
+     * Create a game that follows Chess960 castling rules
+     * Castling is entered and reported as the king moving onto its own rook
+     * (UCI_Chess960 notation); moving the king to its castled square also works
+     * when that is not an ordinary king move
+     * @param {string} startFen - Start position; castling rights as KQkq (X-FEN) or rook files (Shredder-FEN)
+     * @returns {object} Game object with the chess.js methods used by the app
+     */
+    function createGame(startFen) {
+        const inner = new Chess();
+        let rights = { w: [], b: [] }; // Files of the rooks each side may still castle with
+        let history = [];              // Snapshots for undo
+        
+        if (startFen && !load(startFen)) {
+            throw new Error(`Invalid Chess960 position: ${startFen}`);
+        }
+        if (!startFen) {
+            load(getStartFen(STANDARD_POSITION));
+        }
+        
+        /**
+         * Load a position
+         * @param {string} newFen - FEN string
+         * @returns {boolean} True if the position was loaded
+         */
+        function load(newFen) {
+            const fields = Position.normalizeFen(newFen).split(' ');
+            if (fields.length !== 6) {
+                return false;
+            }
+            
+            const castling = fields[2];
+            fields[2] = '-';
+            if (!inner.load(fields.join(' '))) {
+                return false;
+            }
+            
+            rights = parseCastling(castling);
+            history = [];
+            return true;
+        }
+        
+        /**
+         * Read castling rights from X-FEN or Shredder-FEN
+         * @param {string} castling - Castling field
+         * @returns {object} {w: [files], b: [files]}
+         */
+        function parseCastling(castling) {
+            const parsed = { w: [], b: [] };
+            if (castling === '-') {
+                return parsed;
+            }
+            
+            for (const symbol of castling) {
+                const color = symbol === symbol.toUpperCase() ? 'w' : 'b';
+                const king = findKing(color);
+                if (!king || king[1] !== backRankOf(color)) continue;
+                
+                let rookFile = null;
+                if (/[kq]/i.test(symbol)) {
+                    // X-FEN: the outermost rook on that side of the king
+                    rookFile = findOutermostRook(color, symbol.toLowerCase() === 'k' ? 'k' : 'q');
+                } else if (/[a-h]/i.test(symbol)) {
+                    rookFile = symbol.toLowerCase();
+                }
+                
+                if (rookFile && !parsed[color].includes(rookFile) && isOwnRook(rookFile + backRankOf(color), color)) {
+                    parsed[color].push(rookFile);
+                }
+            }
+            
+            return parsed;
+        }
+        
+        /**
+         * Get the FEN of the current position, with castling rights in X-FEN
+         * @returns {string} FEN string
+         */
+        function fen() {
+            const fields = inner.fen().split(' ');
+            let castling = '';
+            
+            ['w', 'b'].forEach(color => {
+                const king = findKing(color);
+                const symbols = [...rights[color]]
+                    .sort((a, b) => b.localeCompare(a))
+                    .map(file => {
+                        const side = king && file > king[0] ? 'k' : 'q';
+                        const symbol = findOutermostRook(color, side) === file ? side : file;
+                        return color === 'w' ? symbol.toUpperCase() : symbol;
+                    });
+                castling += symbols.join('');
+            });
+            
+            fields[2] = castling || '-';
+            return fields.join(' ');
+        }
+        
+        /**
+         * Get legal moves, including 960 castling
+         * @param {object} options - {square, verbose} as in chess.js
+         * @returns {array} SAN strings, or move objects when verbose
+         */
+        function moves(options = {}) {
+            const verboseMoves = options.square
+                ? inner.moves({ square: options.square, verbose: true })
+                : inner.moves({ verbose: true });
+            const king = findKing(inner.turn());
+            
+            if (!options.square || options.square === king) {
+                verboseMoves.push(...getCastlingMoves());
+            }
+            
+            return options.verbose ? verboseMoves : verboseMoves.map(move => move.san);
+        }
+        
+        /**
+         * Make a move
+         * @param {object|string} request - {from, to, promotion} or SAN
+         * @returns {object|null} Move object, or null if illegal
+         */
+        function move(request) {
+            const castlingMove = findCastlingMove(request);
+            const snapshot = { fen: fen(), rights: copyRights() };
+            
+            if (castlingMove) {
+                performCastling(castlingMove);
+                history.push(snapshot);
+                castlingMove.san += inner.in_checkmate() ? '#' : (inner.in_check() ? '+' : '');
+                return castlingMove;
+            }
+            
+            const result = inner.move(request);
+            if (!result) {
+                return null;
+            }
+            
+            updateRights(result);
+            history.push(snapshot);
+            return result;
+        }
+        
+        /**
+         * Take back the last move
+         * @returns {boolean} True if a move was taken back
+         */
+        function undo() {
+            const snapshot = history.pop();
+            if (!snapshot) {
+                return false;
+            }
+            
+            const fields = snapshot.fen.split(' ');
+            fields[2] = '-';
+            inner.load(fields.join(' '));
+            rights = snapshot.rights;
+            return true;
+        }
+        
+        /**
+         * Find the castling move a move request refers to
+         * @param {object|string} request - {from, to} or SAN
+         * @returns {object|null} Castling move, or null
+         */
+        function findCastlingMove(request) {
+            const castlingMoves = getCastlingMoves();
+            
+            if (typeof request === 'string') {
+                const san = request.replace(/[+#]/g, '').replace(/0/g, 'O');
+                return castlingMoves.find(candidate => candidate.san === san) || null;
+            }
+            
+            if (!request || !request.from || !request.to) {
+                return null;
+            }
+            
+            // Moving onto the own rook always means castling
+            const ontoRook = castlingMoves.find(candidate => candidate.from === request.from && candidate.to === request.to);
+            if (ontoRook) {
+                return ontoRook;
+            }
+            
+            // The castled king square only means castling when it is not also an ordinary king move
+            const toKingSquare = castlingMoves.find(candidate => candidate.from === request.from && candidate.kingTo === request.to);
+            const isOrdinary = inner.moves({ square: request.from, verbose: true }).some(ordinary => ordinary.to === request.to);
+            return toKingSquare && !isOrdinary ? toKingSquare : null;
+        }
+        
+        /**
+         * Generate the legal castling moves for the side to move
+         * @returns {array} Verbose move objects with kingTo, rookFrom and rookTo
+         */
+        function getCastlingMoves() {
+            const color = inner.turn();
+            const rank = backRankOf(color);
+            const king = findKing(color);
+            
+            if (!king || king[1] !== rank || inner.in_check()) {
+                return [];
+            }
+            
+            const castlingMoves = [];
+            rights[color].forEach(rookFile => {
+                const rookFrom = rookFile + rank;
+                if (!isOwnRook(rookFrom, color)) return;
+                
+                const side = rookFile > king[0] ? 'k' : 'q';
+                const kingTo = (side === 'k' ? 'g' : 'c') + rank;
+                const rookTo = (side === 'k' ? 'f' : 'd') + rank;
+                
+                // Everything the king and rook cross or land on must be empty, apart from themselves
+                const files = [king[0], rookFile, kingTo[0], rookTo[0]].map(file => FILES.indexOf(file));
+                for (let file = Math.min(...files); file <= Math.max(...files); file++) {
+                    const square = FILES[file] + rank;
+                    if (square !== king && square !== rookFrom && inner.get(square)) return;
+                }
+                
+                // The king may not pass through or land on an attacked square
+                const kingFile = FILES.indexOf(king[0]);
+                const targetFile = FILES.indexOf(kingTo[0]);
+                const step = targetFile > kingFile ? 1 : -1;
+                for (let file = kingFile; file !== targetFile + step; file += step) {
+                    if (isKingAttackedOn(FILES[file] + rank, king, rookFrom, null)) return;
+                }
+                if (isKingAttackedOn(kingTo, king, rookFrom, rookTo)) return;
+                
+                castlingMoves.push({
+                    color,
+                    from: king,
+                    to: rookFrom,
+                    flags: side,
+                    piece: 'k',
+                    san: side === 'k' ? 'O-O' : 'O-O-O',
+                    kingTo,
+                    rookFrom,
+                    rookTo
+                });
+            });
+            
+            return castlingMoves;
+        }
+        
+        /**
+         * Check whether the king would be attacked on a square
+         * @param {string} square - Square to test
+         * @param {string} kingFrom - Current king square
+         * @param {string} rookFrom - Square of the castling rook
+         * @param {string|null} rookTo - Where the rook stands in the tested position, or null to leave it
+         * @returns {boolean}
+         */
+        function isKingAttackedOn(square, kingFrom, rookFrom, rookTo) {
+            const color = inner.turn();
+            const fields = inner.fen().split(' ');
+            fields[3] = '-';
+            
+            const scratch = new Chess(fields.join(' '));
+            scratch.remove(kingFrom);
+            if (rookTo || square === rookFrom) {
+                scratch.remove(rookFrom);
+            }
+            if (rookTo) {
+                scratch.put({ type: 'r', color }, rookTo);
+            }
+            scratch.put({ type: 'k', color }, square);
+            
+            return scratch.in_check();
+        }
+        
+        /**
+         * Move the king and rook to their castled squares and pass the turn
+         * @param {object} castlingMove - Castling move from getCastlingMoves
+         */
+        function performCastling(castlingMove) {
+            const { color, from, rookFrom, kingTo, rookTo } = castlingMove;
+            const fields = inner.fen().split(' ');
+            
+            inner.remove(from);
+            inner.remove(rookFrom);
+            inner.put({ type: 'k', color }, kingTo);
+            inner.put({ type: 'r', color }, rookTo);
+            
+            const placement = inner.fen().split(' ')[0];
+            const halfmoves = parseInt(fields[4], 10) + 1;
+            const fullmoves = parseInt(fields[5], 10) + (color === 'b' ? 1 : 0);
+            inner.load(`${placement} ${color === 'w' ? 'b' : 'w'} - - ${halfmoves} ${fullmoves}`);
+            
+            rights[color] = [];
+        }
+        
+        /**
+         * Drop castling rights after a king or rook move, or a capture on a rook's home square
+         * @param {object} result - Move made by chess.js
+         */
+        function updateRights(result) {
+            const opponent = result.color === 'w' ? 'b' : 'w';
+            
+            if (result.piece === 'k') {
+                rights[result.color] = [];
+            }
+            if (result.from[1] === backRankOf(result.color)) {
+                rights[result.color] = rights[result.color].filter(file => file !== result.from[0]);
+            }
+            if (result.to[1] === backRankOf(opponent)) {
+                rights[opponent] = rights[opponent].filter(file => file !== result.to[0]);
+            }
+        }
+        
+        /**
+         * Find the outermost rook on one side of the king
+         * @param {string} color - 'w' or 'b'
+         * @param {string} side - 'k' (towards h) or 'q' (towards a)
+         * @returns {string|null} File letter
+         */
+        function findOutermostRook(color, side) {
+            const king = findKing(color);
+            if (!king) return null;
+            
+            const rank = backRankOf(color);
+            const kingFile = FILES.indexOf(king[0]);
+            const files = side === 'k'
+                ? FILES.slice(kingFile + 1).split('').reverse()
+                : FILES.slice(0, kingFile).split('');
+            
+            return files.find(file => isOwnRook(file + rank, color)) || null;
+        }
+        
+        /**
+         * Find the king of a color
+         * @param {string} color - 'w' or 'b'
+         * @returns {string|null} Square name
+         */
+        function findKing(color) {
+            const board = inner.board();
+            for (let row = 0; row < 8; row++) {
+                for (let col = 0; col < 8; col++) {
+                    const piece = board[row][col];
+                    if (piece && piece.type === 'k' && piece.color === color) {
+                        return FILES[col] + (8 - row);
+                    }
+                }
+            }
+            return null;
+        }
+        
+        /**
+         * Check for a rook of a color on a square
+         * @param {string} square - Square name
+         * @param {string} color - 'w' or 'b'
+         * @returns {boolean}
+         */
+        function isOwnRook(square, color) {
+            const piece = inner.get(square);
+            return Boolean(piece && piece.type === 'r' && piece.color === color);
+        }
+        
+        /**
+         * Get a side's back rank
+         * @param {string} color - 'w' or 'b'
+         * @returns {string} '1' or '8'
+         */
+        function backRankOf(color) {
+            return color === 'w' ? '1' : '8';
+        }
+        
+        /**
+         * Copy the castling rights
+         * @returns {object} {w: [files], b: [files]}
+         */
+        function copyRights() {
+            return { w: [...rights.w], b: [...rights.b] };
+        }
+        
+        /**
+         * Check for stalemate; castling counts as a legal move
+         * @returns {boolean}
+         */
+        function inStalemate() {
+            return !inner.in_check() && moves().length === 0;
+        }
+        
+        /**
+         * Check for a draw by stalemate, insufficient material or the fifty-move rule
+         * @returns {boolean}
+         */
+        function inDraw() {
+            return inStalemate() || inner.insufficient_material() ||
+                parseInt(inner.fen().split(' ')[4], 10) >= 100;
+        }
+        
+        return {
+            load,
+            fen,
+            moves,
+            move,
+            undo,
+            board: () => inner.board(),
+            get: square => inner.get(square),
+            turn: () => inner.turn(),
+            header: (...args) => inner.header(...args),
+            in_check: () => inner.in_check(),
+            in_checkmate: () => inner.in_checkmate(),
+            in_stalemate: inStalemate,
+            insufficient_material: () => inner.insufficient_material(),
+            in_draw: inDraw,
+            game_over: () => inner.in_checkmate() || inDraw()
+        };
+    }
+    
+    // Public API
+    return {
+        STANDARD_POSITION,
+        getBackRank,
+        getStartFen,
+        getRandomNumber,
+        createGame
+    };
+})();
@@ -0,0 +1,321 @@
+/**
+ * clock.js - Chess Clock Module
+ * Tracks per-side thinking time with Fischer or Bronstein increments
+ */
+
+const ChessClock = (function() {
+    'use strict';
+    
+    // Increment types
+    const IncrementType = {
+        FISCHER: 'fischer',     // Increment added after every move
+        BRONSTEIN: 'bronstein'  // Time spent is refunded, up to the increment
+    };
+    
+    // Configuration
+    const CONFIG = {
+        TICK_INTERVAL: 100,        // Display refresh interval (ms)
+        LOW_TIME_THRESHOLD: 20000  // Remaining time considered "low" (ms)
+    };
+    
+    let timeControl = null; // {baseTime, increment, incrementType} in milliseconds
+    let remaining = { w: 0, b: 0 };
+    let activeColor = null;
+    let turnStartedAt = 0;
+    let tickTimer = null;
+    let onFlag = null;
+    let onTick = null;
+    
+    /**
+     * Initialize the clock for a new game
+     * @param {object} control - Time control {baseTime, increment, incrementType}, or null for untimed
+     * @param {function} flagHandler - Called with the color whose time ran out
+     * @param {function} tickHandler - Called whenever the displayed times change
+     */
+    function init(control, flagHandler, tickHandler) {
+        stopTicking();
+        
+        timeControl = control ? {
+            baseTime: control.baseTime,
+            increment: control.increment || 0,
+            incrementType: control.incrementType || IncrementType.FISCHER
+        } : null;
+        
+        remaining = timeControl
+            ? { w: timeControl.baseTime, b: timeControl.baseTime }
+            : { w: 0, b: 0 };
+        activeColor = null;
+        onFlag = flagHandler || null;
+        onTick = tickHandler || null;
+        
+        notifyTick();
+    }
+    
+    /**
+     * Check if the current game is timed
+     * @returns {boolean}
+     */
+    function isEnabled() {
+        return timeControl !== null;
+    }
+    
+    /**
+     * Start running the clock for a side
+     * @param {string} color - 'w' or 'b'
+     */
+    function start(color) {
+        if (!isEnabled()) return;
+        
+        stop();
+        activeColor = color;
+        turnStartedAt = Date.now();
+        tickTimer = setInterval(tick, CONFIG.TICK_INTERVAL);
+        notifyTick();
+    }
+    
+    /**
+     * Stop the running clock, keeping the remaining times
+     */
+    function stop() {
+        if (activeColor) {
+            remaining[activeColor] = getTime(activeColor);
+            activeColor = null;
+        }
+        stopTicking();
+        notifyTick();
+    }
+    
+    /**
+     * Finish the mover's turn, apply the increment and start the opponent's clock.
+     * A move made after the mover's time ran out (between ticks, or from a late AI reply)
+     * is refused: the flag falls instead
+     * @param {string} color - Color of the side that just moved
+     * @returns {number|null} Mover's remaining time after the increment (ms), or null when the flag fell
+     */
+    function switchTurn(color) {
+        if (!isEnabled()) return 0;
+        
+        const spent = activeColor === color ? Date.now() - turnStartedAt : 0;
+        if (activeColor === color) {
+            if (remaining[color] - spent <= 0) {
+                flag(color);
+                return null;
+            }
+            remaining[color] -= spent;
+        }
+        
+        if (timeControl.incrementType === IncrementType.BRONSTEIN) {
+            remaining[color] += Math.min(spent, timeControl.increment);
+        } else {
+            remaining[color] += timeControl.increment;
+        }
+        
+        activeColor = null;
+        start(color === 'w' ? 'b' : 'w');
+        
+        return remaining[color];
+    }
+    
+    /**
+     * Get the remaining time for a side
+     * @param {string} color - 'w' or 'b'
+     * @returns {number} Remaining time (ms)
+     */
+    function getTime(color) {
+        if (color === activeColor) {
+            return Math.max(0, remaining[color] - (Date.now() - turnStartedAt));
+        }
+        return remaining[color];
+    }
+    
+    /**
+     * Get the remaining time for both sides
+     * @returns {object} {w, b} in milliseconds
+     */
+    function getTimes() {
+        return { w: getTime('w'), b: getTime('b') };
+    }
+    
+    /**
+     * Set the remaining time for both sides, e.g. when a saved game is resumed.
+     * The clock has to be stopped
+     * @param {object} times - {w, b} in milliseconds
+     */
+    function setTimes(times) {
+        if (!isEnabled() || activeColor) return;
+        
+        remaining = { w: times.w, b: times.b };
+        notifyTick();
+    }
+    
+    /**
+     * Get the side whose clock is running
+     * @returns {string|null} 'w', 'b' or null when stopped
+     */
+    function getActiveColor() {
+        return activeColor;
+    }
+    
+    /**
+     * Get the current time control
+     * @returns {object|null} Time control or null when untimed
+     */
+    function getTimeControl() {
+        return timeControl ? { ...timeControl } : null;
+    }
+    
+    /**
+     * Get UCI search limits for the current clock state
+     * @returns {object|null} {wtime, btime, winc, binc} or null when untimed
+     */
+    function getSearchLimits() {
+        if (!isEnabled()) return null;
+        
+        // UCI has no notion of a Bronstein delay, so only report Fischer increments
+        const increment = timeControl.incrementType === IncrementType.FISCHER ? timeControl.increment : 0;
+        return {
+            wtime: Math.round(getTime('w')),
+            btime: Math.round(getTime('b')),
+            winc: increment,
+            binc: increment
+        };
+    }
+    
+    /**
+     * Check if a side is low on time
+     * @param {string} color - 'w' or 'b'
+     * @returns {boolean}
+     */
+    function isLowTime(color) {
+        return isEnabled() && getTime(color) <= CONFIG.LOW_TIME_THRESHOLD;
+    }
+    
+    /**
+     * Format a time for display (tenths of a second below ten seconds)
+     * @param {number} ms - Time in milliseconds
+     * @returns {string} e.g. '4:05', '1:02:30' or '0:07.3'
+     */
+    function formatTime(ms) {
+        const clamped = Math.max(0, ms);
+        
+        if (clamped < 10000) {
+            return `0:0${(Math.floor(clamped / 100) / 10).toFixed(1)}`;
+        }
+        
+        const totalSeconds = Math.floor(clamped / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+            : `${minutes}:${seconds}`;
+    }
+    
+    /**
+     * Format a time for a PGN %clk or %emt comment
+     * @param {number} ms - Time in milliseconds
+     * @param {boolean} showTenths - Whether to add tenths of a second
+     * @returns {string} e.g. '0:04:59', or '0:00:01.3' with tenths
+     */
+    function formatPGNClock(ms, showTenths = false) {
+        const clamped = Math.max(0, ms);
+        const totalSeconds = Math.floor(clamped / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        const tenths = showTenths ? `.${Math.floor((clamped % 1000) / 100)}` : '';
+        return `${hours}:${minutes}:${seconds}${tenths}`;
+    }
+    
+    /**
+     * Get the PGN TimeControl tag value
+     * @returns {string} e.g. '300+2', or '-' when untimed
+     */
+    function getTimeControlTag() {
+        if (!isEnabled()) return '-';
+        return `${Math.round(timeControl.baseTime / 1000)}+${Math.round(timeControl.increment / 1000)}`;
+    }
+    
+    /**
+     * Describe a time control for display
+     * @param {object} control - Time control, or null for untimed
+     * @returns {string} e.g. '5+3 (Bronstein)'
+     */
+    function describe(control) {
+        if (!control) return 'Untimed';
+        
+        const minutes = control.baseTime / 60000;
+        const seconds = (control.increment || 0) / 1000;
+        const suffix = control.increment && control.incrementType === IncrementType.BRONSTEIN
+            ? ' (Bronstein)'
+            : '';
+        return `${minutes}+${seconds}${suffix}`;
+    }
+    
+    /**
+     * Refresh the display and detect flag falls
+     */
+    function tick() {
+        if (activeColor && getTime(activeColor) <= 0) {
+            flag(activeColor);
+            return;
+        }
+        notifyTick();
+    }
+    
+    /**
+     * Stop the clock on a side whose time ran out and report it
+     * @param {string} color - Color whose time ran out
+     */
+    function flag(color) {
+        remaining[color] = 0;
+        activeColor = null;
+        stopTicking();
+        notifyTick();
+        if (onFlag) {
+            onFlag(color);
+        }
+    }
+    
+    /**
+     * Stop the display refresh timer
+     */
+    function stopTicking() {
+        if (tickTimer) {
+            clearInterval(tickTimer);
+            tickTimer = null;
+        }
+    }
+    
+    /**
+     * Notify the tick handler of the current times
+     */
+    function notifyTick() {
+        if (onTick) {
+            onTick(getTimes(), activeColor);
+        }
+    }
+    
+    // Public API
+    return {
+        IncrementType,
+        init,
+        isEnabled,
+        start,
+        stop,
+        switchTurn,
+        getTime,
+        getTimes,
+        setTimes,
+        getActiveColor,
+        getTimeControl,
+        getSearchLimits,
+        isLowTime,
+        formatTime,
+        formatPGNClock,
+        getTimeControlTag,
+        describe,
+        CONFIG
+    };
+})();
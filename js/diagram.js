@@ -0,0 +1,337 @@
+/**
+ * diagram.js - Board Diagrams
+ * Draws a position as a standalone SVG image, or as a PNG drawn from it, for write-ups and training material
+ *
+ * A position is {fen, move, moveNumber, annotations}: move is the verbose move that led to it
+ * (null at the start) and annotations are the arrows and marks drawn on it (see Annotations).
+ * Diagrams use the board theme and piece set in use; piece images are embedded, so the file stands alone.
+ */
+
+const Diagram = (function() {
+    'use strict';
+    
+    // Size of a square in the image (px); PNGs are drawn PNG_SCALE times larger
+    const SQUARE_SIZE = 60;
+    const PNG_SCALE = 2;
+    
+    // Layout, in squares
+    const COORDINATE_MARGIN = 0.5; // Room around the board for the file and rank labels
+    const MARGIN = 0.1;
+    const CAPTION_HEIGHT = 0.7;
+    
+    // Arrow and mark sizes, in squares, as on the board
+    const ARROW_WIDTH = 0.16;
+    const ARROW_HEAD_LENGTH = 0.4;
+    const ARROW_HEAD_WIDTH = 0.45;
+    const MARK_RADIUS = 0.45;
+    
+    // Glyphs of the Unicode piece set; both colors use the solid glyph, as on the board
+    const GLYPHS = { p: '♟', n: '♞', b: '♝', r: '♜', q: '♛', k: '♚' };
+    
+    const FONT = 'Arial, Helvetica, sans-serif';
+    
+    // What a diagram shows unless told otherwise
+    const DEFAULT_OPTIONS = {
+        flipped: false,     // Black at the bottom
+        coordinates: true,  // File and rank labels
+        lastMove: true,     // Highlight the move that led to the position
+        annotations: true,  // Arrows and marked squares
+        caption: true       // Move number and side to move under the board
+    };
+    
+    const imageCache = {}; // Promises of piece images as data URLs, by image URL
+    
+    /**
+     * Draw a position as SVG
+     * @param {object} position - Position to draw
+     * @param {object} options - Any of DEFAULT_OPTIONS
+     * @returns {Promise<string>} SVG document
+     */
+    async function toSvg(position, options = {}) {
+        const settings = { ...DEFAULT_OPTIONS, ...options };
+        const colors = Themes.getBoardColors();
+        const images = await loadPieceImages();
+        const margin = settings.coordinates ? COORDINATE_MARGIN : MARGIN;
+        const width = 8 + 2 * margin;
+        const height = width + (settings.caption ? CAPTION_HEIGHT : 0);
+        const highlighted = settings.lastMove && position.move ? [position.move.from, position.move.to] : [];
+        
+        const parts = [`<rect width="${width}" height="${height}" fill="#ffffff"/>`];
+        parts.push(`<g transform="translate(${margin} ${margin})">`);
+        
+        readPlacement(position.fen).forEach(({ square, piece }) => {
+            const { x, y } = getSquareCorner(square, settings.flipped);
+            const isLight = (square.charCodeAt(0) - 97 + Number(square[1])) % 2 === 0;
+            const fill = highlighted.includes(square)
+                ? (isLight ? colors.lastMoveLight : colors.lastMoveDark)
+                : (isLight ? colors.light : colors.dark);
+            parts.push(`<rect x="${x}" y="${y}" width="1" height="1" fill="${fill}"/>`);
+            if (piece) {
+                parts.push(drawPiece(piece, x, y, images));
+            }
+        });
+        parts.push('<rect width="8" height="8" fill="none" stroke="#333333" stroke-width="0.03"/>');
+        
+        if (settings.annotations && position.annotations) {
+            parts.push(...drawAnnotations(position.annotations, settings.flipped));
+        }
+        parts.push('</g>');
+        
+        if (settings.coordinates) {
+            parts.push(...drawCoordinates(margin, settings.flipped));
+        }
+        if (settings.caption) {
+            parts.push(`<text x="${width / 2}" y="${width + CAPTION_HEIGHT / 2}" font-family="${FONT}" font-size="0.38" ` +
+                `fill="#333333" text-anchor="middle" dominant-baseline="central">${escapeXml(getCaption(position))}</text>`);
+        }
+        
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(width * SQUARE_SIZE)}" ` +
+            `height="${Math.round(height * SQUARE_SIZE)}" viewBox="0 0 ${width} ${height}">${parts.join('')}</svg>`;
+    }
+    
+    /**
+     * Draw a position as PNG, by drawing its SVG on a canvas
+     * @param {object} position - Position to draw
+     * @param {object} options - Any of DEFAULT_OPTIONS
+     * @returns {Promise<Blob>} PNG image
+     */
+    async function toPng(position, options = {}) {
+        const svg = await toSvg(position, options);
+        const image = await new Promise((resolve, reject) => {
+            const svgImage = new Image();
+            svgImage.onload = () => resolve(svgImage);
+            svgImage.onerror = () => reject(new Error('The diagram could not be drawn'));
+            svgImage.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        });
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth * PNG_SCALE;
+        canvas.height = image.naturalHeight * PNG_SCALE;
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The diagram could not be saved as PNG')), 'image/png');
+        });
+    }
+    
+    /**
+     * Get the caption of a position
+     * @param {object} position - Position
+     * @returns {string} e.g. 'After 12... Nf6, White to move' or 'Start position, White to move'
+     */
+    function getCaption(position) {
+        const side = Position.getSideToMove(position.fen) === 'w' ? 'White' : 'Black';
+        const reached = position.move
+            ? `After ${position.moveNumber}${position.move.color === 'w' ? '.' : '...'} ${position.move.san}`
+            : 'Start position';
+        return `${reached}, ${side} to move`;
+    }
+    
+    /**
+     * Read the squares of a position from its FEN, in the order they are drawn
+     * @param {string} fen - Position
+     * @returns {array} [{square, piece}], piece being {type, color} or null
+     */
+    function readPlacement(fen) {
+        const squares = [];
+        fen.split(' ')[0].split('/').forEach((row, rowIndex) => {
+            let file = 0;
+            for (const symbol of row) {
+                if (/\d/.test(symbol)) {
+                    for (let i = 0; i < Number(symbol); i++) {
+                        squares.push({ square: getSquareName(file++, 8 - rowIndex), piece: null });
+                    }
+                } else {
+                    const color = symbol === symbol.toUpperCase() ? 'w' : 'b';
+                    squares.push({ square: getSquareName(file++, 8 - rowIndex), piece: { type: symbol.toLowerCase(), color } });
+                }
+            }
+        });
+        return squares;
+    }
+    
+    /**
+     * Get a square's name
+     * @param {number} file - 0 for the a-file
+     * @param {number} rank - 1 to 8
+     * @returns {string}
+     */
+    function getSquareName(file, rank) {
+        return String.fromCharCode(97 + file) + rank;
+    }
+    
+    /**
+     * Get the top left corner of a square, one unit per square
+     * @param {string} square - Square name
+     * @param {boolean} flipped - Whether Black is at the bottom
+     * @returns {object} {x, y}
+     */
+    function getSquareCorner(square, flipped) {
+        const file = square.charCodeAt(0) - 97;
+        const rank = parseInt(square[1], 10);
+        return {
+            x: flipped ? 7 - file : file,
+            y: flipped ? rank - 1 : 8 - rank
+        };
+    }
+    
+    /**
+     * Draw a piece on its square
+     * @param {object} piece - {type, color}
+     * @param {number} x - Left of the square
+     * @param {number} y - Top of the square
+     * @param {object} images - Data URLs by piece code, for sets drawn with images
+     * @returns {string} SVG
+     */
+    function drawPiece(piece, x, y, images) {
+        const image = images[piece.color + piece.type];
+        if (image) {
+            return `<image x="${x}" y="${y}" width="1" height="1" href="${escapeXml(image)}"/>`;
+        }
+        
+        const paint = piece.color === 'w'
+            ? 'fill="#ffffff" stroke="#000000" stroke-width="0.04" paint-order="stroke"'
+            : 'fill="#000000"';
+        return `<text x="${x + 0.5}" y="${y + 0.55}" font-size="0.8" text-anchor="middle" dominant-baseline="central" ` +
+            `${paint}>${GLYPHS[piece.type]}</text>`;
+    }
+    
+    /**
+     * Draw the marked squares and arrows of a position
+     * @param {object} annotations - Annotations
+     * @param {boolean} flipped - Whether Black is at the bottom
+     * @returns {array} SVG parts
+     */
+    function drawAnnotations(annotations, flipped) {
+        const center = square => {
+            const corner = getSquareCorner(square, flipped);
+            return { x: corner.x + 0.5, y: corner.y + 0.5 };
+        };
+        
+        const marks = annotations.squares.map(mark => {
+            const { x, y } = center(mark.square);
+            return `<circle cx="${x}" cy="${y}" r="${MARK_RADIUS}" fill="none" stroke="${Annotations.COLORS[mark.color]}" ` +
+                'stroke-width="0.07" opacity="0.8"/>';
+        });
+        
+        const arrows = annotations.arrows.map(arrow => {
+            const start = center(arrow.from);
+            const end = center(arrow.to);
+            const length = Math.hypot(end.x - start.x, end.y - start.y);
+            const dx = (end.x - start.x) / length;
+            const dy = (end.y - start.y) / length;
+            const base = { x: round(end.x - dx * ARROW_HEAD_LENGTH), y: round(end.y - dy * ARROW_HEAD_LENGTH) };
+            const halfHead = ARROW_HEAD_WIDTH / 2;
+            const points = [
+                [end.x, end.y],
+                [base.x - dy * halfHead, base.y + dx * halfHead],
+                [base.x + dy * halfHead, base.y - dx * halfHead]
+            ].map(point => point.map(round).join(',')).join(' ');
+            const color = Annotations.COLORS[arrow.color];
+            
+            return `<g opacity="0.8"><line x1="${start.x}" y1="${start.y}" x2="${base.x}" y2="${base.y}" ` +
+                `stroke="${color}" stroke-width="${ARROW_WIDTH}"/><polygon points="${points}" fill="${color}"/></g>`;
+        });
+        
+        return [...marks, ...arrows];
+    }
+    
+    /**
+     * Draw the file labels under the board and the rank labels left of it
+     * @param {number} margin - Room around the board
+     * @param {boolean} flipped - Whether Black is at the bottom
+     * @returns {array} SVG parts
+     */
+    function drawCoordinates(margin, flipped) {
+        const label = (x, y, text) => `<text x="${x}" y="${y}" font-family="${FONT}" font-size="0.3" fill="#555555" ` +
+            `text-anchor="middle" dominant-baseline="central">${text}</text>`;
+        const parts = [];
+        
+        for (let i = 0; i < 8; i++) {
+            parts.push(label(margin + i + 0.5, margin + 8 + margin / 2, String.fromCharCode(97 + (flipped ? 7 - i : i))));
+            parts.push(label(margin / 2, margin + i + 0.5, flipped ? i + 1 : 8 - i));
+        }
+        return parts;
+    }
+    
+    /**
+     * Get the images of the piece set in use as data URLs, so the diagram needs no other file.
+     * A piece whose image cannot be read is drawn with its glyph instead
+     * @returns {Promise<object>} Data URLs by piece code (e.g. 'wk'); empty for Unicode glyphs
+     */
+    async function loadPieceImages() {
+        const images = {};
+        for (const color of ['w', 'b']) {
+            for (const type of Object.keys(GLYPHS)) {
+                const url = Themes.getPieceImage({ type, color });
+                if (!url) continue;
+                
+                try {
+                    images[color + type] = await embedImage(url);
+                } catch (error) {
+                    console.warn(`Could not read the image of ${color + type}:`, error);
+                }
+            }
+        }
+        return images;
+    }
+    
+    /**
+     * Read an image as a data URL, once per URL
+     * @param {string} url - Image URL
+     * @returns {Promise<string>} Data URL
+     */
+    function embedImage(url) {
+        if (url.startsWith('data:')) {
+            return Promise.resolve(url);
+        }
+        
+        if (!imageCache[url]) {
+            imageCache[url] = fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`${url} answered ${response.status}`);
+                    }
+                    return response.blob();
+                })
+                .then(blob => new Promise((resolve, reject) => {
+                    const reader = new FileReader();
+                    reader.onload = () => resolve(reader.result);
+                    reader.onerror = () => reject(reader.error);
+                    reader.readAsDataURL(blob);
+                }));
+            
+            // Let a later diagram try again
+            imageCache[url].catch(() => {
+                delete imageCache[url];
+            });
+        }
+        return imageCache[url];
+    }
+    
+    /**
+     * Round a coordinate, to keep the file small
+     * @param {number} value - Coordinate, in squares
+     * @returns {number}
+     */
+    function round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+    
+    /**
+     * Escape text for use in SVG markup
+     * @param {string} text - Text
+     * @returns {string}
+     */
+    function escapeXml(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+    
+    // Public API
+    return {
+        DEFAULT_OPTIONS,
+        toSvg,
+        toPng,
+        getCaption
+    };
+})();
@@ -12,6 +12,12 @@ const GameController = (function() {
     let isAIThinking = false;
     let isPaused = false;
     let aiVsAiInterval = null;
+    let pendingPromotion = null; // {from, to} while the promotion picker is open
+    let gameResult = null; // {result, reason, termination} once the game has ended; termination is the PGN tag value
+    let drawOffer = null; // {color, ply} while a draw offer awaits an answer
+    let drawOfferPlies = { w: -1, b: -1 }; // Ply of each side's last draw offer (one offer per move)
+    let aiMoveTimer = null;
+    let aiRequestId = 0; // Incremented to discard replies from cancelled AI requests
     
     // Player configurations
     let gameMode = {
@@ -26,51 +32,623 @@ const GameController = (function() {
     };
     
     // History tracking
-    let moveHistory = []; // Array of {move, fen, moveNumber, player}
+    let moveHistory = []; // Mainline: array of {move, fen, variantState, moveNumber, player, variations, annotations}
+                          // plus, where known, clock, thinkingTime, isFallback, comment and nags (see MoveTree)
+    let takebacks = []; // Array of {ply, color, moves, timestamp}
+    let startFen = Position.DEFAULT_FEN;
+    let variant = Variants.get('standard'); // Rules of the variant being played
+    let startVariantState = null; // Variant state of the start position (e.g. no checks given yet)
+    let chess960Position = null; // Start position number in Chess960 games
     let isViewingHistory = false;
-    let currentViewIndex = -1;
+    let viewCursor = null; // MoveTree cursor of the position being viewed
+    let viewGame = null; // Game in the viewed position; analysis moves are made on it, never on the live game
+    let lastAnnouncement = null; // Last text sent to screen readers, so status refreshes are not read twice
+    let premoves = []; // Moves the human queued while the AI is on move: {from, to, promotion, castling} (see Premove)
+    let startAnnotations = Annotations.create(); // Arrows and marks drawn on the start position; moves carry their own
+    let lowTimeWarned = { w: false, b: false }; // Sides whose low-time warning has sounded
+    let gameTags = {}; // PGN tags of an imported game (Event, Site, players, ...), kept when it is exported
+    let startComment = ''; // Comment on the start position of an imported game; moves carry their own
+    let startedAt = Date.now(); // When the game started, for the PGN Date tag
     
     // Configuration
     const CONFIG = {
         AI_DELAY: 800,           // Delay before AI moves (ms)
         AI_VS_AI_DELAY: 1500,    // Delay between moves in AI vs AI (ms)
-        THINKING_TIME: null       // Optional thinking time for Stockfish (ms)
+        THINKING_TIME: null,     // Optional thinking time for Stockfish in untimed games (ms)
+        AUTO_QUEEN: false,       // Promote to a queen without showing the picker
+        SHOW_HANGING: false,     // Mark attacked, undefended pieces of both sides
+        ANIMATION_DURATION: 200, // Time for a moved piece to slide to its square (ms), 0 for none
+        PGN_LINE_WIDTH: 80       // Maximum line length of exported movetext
+    };
+    
+    // AI vs AI delay of the "Normal" speed, at which moves animate for ANIMATION_DURATION
+    const NORMAL_AI_VS_AI_DELAY = 1500;
+    
+    // Draw rules: thresholds that allow a claim, and those that end the game automatically
+    const DRAW_RULES = {
+        REPETITION_CLAIM: 3,     // Threefold repetition
+        REPETITION_AUTOMATIC: 5, // Fivefold repetition
+        HALFMOVE_CLAIM: 100,     // Fifty-move rule
+        HALFMOVE_AUTOMATIC: 150  // Seventy-five-move rule
+    };
+    
+    // Standard values of the PGN Termination tag, with the reason shown for a game imported with one
+    // (winner is 'White', 'Black', or null for a draw). Games played here end 'normal' or by 'time forfeit'
+    const TERMINATION_REASONS = {
+        'normal': winner => winner ? `${winner} wins` : 'Draw',
+        'time forfeit': winner => winner ? `${winner} wins on time` : 'Draw on time',
+        'abandoned': winner => winner ? `${winner} wins, game abandoned` : 'Game abandoned - draw',
+        'adjudication': winner => winner ? `${winner} wins by adjudication` : 'Draw by adjudication',
+        'rules infraction': winner => winner ? `${winner} wins by rules infraction` : 'Draw by rules infraction',
+        'death': winner => winner ? `${winner} wins, opponent died` : 'Draw, a player died',
+        'emergency': winner => winner ? `${winner} wins, game ended by emergency` : 'Game ended by emergency - draw'
     };
     
     /**
      * Initialize the game controller
-     * @param {object} mode - Game mode configuration
+     * @param {object} mode - Game mode configuration; mode.variant picks the variant (see Variants),
+     *                      mode.startFen optionally sets the start position in variants that allow it,
+     *                      and Chess960 starts from mode.chess960Position (random if unset)
      */
     function init(mode = null) {
         if (mode) {
             gameMode = mode;
         }
         
+        variant = Variants.get(gameMode.variant);
+        chess960Position = null;
+        if (isChess960()) {
+            chess960Position = Number.isInteger(gameMode.chess960Position)
+                ? gameMode.chess960Position
+                : Chess960.getRandomNumber();
+        }
+        
+        startFen = variant.getStartFen({ chess960Position });
+        if (gameMode.startFen && variant.customStart) {
+            const validation = Position.validateFen(gameMode.startFen);
+            if (!validation.valid) {
+                throw new Error(`Invalid start position: ${validation.errors.join(' ')}`);
+            }
+            startFen = validation.fen;
+        }
+        
         // Initialize chess.js game
-        game = new Chess();
+        game = createGame(startFen);
+        startVariantState = variant.createState();
+        
+        resetState();
+        
+        // A legal start position can still be a dead draw (e.g. bare kings)
+        checkGameEnd();
+        
+        setUpBoardAndClock(isPlayerBlack());
+        updateAllUI();
+        startPlay();
+    }
+    
+    /**
+     * Resume a saved game where it was left: its moves and variations, clocks,
+     * board orientation and the position being viewed. An AI on move starts thinking again,
+     * and a finished game (e.g. from the library) opens for replay
+     * @param {object} snapshot - Snapshot from getSnapshot()
+     */
+    function restoreGame(snapshot) {
+        gameMode = snapshot.gameMode;
+        variant = Variants.get(gameMode.variant);
+        chess960Position = snapshot.chess960Position;
+        startFen = snapshot.startFen;
+        startVariantState = variant.createState();
+        
+        resetState();
+        moveHistory = snapshot.moveHistory;
+        takebacks = snapshot.takebacks;
+        startAnnotations = snapshot.startAnnotations;
+        drawOffer = snapshot.drawOffer;
+        drawOfferPlies = snapshot.drawOfferPlies;
+        lowTimeWarned = snapshot.lowTimeWarned;
+        gameResult = snapshot.gameResult || null;
+        gameTags = snapshot.gameTags || {};
+        startComment = snapshot.startComment || '';
+        if (snapshot.startedAt) {
+            startedAt = snapshot.startedAt;
+        }
+        
+        rebuildGame();
+        if (game.fen() !== getLiveFen()) {
+            throw new Error('The saved moves do not lead to the saved position');
+        }
+        checkGameEnd();
+        
+        setUpBoardAndClock(snapshot.flipped, snapshot.clock);
+        updateAllUI();
+        if (snapshot.viewCursor) {
+            viewPosition(snapshot.viewCursor);
+        }
+        startPlay();
+    }
+    
+    /**
+     * Get everything needed to resume the game later
+     * @returns {object} Snapshot; plain data that survives JSON
+     */
+    function getSnapshot() {
+        // An offer an AI was still considering lapses, as nobody would answer it after a reload
+        const offerTo = drawOffer && getPlayerConfig(drawOffer.color === 'w' ? 'b' : 'w');
+        const isOfferToHuman = offerTo && offerTo.provider === AIManager.AIProvider.HUMAN;
+        
+        return {
+            gameMode,
+            startFen,
+            chess960Position,
+            moveHistory,
+            takebacks,
+            startAnnotations,
+            drawOffer: isOfferToHuman ? drawOffer : null,
+            drawOfferPlies,
+            lowTimeWarned,
+            gameResult,
+            gameTags,
+            startComment,
+            startedAt,
+            clock: ChessClock.isEnabled() ? ChessClock.getTimes() : null,
+            flipped: ChessBoard.getFlipState(),
+            viewCursor: isViewingHistory ? viewCursor : null
+        };
+    }
+    
+    /**
+     * Save the game in progress so it can be resumed after a reload; a finished game is forgotten
+     */
+    function saveGame() {
+        if (!game) return;
+        
+        if (isGameOver()) {
+            Autosave.clear();
+        } else {
+            Autosave.save(getSnapshot());
+        }
+    }
+    
+    /**
+     * Load a game read from PGN to step through it, from its start position: its moves, variations,
+     * comments, NAGs, drawings and clock times. Both players are human and the clocks are off;
+     * play can go on from any position with playFromPosition()
+     * @param {object} pgnGame - Game from Pgn.parse()
+     * @throws {Error} When the variant is not supported, or the start position or a move is not legal
+     */
+    function importGame(pgnGame) {
+        const headers = pgnGame.headers;
+        const rules = Variants.findByPgnName(headers.Variant);
+        if (!rules) {
+            throw new Error(`The ${headers.Variant} variant is not supported`);
+        }
+        
+        const fen = headers.FEN
+            ? readStartFen(rules, headers.FEN)
+            : rules.getStartFen({ chess960Position: Chess960.STANDARD_POSITION });
+        
+        // Read every move before the current game is touched, so a bad move leaves it as it was
+        const named = name => name && name !== '?' ? name : null;
+        const players = { w: named(headers.White) || 'White', b: named(headers.Black) || 'Black' };
+        const result = headers.Result || pgnGame.result;
+        const endReason = readEndReason(pgnGame, result);
+        const moves = endReason ? withoutEndComment(pgnGame.moves, endReason) : pgnGame.moves;
+        const mainline = readImportedLine(rules, moves, fen, rules.createState(), players);
+        const start = Pgn.readComment(pgnGame.comment);
+        
+        const human = AIManager.AIProvider.HUMAN;
+        gameMode = { ...AIManager.createGameMode(human, null, human, null), variant: rules.id, timeControl: null };
+        setStartPosition(rules, fen);
+        
+        resetState();
+        moveHistory = mainline;
+        startAnnotations = start.annotations;
+        startComment = start.text;
+        
+        // Tags the game writes itself on export are left out
+        const derivedTags = ['Result', 'Termination', 'Variant', 'SetUp', 'FEN'];
+        Object.keys(headers).filter(name => !derivedTags.includes(name)).forEach(name => {
+            gameTags[name] = headers[name];
+        });
+        
+        rebuildGame();
+        gameResult = getPositionResult() || getImportedResult(result, headers.Termination, endReason);
+        
+        setUpBoardAndClock(false);
+        updateAllUI();
+        viewPosition([{ index: -1 }]);
+        startPlay();
+    }
+    
+    /**
+     * Check a start position read from a PGN or a link
+     * @param {object} rules - Variant rules
+     * @param {string} fen - Start position
+     * @returns {string} The position as the game writes it
+     * @throws {Error} When the variant cannot start from the position
+     */
+    function readStartFen(rules, fen) {
+        if (rules.customStart) {
+            const validation = Position.validateFen(fen);
+            if (!validation.valid) {
+                throw new Error(`Invalid start position: ${validation.errors.join(' ')}`);
+            }
+            return validation.fen;
+        }
+        
+        // Throws for a position the variant cannot start from
+        return rules.createGame(Position.normalizeFen(fen)).fen();
+    }
+    
+    /**
+     * Play the next game in a variant from a start position not chosen at setup
+     * @param {object} rules - Variant rules
+     * @param {string} fen - Start position
+     */
+    function setStartPosition(rules, fen) {
+        variant = rules;
+        startFen = fen;
+        startVariantState = variant.createState();
+        chess960Position = null;
+        if (isChess960()) {
+            const number = [...Array(960).keys()].find(n => Chess960.getStartFen(n) === fen);
+            chess960Position = number === undefined ? null : number;
+        }
+    }
+    
+    /**
+     * Replay a line of PGN moves into move tree entries
+     * @param {object} rules - Variant rules
+     * @param {array} moves - PGN moves {san, nags, comment, variations}
+     * @param {string} fen - Position before the first move
+     * @param {object|null} variantState - Variant state of that position
+     * @param {object|null} players - Player names by color for the game's own moves, null in variations
+     * @returns {array} Entries
+     * @throws {Error} When a move is not legal
+     */
+    function readImportedLine(rules, moves, fen, variantState, players) {
+        const line = [];
+        
+        moves.forEach(pgnMove => {
+            const lineGame = rules.createGame(fen);
+            const moveNumber = Position.getFullmoveNumber(fen);
+            const legalMove = Pgn.findMove(lineGame, pgnMove.san);
+            if (!legalMove) {
+                const number = lineGame.turn() === 'w' ? `${moveNumber}.` : `${moveNumber}...`;
+                throw new Error(`Illegal move ${number} ${pgnMove.san}`);
+            }
+            
+            const move = lineGame.move({ from: legalMove.from, to: legalMove.to, promotion: legalMove.promotion });
+            const comment = Pgn.readComment(pgnMove.comment);
+            const entry = {
+                move: move,
+                fen: lineGame.fen(),
+                variantState: rules.applyMove(variantState, lineGame, move),
+                moveNumber: moveNumber,
+                player: players ? { name: players[move.color] } : null,
+                variations: pgnMove.variations.map(variation =>
+                    readImportedLine(rules, variation, fen, variantState, null)),
+                annotations: comment.annotations
+            };
+            if (comment.text) {
+                entry.comment = comment.text;
+            }
+            if (pgnMove.nags.length > 0) {
+                entry.nags = pgnMove.nags.slice();
+            }
+            if (comment.clock !== undefined) {
+                entry.clock = comment.clock;
+            }
+            if (comment.thinkingTime !== undefined) {
+                entry.thinkingTime = comment.thinkingTime;
+            }
+            
+            line.push(entry);
+            fen = entry.fen;
+            variantState = entry.variantState;
+        });
+        
+        return line;
+    }
+    
+    /**
+     * Read how an imported game ended from the comment before its result, as exportPGN() writes it.
+     * Only finished games with a standard Termination value have one; a comment with commands
+     * (%clk, %eval...) belongs to the last move
+     * @param {object} pgnGame - Game from Pgn.parse()
+     * @param {string} result - Result of the game
+     * @returns {string|null} Reason, or null when the comment is the last move's own
+     */
+    function readEndReason(pgnGame, result) {
+        const termination = (pgnGame.headers.Termination || 'normal').trim().toLowerCase();
+        const comment = pgnGame.endComment;
+        const isReason = comment && !comment.includes('[%') && TERMINATION_REASONS[termination] &&
+            ['1-0', '0-1', '1/2-1/2'].includes(result);
+        return isReason ? comment : null;
+    }
+    
+    /**
+     * Take the end reason off the last mainline move's comment, which it was read into
+     * @param {array} moves - PGN mainline moves
+     * @param {string} endReason - Reason from readEndReason()
+     * @returns {array} Moves, the last one copied without the reason
+     */
+    function withoutEndComment(moves, endReason) {
+        const last = moves[moves.length - 1];
+        const comment = last.comment.slice(0, last.comment.length - endReason.length).trim();
+        return [...moves.slice(0, -1), { ...last, comment }];
+    }
+    
+    /**
+     * Get the result of an imported game from its tags. The reason is the one written before
+     * the result, or else is told by the standard Termination value
+     * @param {string} result - Result tag
+     * @param {string} termination - Termination tag, if any
+     * @param {string|null} endReason - Reason from readEndReason()
+     * @returns {object|null} {result, reason, termination}, or null for a game still in progress
+     */
+    function getImportedResult(result, termination, endReason) {
+        if (!['1-0', '0-1', '1/2-1/2'].includes(result)) {
+            return null;
+        }
+        
+        const value = (termination || 'normal').trim().toLowerCase();
+        if (!TERMINATION_REASONS[value]) {
+            // Not a standard value, e.g. free text from an older export: it is the reason
+            return { result, reason: termination.trim(), termination: 'normal' };
+        }
+        
+        if (endReason) {
+            return { result, reason: endReason, termination: value };
+        }
+        const winner = result === '1-0' ? 'White' : (result === '0-1' ? 'Black' : null);
+        return { result, reason: TERMINATION_REASONS[value](winner), termination: value };
+    }
+    
+    /**
+     * Get the game for a shared link: its mainline, the position shown and the players.
+     * A position in a variation is shared as the mainline position the variation branches from
+     * @returns {object} Shared game (see ShareLink)
+     */
+    function getSharedGame() {
+        let ply = moveHistory.length;
+        if (isViewingHistory) {
+            ply = MoveTree.isInVariation(viewCursor) ? viewCursor[0].index : viewCursor[0].index + 1;
+        }
+        
+        return {
+            variant: variant.id,
+            startFen,
+            moves: moveHistory.map(entry => entry.move.from + entry.move.to + (entry.move.promotion || '')),
+            ply,
+            white: gameMode.white,
+            black: gameMode.black,
+            result: gameResult
+        };
+    }
+    
+    /**
+     * Open a game from a shared link. A replay loads the whole game at the position the link shows,
+     * with both players human as for an imported game; playing on starts from that position
+     * with the link's players, untimed
+     * @param {object} shared - Shared game from ShareLink.decode()
+     * @param {boolean} playOn - Whether to play on rather than replay
+     * @throws {Error} When the start position is not one the variant starts from, or a move is not legal
+     */
+    function openSharedGame(shared, playOn) {
+        const rules = Variants.get(shared.variant);
+        const fen = readStartFen(rules, shared.startFen);
+        if (!rules.isStartFen(fen)) {
+            throw new Error(`The link does not start from a ${rules.name} start position`);
+        }
+        const players = AIManager.createGameMode(
+            shared.white.provider, shared.white.difficulty, shared.black.provider, shared.black.difficulty);
+        
+        // Read every move before the current game is touched, so a bad link leaves it as it was
+        const line = readSharedMoves(rules, fen, playOn ? shared.moves.slice(0, shared.ply) : shared.moves, players);
+        
+        const human = AIManager.AIProvider.HUMAN;
+        const mode = playOn ? players : AIManager.createGameMode(human, null, human, null);
+        gameMode = { ...mode, variant: rules.id, timeControl: null };
+        setStartPosition(rules, fen);
+        
+        resetState();
+        moveHistory = line;
+        if (!playOn) {
+            gameTags.White = GameLibrary.describePlayer(players.white);
+            gameTags.Black = GameLibrary.describePlayer(players.black);
+        }
+        
+        rebuildGame();
+        gameResult = getPositionResult() || (playOn ? null : shared.result);
+        
+        setUpBoardAndClock(playOn && isPlayerBlack());
+        updateAllUI();
+        if (!playOn && shared.ply < line.length) {
+            viewPosition([{ index: shared.ply - 1 }]);
+        }
+        startPlay();
+    }
+    
+    /**
+     * Replay the moves of a shared link into mainline entries
+     * @param {object} rules - Variant rules
+     * @param {string} fen - Start position
+     * @param {array} moves - Moves in UCI notation
+     * @param {object} players - {white, black} player configurations
+     * @returns {array} Entries
+     * @throws {Error} When a move is not legal
+     */
+    function readSharedMoves(rules, fen, moves, players) {
+        const lineGame = rules.createGame(fen);
+        let variantState = rules.createState();
+        
+        return moves.map(uci => {
+            const moveNumber = Position.getFullmoveNumber(lineGame.fen());
+            const color = lineGame.turn();
+            const move = lineGame.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+            if (!move) {
+                throw new Error(`Illegal move ${color === 'w' ? `${moveNumber}.` : `${moveNumber}...`} ${uci}`);
+            }
+            
+            variantState = rules.applyMove(variantState, lineGame, move);
+            return {
+                move: move,
+                fen: lineGame.fen(),
+                variantState: variantState,
+                moveNumber: moveNumber,
+                player: color === 'w' ? players.white : players.black,
+                variations: [],
+                annotations: Annotations.create()
+            };
+        });
+    }
+    
+    /**
+     * Check whether play can go on from the position shown with new players:
+     * once the game is over, or at any time in a game between two humans
+     * @returns {boolean}
+     */
+    function canPlayFromPosition() {
+        const bothHuman = gameMode.white.provider === AIManager.AIProvider.HUMAN &&
+            gameMode.black.provider === AIManager.AIProvider.HUMAN;
+        return Boolean(game) && !pendingPromotion && (isGameOver() || bothHuman);
+    }
+    
+    /**
+     * Play on from the position shown, e.g. against an engine while replaying an imported game.
+     * The moves that lead to the position become the game: variations it lies in are promoted
+     * and the moves after it are dropped. The game goes on untimed
+     * @param {object} players - {white, black} player configurations
+     * @returns {boolean} True if play went on
+     */
+    function playFromPosition(players) {
+        if (!canPlayFromPosition()) {
+            return false;
+        }
+        
+        let cursor = isViewingHistory ? viewCursor : [{ index: moveHistory.length - 1 }];
+        while (MoveTree.isInVariation(cursor)) {
+            cursor = MoveTree.promote(moveHistory, cursor);
+        }
+        
+        const line = moveHistory.slice(0, cursor[0].index + 1);
+        const annotations = startAnnotations;
+        const comment = startComment;
+        
+        resetState();
+        gameMode = { ...gameMode, white: players.white, black: players.black, timeControl: null };
+        moveHistory = line;
+        startAnnotations = annotations;
+        startComment = comment;
+        
+        rebuildGame();
+        checkGameEnd();
+        
+        setUpBoardAndClock(isPlayerBlack());
+        updateAllUI();
+        startPlay();
+        return true;
+    }
+    
+    /**
+     * Cancel anything still pending from the previous game and clear its state
+     */
+    function resetState() {
+        cancelAIMove();
         
-        // Reset state
         moveHistory = [];
+        takebacks = [];
         isViewingHistory = false;
-        currentViewIndex = -1;
+        viewCursor = null;
+        viewGame = null;
         selectedSquare = null;
         isAIThinking = false;
         isPaused = false;
+        pendingPromotion = null;
+        premoves = [];
+        startAnnotations = Annotations.create();
+        lowTimeWarned = { w: false, b: false };
+        lastAnnouncement = null;
+        gameResult = null;
+        drawOffer = null;
+        drawOfferPlies = { w: -1, b: -1 };
+        gameTags = {};
+        startComment = '';
+        startedAt = Date.now();
+    }
+    
+    /**
+     * Set up the board and clocks for the game
+     * @param {boolean} flipped - Whether to show the board from Black's side
+     * @param {object} times - Remaining times {w, b} to start the clocks from, or null for the full time
+     */
+    function setUpBoardAndClock(flipped, times = null) {
+        ChessBoard.init('chess-board', handleSquareClick, flipped, {
+            onDragStart: handlePieceDragStart,
+            onDrop: handlePieceDrop,
+            onRightClick: cancelPremoves,
+            onAnnotate: handleAnnotate
+        });
+        renderLiveBoard();
         
-        // Initialize board
-        const shouldFlip = isPlayerBlack();
-        ChessBoard.init('chess-board', handleSquareClick, shouldFlip);
-        ChessBoard.render(game);
-        
-        // Update UI
-        updateAllUI();
+        // Initialize clocks (untimed when no time control is configured)
+        ChessClock.init(gameMode.timeControl || null, handleFlag, updateClockDisplay);
+        if (times) {
+            ChessClock.setTimes(times);
+        }
+    }
+    
+    /**
+     * Start the clock of the side to move, and the AI if it is on move
+     */
+    function startPlay() {
+        if (isGameOver()) {
+            return;
+        }
+        ChessClock.start(game.turn());
         
-        // If both players are AI or white is AI, start the game
+        // Start the AI when it is on move (or both players are AI)
         if (isAIvsAI() || getCurrentPlayerConfig().provider !== AIManager.AIProvider.HUMAN) {
-            setTimeout(() => processAIMove(), CONFIG.AI_DELAY);
+            scheduleAIMove(CONFIG.AI_DELAY);
         }
     }
     
+    /**
+     * Create the rules object for the current game: chess.js, or the variant's wrapper around it
+     * @param {string} fen - Start position
+     * @returns {object} Game with the chess.js API
+     */
+    function createGame(fen) {
+        return variant.createGame(fen);
+    }
+    
+    /**
+     * Check if the current game is Chess960
+     * @returns {boolean}
+     */
+    function isChess960() {
+        return variant.id === 'chess960';
+    }
+    
+    /**
+     * Get the variant state of the live position
+     * @returns {object|null} Variant state, e.g. {checks} in Three-check
+     */
+    function getVariantState() {
+        return moveHistory.length > 0
+            ? moveHistory[moveHistory.length - 1].variantState
+            : startVariantState;
+    }
+    
+    /**
+     * Get the variant options passed to the AI providers
+     * @returns {object} {chess960, variant, variantState}
+     */
+    function getAIOptions() {
+        return { chess960: isChess960(), variant: variant.id, variantState: getVariantState() };
+    }
+    
     /**
      * Set game mode
      * @param {object} mode - Game mode configuration
@@ -128,27 +706,13 @@ const GameController = (function() {
      * @param {string} square - Square name (e.g., 'e4')
      */
     function handleSquareClick(square) {
-        // Don't allow interaction while viewing history
-        if (isViewingHistory) {
-            return;
-        }
-        
-        // Don't allow moves while AI is thinking
-        if (isAIThinking) {
-            return;
-        }
-        
-        // Don't allow moves if game is over
-        if (game.game_over()) {
+        if (!canMoveOnBoard()) {
+            if (canPremove()) {
+                handlePremoveClick(square);
+            }
             return;
         }
         
-        // Check if current player is human
-        const currentConfig = getCurrentPlayerConfig();
-        if (currentConfig.provider !== AIManager.AIProvider.HUMAN) {
-            return; // AI's turn, no human input
-        }
-        
         // Handle piece selection and movement
         if (!selectedSquare) {
             selectSquare(square);
@@ -162,100 +726,562 @@ const GameController = (function() {
     }
     
     /**
-     * Select a square
-     * @param {string} square - Square name
+     * Check whether the user may make a move on the board right now
+     * @returns {boolean}
      */
-    function selectSquare(square) {
-        const piece = game.get(square);
+    function canMoveOnBoard() {
+        // Wait for the promotion picker to be answered
+        if (pendingPromotion) {
+            return false;
+        }
         
-        if (piece && piece.color === game.turn()) {
-            selectedSquare = square;
-            const moves = game.moves({ square: square, verbose: true });
-            ChessBoard.setSelectedSquare(square, moves);
+        // Moves in a past position explore variations, for either side and even after the game
+        if (isViewingHistory) {
+            return true;
         }
+        
+        // Don't allow moves while AI is thinking, after the game, or on the AI's turn
+        return !isAIThinking && !isGameOver() &&
+            getCurrentPlayerConfig().provider === AIManager.AIProvider.HUMAN;
     }
     
     /**
-     * Deselect current square
+     * Pick up a piece dragged by the user
+     * @param {string} square - Square the drag starts from
+     * @returns {boolean} True if the piece may be dragged
      */
-    function deselectSquare() {
-        selectedSquare = null;
-        ChessBoard.clearSelection();
+    function handlePieceDragStart(square) {
+        const isPremove = !canMoveOnBoard() && canPremove();
+        if (!canMoveOnBoard() && !isPremove) {
+            return false;
+        }
+        
+        if (selectedSquare !== square) {
+            deselectSquare();
+            if (isPremove) {
+                selectPremoveSquare(square);
+            } else {
+                selectSquare(square);
+            }
+        }
+        return selectedSquare === square;
     }
     
     /**
-     * Attempt to make a move
-     * @param {string} from - Source square
-     * @param {string} to - Destination square
+     * Play the move of a dragged piece, or put the piece back
+     * @param {string} from - Square the piece was dragged from
+     * @param {string|null} to - Square it was dropped on, or null off the board
      */
-    function attemptMove(from, to) {
-        const piece = game.get(from);
-        const isPromotion = piece && piece.type === 'p' && 
-                          (to[1] === '8' || to[1] === '1');
+    function handlePieceDrop(from, to) {
+        const isPremove = !canMoveOnBoard() && canPremove();
+        if ((!canMoveOnBoard() && !isPremove) || selectedSquare !== from) {
+            return;
+        }
         
-        const move = game.move({
-            from: from,
-            to: to,
-            promotion: isPromotion ? 'q' : undefined
-        });
+        // Dropping the piece back on its square keeps it selected for click-to-move
+        if (to === from) {
+            return;
+        }
         
-        if (move) {
-            onMoveMade(move);
-            deselectSquare();
-            
-            // Process AI move after delay if not game over
-            if (!game.game_over()) {
-                const nextConfig = getCurrentPlayerConfig();
-                if (nextConfig.provider !== AIManager.AIProvider.HUMAN) {
-                    setTimeout(() => processAIMove(), CONFIG.AI_DELAY);
-                }
+        if (isPremove) {
+            if (to && getPremoveTargets(from).some(target => target.to === to)) {
+                queuePremove(from, to);
+            } else {
+                deselectSquare();
             }
+            return;
+        }
+        
+        const isLegal = to && getBoardGame().moves({ square: from, verbose: true })
+            .some(move => move.to === to);
+        if (isLegal) {
+            attemptMove(from, to);
         } else {
-            // Invalid move, try selecting destination
             deselectSquare();
-            selectSquare(to);
         }
     }
     
     /**
-     * Process AI move
+     * Play a move entered outside the board, e.g. typed in the move box
+     * @param {string} from - Source square
+     * @param {string} to - Destination square
+     * @param {string} promotion - Promotion piece for promotions ('q', 'r', 'b' or 'n')
+     * @returns {boolean} True if the move was legal and played
      */
-    async function processAIMove() {
-        if (isAIThinking || game.game_over() || isPaused) {
-            return;
+    function playMove(from, to, promotion) {
+        if (!canMoveOnBoard()) {
+            return false;
         }
         
-        const currentConfig = getCurrentPlayerConfig();
-        
-        // Skip if human player
-        if (currentConfig.provider === AIManager.AIProvider.HUMAN) {
-            return;
+        const isLegal = getBoardGame().moves({ square: from, verbose: true })
+            .some(move => move.to === to && (!move.promotion || move.promotion === promotion));
+        if (!isLegal) {
+            return false;
         }
         
-        isAIThinking = true;
-        updateAIStatus(true, currentConfig);
+        deselectSquare();
+        attemptMove(from, to, promotion);
+        return true;
+    }
+    
+    /**
+     * Check whether the human may queue premoves: it is the AI's turn in a game against the AI
+     * @returns {boolean}
+     */
+    function canPremove() {
+        if (pendingPromotion || isViewingHistory || isGameOver() || isAIvsAI()) {
+            return false;
+        }
         
-        try {
-            // Get current position and legal moves
-            const fen = game.fen();
-            const legalMoves = game.moves({ verbose: true });
-            const legalMovesUCI = legalMoves.map(move => {
-                let uci = move.from + move.to;
+        const waitingSide = getLiveTurn() === 'w' ? 'b' : 'w';
+        return getCurrentPlayerConfig().provider !== AIManager.AIProvider.HUMAN &&
+            getPlayerConfig(waitingSide).provider === AIManager.AIProvider.HUMAN;
+    }
+    
+    /**
+     * Handle a click while the human can only premove: pick a piece, then where it goes next turn
+     * @param {string} square - Square name
+     */
+    function handlePremoveClick(square) {
+        if (selectedSquare && getPremoveTargets(selectedSquare).some(target => target.to === square)) {
+            queuePremove(selectedSquare, square);
+        } else if (square === selectedSquare) {
+            deselectSquare();
+        } else {
+            deselectSquare();
+            selectPremoveSquare(square);
+        }
+    }
+    
+    /**
+     * Select one of the human's pieces for a premove, where the queued premoves have put it
+     * @param {string} square - Square name
+     */
+    function selectPremoveSquare(square) {
+        const piece = Premove.createPosition(game, premoves).get(square);
+        
+        if (piece && piece.color !== game.turn()) {
+            selectedSquare = square;
+            ChessBoard.setSelectedSquare(square, getPremoveTargets(square));
+        }
+    }
+    
+    /**
+     * Get the squares a piece may be premoved to
+     * Castling is offered for the first premove when it would be legal if it were the human's turn
+     * @param {string} square - Square of the piece, after the queued premoves
+     * @returns {array} Targets {to, flags, castling}, flags and castling only set for castling
+     */
+    function getPremoveTargets(square) {
+        const position = Premove.createPosition(game, premoves);
+        const targets = Premove.getTargets(position, square).map(to => ({ to }));
+        
+        if (premoves.length > 0 || !position.get(square) || position.get(square).type !== 'k') {
+            return targets;
+        }
+        
+        const fields = game.fen().split(' ');
+        fields[1] = game.turn() === 'w' ? 'b' : 'w';
+        fields[3] = '-';
+        
+        let waitingGame;
+        try {
+            waitingGame = variant.createGame(fields.join(' '));
+        } catch (error) {
+            return targets;
+        }
+        
+        waitingGame.moves({ square: square, verbose: true })
+            .filter(move => /[kq]/.test(move.flags))
+            .forEach(move => {
+                const isKingside = move.flags.includes('k');
+                const rank = move.from[1];
+                targets.push({
+                    to: move.to,
+                    flags: move.flags,
+                    castling: {
+                        kingTo: move.kingTo || move.to,
+                        rookFrom: move.rookFrom || (isKingside ? 'h' : 'a') + rank,
+                        rookTo: move.rookTo || (isKingside ? 'f' : 'd') + rank
+                    }
+                });
+            });
+        
+        return targets;
+    }
+    
+    /**
+     * Add a premove to the queue; pawns reaching the last rank premove to a queen
+     * @param {string} from - Source square, after the queued premoves
+     * @param {string} to - Target square
+     */
+    function queuePremove(from, to) {
+        const piece = Premove.createPosition(game, premoves).get(from);
+        const target = getPremoveTargets(from).find(candidate => candidate.to === to);
+        const isPromotion = piece.type === 'p' && to[1] === (piece.color === 'w' ? '8' : '1');
+        
+        premoves.push({
+            from: from,
+            to: to,
+            promotion: isPromotion ? 'q' : undefined,
+            castling: target.castling || null
+        });
+        
+        deselectSquare();
+        renderLiveBoard();
+    }
+    
+    /**
+     * Drop all queued premoves (a right click on the board)
+     */
+    function cancelPremoves() {
+        if (premoves.length === 0) {
+            if (canPremove()) {
+                deselectSquare();
+            }
+            return;
+        }
+        
+        premoves = [];
+        if (!isViewingHistory) {
+            deselectSquare();
+            renderLiveBoard();
+        }
+    }
+    
+    /**
+     * Play the first queued premove after the AI has moved; an illegal premove drops the whole queue
+     */
+    function playPremove() {
+        if (premoves.length === 0 || isGameOver() ||
+            getCurrentPlayerConfig().provider !== AIManager.AIProvider.HUMAN) {
+            return;
+        }
+        
+        const premove = premoves.shift();
+        const move = game.move({
+            from: premove.from,
+            to: premove.to,
+            promotion: premove.promotion
+        });
+        
+        if (!move) {
+            premoves = [];
+            if (!isViewingHistory) {
+                renderLiveBoard();
+            }
+            return;
+        }
+        
+        onMoveMade(move);
+        if (!isGameOver() && getCurrentPlayerConfig().provider !== AIManager.AIProvider.HUMAN) {
+            scheduleAIMove(CONFIG.AI_DELAY);
+        }
+    }
+    
+    /**
+     * Show the live game on the board, with the pieces where the queued premoves put them
+     * @param {boolean} animate - Whether pieces slide to their new squares, as after a move
+     */
+    function renderLiveBoard(animate = false) {
+        const position = premoves.length > 0 ? Premove.createPosition(game, premoves) : game;
+        ChessBoard.render(position, animate ? getAnimationDuration() : 0);
+        ChessBoard.setPremoves(premoves);
+        updateBoardMarkers();
+    }
+    
+    /**
+     * Get how long a move takes to animate. In AI vs AI games it follows the speed selector,
+     * never taking more than half the time between moves
+     * @returns {number} Duration (ms)
+     */
+    function getAnimationDuration() {
+        if (!isAIvsAI()) {
+            return CONFIG.ANIMATION_DURATION;
+        }
+        return Math.min(CONFIG.ANIMATION_DURATION * CONFIG.AI_VS_AI_DELAY / NORMAL_AI_VS_AI_DELAY,
+            CONFIG.AI_VS_AI_DELAY / 2);
+    }
+    
+    /**
+     * Highlight the shown position: the move that led to it, a king in check and, if enabled, hanging pieces.
+     * Also draws the arrows and marks stored with the position
+     */
+    function updateBoardMarkers() {
+        const boardGame = getBoardGame();
+        const entry = getShownEntry();
+        
+        ChessBoard.setMarkers({
+            lastMove: entry ? { from: entry.move.from, to: entry.move.to } : null,
+            check: Threats.getCheckedKingSquare(boardGame),
+            hanging: CONFIG.SHOW_HANGING ? Threats.getHangingSquares(boardGame) : []
+        });
+        ChessBoard.setAnnotations(entry ? entry.annotations : startAnnotations);
+    }
+    
+    /**
+     * Get the move tree entry of the position on the board
+     * @returns {object|null} Entry, or null at the start position
+     */
+    function getShownEntry() {
+        if (isViewingHistory) {
+            return MoveTree.resolve(moveHistory, viewCursor).node;
+        }
+        return moveHistory.length > 0 ? moveHistory[moveHistory.length - 1] : null;
+    }
+    
+    /**
+     * Get the position on the board, to draw as a diagram
+     * @returns {object} Position (see Diagram)
+     */
+    function getShownDiagramPosition() {
+        return getDiagramPosition(getShownEntry());
+    }
+    
+    /**
+     * Get every position of the mainline, the start position first, to draw as diagrams
+     * @returns {array} Positions (see Diagram)
+     */
+    function getMainlineDiagramPositions() {
+        return [null, ...moveHistory].map(getDiagramPosition);
+    }
+    
+    /**
+     * Get the position a move tree entry leads to, to draw as a diagram
+     * @param {object|null} entry - Entry, or null for the start position
+     * @returns {object} {fen, move, moveNumber, annotations}
+     */
+    function getDiagramPosition(entry) {
+        return entry
+            ? { fen: entry.fen, move: entry.move, moveNumber: entry.moveNumber, annotations: entry.annotations }
+            : { fen: startFen, move: null, moveNumber: null, annotations: startAnnotations };
+    }
+    
+    /**
+     * Keep the arrows and marks drawn on the board with the position shown, so they come back
+     * when the position is viewed again
+     * @param {object} annotations - Annotations from the board
+     */
+    function handleAnnotate(annotations) {
+        const entry = getShownEntry();
+        if (entry) {
+            entry.annotations = annotations;
+        } else {
+            startAnnotations = annotations;
+        }
+        saveGame();
+    }
+    
+    /**
+     * Render the position shown on the board: the viewed one while browsing history, otherwise the live one
+     */
+    function renderBoard() {
+        if (isViewingHistory) {
+            ChessBoard.render(viewGame);
+        } else {
+            renderLiveBoard();
+        }
+    }
+    
+    /**
+     * Turn the board around, keeping the shown position
+     */
+    function flipBoard() {
+        ChessBoard.flip();
+        renderBoard();
+        refreshClockDisplay();
+        updateMaterialDisplay();
+        saveGame();
+    }
+    
+    /**
+     * Get the game shown on the board: the viewed position while browsing history, otherwise the live game
+     * @returns {object} Game object
+     */
+    function getBoardGame() {
+        return isViewingHistory ? viewGame : game;
+    }
+    
+    /**
+     * Select a square
+     * @param {string} square - Square name
+     */
+    function selectSquare(square) {
+        const boardGame = getBoardGame();
+        const piece = boardGame.get(square);
+        
+        if (piece && piece.color === boardGame.turn()) {
+            selectedSquare = square;
+            const moves = boardGame.moves({ square: square, verbose: true });
+            ChessBoard.setSelectedSquare(square, moves);
+        }
+    }
+    
+    /**
+     * Deselect current square
+     */
+    function deselectSquare() {
+        selectedSquare = null;
+        ChessBoard.clearSelection();
+    }
+    
+    /**
+     * Attempt to make a move
+     * @param {string} from - Source square
+     * @param {string} to - Destination square
+     * @param {string} promotion - Optional promotion piece ('q', 'r', 'b' or 'n')
+     */
+    function attemptMove(from, to, promotion) {
+        if (!promotion && isPromotionMove(from, to)) {
+            if (!CONFIG.AUTO_QUEEN) {
+                requestPromotion(from, to);
+                return;
+            }
+            promotion = 'q';
+        }
+        
+        if (isViewingHistory) {
+            addAnalysisMove(from, to, promotion);
+            return;
+        }
+        
+        const move = game.move({
+            from: from,
+            to: to,
+            promotion: promotion
+        });
+        
+        if (move) {
+            onMoveMade(move);
+            deselectSquare();
+            
+            // Process AI move after delay if not game over
+            if (!isGameOver()) {
+                const nextConfig = getCurrentPlayerConfig();
+                if (nextConfig.provider !== AIManager.AIProvider.HUMAN) {
+                    scheduleAIMove(CONFIG.AI_DELAY);
+                }
+            }
+        } else {
+            // Invalid move, try selecting destination
+            deselectSquare();
+            selectSquare(to);
+        }
+    }
+    
+    /**
+     * Make a move in the viewed position, following the line or an existing variation
+     * that starts with it, or else starting a new variation
+     * @param {string} from - Source square
+     * @param {string} to - Destination square
+     * @param {string} promotion - Optional promotion piece
+     */
+    function addAnalysisMove(from, to, promotion) {
+        const previousFen = viewGame.fen();
+        const move = viewGame.move({ from, to, promotion });
+        
+        if (!move) {
+            deselectSquare();
+            selectSquare(to);
+            return;
+        }
+        
+        const { node: previous } = MoveTree.resolve(moveHistory, viewCursor);
+        const node = {
+            move: move,
+            fen: viewGame.fen(),
+            variantState: variant.applyMove(previous ? previous.variantState : startVariantState, viewGame, move),
+            moveNumber: Position.getFullmoveNumber(previousFen),
+            player: null, // Analysis moves belong to neither player
+            variations: [],
+            annotations: Annotations.create()
+        };
+        
+        const isSameMove = other => other.from === move.from && other.to === move.to &&
+            other.promotion === move.promotion;
+        
+        Sounds.playMove(move);
+        deselectSquare();
+        viewPosition(MoveTree.addMove(moveHistory, viewCursor, node, isSameMove));
+    }
+    
+    /**
+     * Check whether a move is a legal pawn promotion
+     * @param {string} from - Source square
+     * @param {string} to - Destination square
+     * @returns {boolean}
+     */
+    function isPromotionMove(from, to) {
+        return getBoardGame().moves({ square: from, verbose: true })
+            .some(move => move.to === to && move.promotion);
+    }
+    
+    /**
+     * Ask the player which piece to promote to
+     * @param {string} from - Source square
+     * @param {string} to - Promotion square
+     */
+    function requestPromotion(from, to) {
+        pendingPromotion = { from, to };
+        
+        ChessBoard.showPromotionPicker(to, getBoardGame().turn(), (piece) => {
+            pendingPromotion = null;
+            attemptMove(from, to, piece);
+        }, () => {
+            pendingPromotion = null;
+            deselectSquare();
+        });
+    }
+    
+    /**
+     * Process AI move
+     */
+    async function processAIMove() {
+        if (isAIThinking || isGameOver() || isPaused) {
+            return;
+        }
+        
+        const currentConfig = getCurrentPlayerConfig();
+        
+        // Skip if human player
+        if (currentConfig.provider === AIManager.AIProvider.HUMAN) {
+            return;
+        }
+        
+        const requestId = ++aiRequestId;
+        isAIThinking = true;
+        updateAIStatus(true, currentConfig);
+        
+        try {
+            // Get current position and legal moves
+            const fen = game.fen();
+            const legalMoves = game.moves({ verbose: true });
+            const legalMovesUCI = legalMoves.map(move => {
+                let uci = move.from + move.to;
                 if (move.promotion) {
                     uci += move.promotion;
                 }
                 return uci;
             });
             
-            // Get move from AI
-            const uciMove = await AIManager.getBestMove(
+            // Get move from AI; timed games let the engine manage its own clock
+            const clock = ChessClock.getSearchLimits();
+            const reply = await AIManager.requestMove(
                 currentConfig,
                 fen,
                 legalMovesUCI,
-                CONFIG.THINKING_TIME
+                clock ? null : CONFIG.THINKING_TIME,
+                clock,
+                getAIOptions()
             );
             
+            // Ignore replies to cancelled requests, and games that ended on time meanwhile
+            if (!reply || requestId !== aiRequestId || gameResult) {
+                return;
+            }
+            
             // Parse and make move
+            const uciMove = reply.move;
             const from = uciMove.substring(0, 2);
             const to = uciMove.substring(2, 4);
             const promotion = uciMove.length > 4 ? uciMove[4] : undefined;
@@ -267,18 +1293,23 @@ const GameController = (function() {
             });
             
             if (move) {
-                onMoveMade(move);
+                // A half-made premove selection refers to the position before this move
+                if (!isViewingHistory) {
+                    deselectSquare();
+                }
+                onMoveMade(move, reply);
                 
                 // Continue AI vs AI game
-                if (isAIvsAI() && !game.game_over() && !isPaused) {
-                    setTimeout(() => processAIMove(), CONFIG.AI_VS_AI_DELAY);
-                } else if (!game.game_over() && !isPaused) {
+                if (isAIvsAI() && !isGameOver() && !isPaused) {
+                    scheduleAIMove(CONFIG.AI_VS_AI_DELAY);
+                } else if (!isGameOver() && !isPaused) {
                     // Next player is also AI
                     const nextConfig = getCurrentPlayerConfig();
                     if (nextConfig.provider !== AIManager.AIProvider.HUMAN) {
-                        setTimeout(() => processAIMove(), CONFIG.AI_DELAY);
+                        scheduleAIMove(CONFIG.AI_DELAY);
                     }
                 }
+                playPremove();
             } else {
                 console.error('AI attempted invalid move:', uciMove);
             }
@@ -286,6 +1317,35 @@ const GameController = (function() {
             console.error('Error during AI move:', error);
             updateStatus(`AI Error: ${error.message}`);
         } finally {
+            if (requestId === aiRequestId) {
+                isAIThinking = false;
+                updateAIStatus(false);
+            }
+        }
+    }
+    
+    /**
+     * Schedule the next AI move, replacing any move already scheduled
+     * @param {number} delay - Delay in milliseconds
+     */
+    function scheduleAIMove(delay) {
+        clearTimeout(aiMoveTimer);
+        aiMoveTimer = setTimeout(() => {
+            aiMoveTimer = null;
+            processAIMove();
+        }, delay);
+    }
+    
+    /**
+     * Cancel a scheduled or in-flight AI move
+     */
+    function cancelAIMove() {
+        clearTimeout(aiMoveTimer);
+        aiMoveTimer = null;
+        aiRequestId++;
+        
+        if (isAIThinking) {
+            AIManager.cancelPendingMove();
             isAIThinking = false;
             updateAIStatus(false);
         }
@@ -294,33 +1354,302 @@ const GameController = (function() {
     /**
      * Called when a move is made
      * @param {object} move - Move object from chess.js
+     * @param {object} aiReply - For AI moves, {thinkingTime, isFallback} from AIManager.requestMove
      */
-    function onMoveMade(move) {
-        const moveNumber = Math.floor(moveHistory.length / 2) + 1;
+    function onMoveMade(move, aiReply = null) {
+        // Number moves from the position before this one, so FEN starts keep their counters
+        const previousFen = moveHistory.length > 0 ? moveHistory[moveHistory.length - 1].fen : startFen;
+        const moveNumber = Position.getFullmoveNumber(previousFen);
         const playerConfig = getPlayerConfig(move.color);
         
-        moveHistory.push({
+        const entry = {
             move: move,
             fen: game.fen(),
+            variantState: variant.applyMove(getVariantState(), game, move),
             moveNumber: moveNumber,
             player: {
                 provider: playerConfig.provider,
                 difficulty: playerConfig.difficulty
+            },
+            variations: [],
+            annotations: Annotations.create()
+        };
+        
+        // How the AI found its move, for the PGN
+        if (aiReply) {
+            entry.thinkingTime = aiReply.thinkingTime;
+            if (aiReply.isFallback) {
+                entry.isFallback = true;
             }
-        });
+        }
         
-        ChessBoard.render(game);
-        updateAllUI();
-    }
-    
-    /**
-     * Update all UI elements
-     */
-    function updateAllUI() {
-        updateStatus();
+        // Record the mover's remaining time (after increment) for %clk comments; a move made
+        // after the mover's time ran out is not recorded, as the flag fell first (see handleFlag)
+        if (ChessClock.isEnabled()) {
+            entry.clock = ChessClock.switchTurn(move.color);
+            if (entry.clock === null) {
+                return;
+            }
+        }
+        
+        moveHistory.push(entry);
+        Sounds.playMove(move);
+        
+        // Moving instead of answering declines the opponent's draw offer
+        if (drawOffer && drawOffer.color !== move.color) {
+            drawOffer = null;
+        }
+        checkGameEnd();
+        
+        if (isGameOver() || isPaused) {
+            ChessClock.stop();
+        }
+        
+        // Leave the board alone while the player explores a past position
+        if (!isViewingHistory) {
+            renderLiveBoard(true);
+        }
+        updateAllUI();
+    }
+    
+    /**
+     * Check if the game has ended
+     * @returns {boolean}
+     */
+    function isGameOver() {
+        return gameResult !== null;
+    }
+    
+    /**
+     * Get the FEN of the live game position, even while viewing history
+     * @returns {string} FEN string
+     */
+    function getLiveFen() {
+        return moveHistory.length > 0
+            ? moveHistory[moveHistory.length - 1].fen
+            : startFen;
+    }
+    
+    /**
+     * Get the side to move in the live game position
+     * @returns {string} 'w' or 'b'
+     */
+    function getLiveTurn() {
+        return Position.getSideToMove(getLiveFen());
+    }
+    
+    /**
+     * Get the display name of a color
+     * @param {string} color - 'w' or 'b'
+     * @returns {string} 'White' or 'Black'
+     */
+    function getColorName(color) {
+        return color === 'w' ? 'White' : 'Black';
+    }
+    
+    /**
+     * Record the end of the game and stop everything still running
+     * @param {string} result - PGN result: '1-0', '0-1' or '1/2-1/2'
+     * @param {string} reason - Termination reason, e.g. 'Black wins by resignation'
+     * @param {string} termination - PGN Termination value (see TERMINATION_REASONS)
+     */
+    function finishGame(result, reason, termination = 'normal') {
+        gameResult = { result, reason, termination };
+        drawOffer = null;
+        cancelAIMove();
+        ChessClock.stop();
+        Sounds.play('gameEnd');
+        
+        if (premoves.length > 0) {
+            premoves = [];
+            if (!isViewingHistory) {
+                deselectSquare();
+                renderLiveBoard();
+            }
+        }
+        
+        if (pendingPromotion) {
+            pendingPromotion = null;
+            ChessBoard.hidePromotionPicker();
+        }
+        
+        recordGame();
+    }
+    
+    /**
+     * Keep the finished game in the game library. Start positions that were already over
+     * (e.g. bare kings) are left out, as no game was played
+     */
+    function recordGame() {
+        if (moveHistory.length === 0 || !GameLibrary.isAvailable()) {
+            return;
+        }
+        
+        const record = {
+            date: Date.now(),
+            white: { provider: gameMode.white.provider, difficulty: gameMode.white.difficulty },
+            black: { provider: gameMode.black.provider, difficulty: gameMode.black.difficulty },
+            result: gameResult.result,
+            termination: gameResult.reason,
+            opening: Openings.identify([startFen, ...moveHistory.map(entry => entry.fen)]),
+            plies: moveHistory.length,
+            variant: variant.id,
+            timeControl: gameMode.timeControl || null,
+            pgn: exportPGN(),
+            // Copied now: the library writes once the database is open, and the game can change meanwhile
+            snapshot: JSON.parse(JSON.stringify(getSnapshot()))
+        };
+        
+        GameLibrary.add(record).catch(error => {
+            console.warn('Could not add the game to the library:', error);
+        });
+    }
+    
+    /**
+     * End the game if the live position finishes it: a variant win, checkmate, stalemate,
+     * insufficient material, fivefold repetition or the seventy-five-move rule
+     */
+    function checkGameEnd() {
+        if (gameResult) return;
+        
+        const positionResult = getPositionResult();
+        if (positionResult) {
+            finishGame(positionResult.result, positionResult.reason);
+        }
+    }
+    
+    /**
+     * Get the result the live position decides by itself
+     * @returns {object|null} {result, reason}, or null when the game can go on
+     */
+    function getPositionResult() {
+        const winner = game.turn() === 'w' ? 'b' : 'w';
+        const variantResult = variant.getResult(game, getVariantState());
+        
+        if (variantResult) {
+            return {
+                result: variantResult.winner === 'w' ? '1-0' : '0-1',
+                reason: `${getColorName(variantResult.winner)} wins ${variantResult.reason}`
+            };
+        } else if (game.in_checkmate()) {
+            return { result: winner === 'w' ? '1-0' : '0-1', reason: `${getColorName(winner)} wins by checkmate` };
+        } else if (game.in_stalemate()) {
+            return { result: '1/2-1/2', reason: 'Draw by stalemate' };
+        } else if (variant.isInsufficientMaterial(game)) {
+            return { result: '1/2-1/2', reason: 'Draw by insufficient material' };
+        } else if (countRepetitions() >= DRAW_RULES.REPETITION_AUTOMATIC) {
+            return { result: '1/2-1/2', reason: 'Draw by fivefold repetition' };
+        } else if (getHalfmoveClock() >= DRAW_RULES.HALFMOVE_AUTOMATIC) {
+            return { result: '1/2-1/2', reason: 'Draw by seventy-five-move rule' };
+        }
+        return null;
+    }
+    
+    /**
+     * Count how often the live position has occurred in this game
+     * Positions only repeat with the same variant state (e.g. the same checks given)
+     * @returns {number} Occurrences, including the current one
+     */
+    function countRepetitions() {
+        const liveFen = getLiveFen();
+        const placement = liveFen.split(' ')[0];
+        const key = getRepetitionKey(liveFen);
+        const variantKey = JSON.stringify(getVariantState());
+        
+        return [{ fen: startFen, variantState: startVariantState }, ...moveHistory]
+            .filter(position => position.fen.split(' ')[0] === placement &&
+                JSON.stringify(position.variantState) === variantKey &&
+                getRepetitionKey(position.fen) === key)
+            .length;
+    }
+    
+    /**
+     * Get the part of a FEN that identifies a position for repetitions: placement,
+     * side to move, castling rights, and the en passant square only if a capture is possible
+     * @param {string} fen - FEN string
+     * @returns {string} Repetition key
+     */
+    function getRepetitionKey(fen) {
+        const fields = fen.split(' ');
+        if (fields[3] !== '-') {
+            // Castling rights never affect en passant; dropping them keeps Chess960 FENs loadable
+            const epFen = [fields[0], fields[1], '-', fields[3], '0', '1'].join(' ');
+            if (!createGame(epFen).moves({ verbose: true }).some(move => move.flags.includes('e'))) {
+                fields[3] = '-';
+            }
+        }
+        return fields.slice(0, 4).join(' ');
+    }
+    
+    /**
+     * Get the halfmove clock of the live position
+     * @returns {number} Plies since the last capture or pawn move
+     */
+    function getHalfmoveClock() {
+        return parseInt(getLiveFen().split(' ')[4], 10) || 0;
+    }
+    
+    /**
+     * Handle a flag fall
+     * @param {string} color - Color whose time ran out
+     */
+    function handleFlag(color) {
+        const winner = color === 'w' ? 'b' : 'w';
+        
+        // Take back a move that was made after the flag fell
+        rebuildGame();
+        if (!isViewingHistory) {
+            renderLiveBoard();
+        }
+        
+        // The flag only loses if the opponent could still win under the variant's rules
+        if (variant.canWin(game, winner)) {
+            finishGame(winner === 'w' ? '1-0' : '0-1', `${getColorName(winner)} wins on time`, 'time forfeit');
+        } else {
+            finishGame('1/2-1/2',
+                `${getColorName(color)} ran out of time, but ${getColorName(winner)} cannot win - draw`, 'time forfeit');
+        }
+        
+        deselectSquare();
+        updateAllUI();
+    }
+    
+    /**
+     * Update all UI elements
+     */
+    function updateAllUI() {
+        updateStatus();
         updateMoveHistory();
+        updateMoveComment();
         updateHistoryNavButtons();
         updatePlayerIndicators();
+        updateTakebackButton();
+        updateGameEndControls();
+        updateVariantStatus();
+        refreshClockDisplay();
+        updateMaterialDisplay();
+        saveGame();
+    }
+    
+    /**
+     * Show the variant being played in the status panel
+     */
+    function updateVariantStatus() {
+        const variantStatus = document.getElementById('variant-status');
+        const variantName = document.getElementById('variant-name');
+        if (!variantStatus || !variantName) return;
+        
+        variantStatus.classList.toggle('hidden', variant.id === 'standard');
+        variantName.textContent = isChess960() && chess960Position !== null
+            ? `Chess960 #${chess960Position}`
+            : variant.name;
+        
+        const variantInfo = document.getElementById('variant-info');
+        if (variantInfo) {
+            const description = variant.describeState(game, getVariantState());
+            variantInfo.textContent = description || '';
+            variantInfo.classList.toggle('hidden', !description);
+        }
     }
     
     /**
@@ -335,11 +1664,15 @@ const GameController = (function() {
         
         if (isViewingHistory) {
             turnElement.textContent = 'Viewing History';
-            const moveData = moveHistory[currentViewIndex];
-            const isWhite = currentViewIndex % 2 === 0;
-            const moveSide = isWhite ? 'White' : 'Black';
-            statusElement.textContent = `Move ${moveData.moveNumber}. ${moveSide}`;
+            const moveData = MoveTree.resolve(moveHistory, viewCursor).node;
+            const line = MoveTree.isInVariation(viewCursor) ? ' (variation)' : '';
+            statusElement.textContent = moveData
+                ? `Move ${moveData.moveNumber}. ${getColorName(moveData.move.color)}${line}`
+                : 'Start position';
             statusElement.style.color = '#3498db';
+            announce(moveData
+                ? `${statusElement.textContent}: ${ChessBoard.describeMove(moveData.move)}`
+                : 'Start position');
             return;
         }
         
@@ -352,14 +1685,11 @@ const GameController = (function() {
         if (customMessage) {
             statusElement.textContent = customMessage;
             statusElement.style.color = '#e74c3c';
-        } else if (game.in_checkmate()) {
-            statusElement.textContent = 'Checkmate!';
-            statusElement.style.color = '#e74c3c';
-        } else if (game.in_stalemate()) {
-            statusElement.textContent = 'Stalemate';
-            statusElement.style.color = '#f39c12';
-        } else if (game.in_draw()) {
-            statusElement.textContent = 'Draw';
+        } else if (gameResult) {
+            statusElement.textContent = `${gameResult.reason} (${gameResult.result})`;
+            statusElement.style.color = gameResult.result === '1/2-1/2' ? '#f39c12' : '#e74c3c';
+        } else if (drawOffer) {
+            statusElement.textContent = `${getColorName(drawOffer.color)} offers a draw`;
             statusElement.style.color = '#f39c12';
         } else if (game.in_check()) {
             statusElement.textContent = 'Check!';
@@ -368,6 +1698,112 @@ const GameController = (function() {
             statusElement.textContent = 'Active';
             statusElement.style.color = '#27ae60';
         }
+        
+        // Check is part of the move's description
+        const lastEntry = moveHistory[moveHistory.length - 1];
+        const news = [lastEntry ? ChessBoard.describeMove(lastEntry.move) : `New game, ${turn} to move`];
+        if (customMessage || gameResult || drawOffer) {
+            news.push(statusElement.textContent);
+        }
+        announce(news.join('. '));
+    }
+    
+    /**
+     * Tell screen readers about a change on the board, unless it was just said
+     * @param {string} message - Text to read out
+     */
+    function announce(message) {
+        const region = document.getElementById('board-announcer');
+        if (!region || message === lastAnnouncement) return;
+        
+        lastAnnouncement = message;
+        region.textContent = message;
+    }
+    
+    /**
+     * Read out the position shown on the board
+     */
+    function announcePosition() {
+        const region = document.getElementById('board-announcer');
+        if (!region) return;
+        
+        // Set even when unchanged, so asking again reads it again
+        lastAnnouncement = null;
+        region.textContent = '';
+        announce(ChessBoard.describePosition(getBoardGame()));
+    }
+    
+    /**
+     * Update the clock display
+     * @param {object} times - Remaining time {w, b} in milliseconds
+     * @param {string} activeColor - Side whose clock is running, or null
+     */
+    function updateClockDisplay(times, activeColor) {
+        const panel = document.getElementById('clock-panel');
+        if (!panel) return;
+        
+        panel.classList.toggle('hidden', !ChessClock.isEnabled());
+        // Keep the bottom clock on the side nearest the player
+        panel.classList.toggle('flipped', ChessBoard.getFlipState());
+        
+        ['w', 'b'].forEach(color => {
+            const clockElement = document.getElementById(color === 'w' ? 'clock-white' : 'clock-black');
+            if (!clockElement) return;
+            
+            clockElement.querySelector('.clock-time').textContent = ChessClock.formatTime(times[color]);
+            clockElement.classList.toggle('active', activeColor === color);
+            clockElement.classList.toggle('low-time', ChessClock.isLowTime(color));
+            clockElement.classList.toggle('flagged', ChessClock.isEnabled() && times[color] <= 0);
+            
+            // Warn once per game when a running clock gets low
+            if (activeColor === color && ChessClock.isLowTime(color) && !lowTimeWarned[color]) {
+                lowTimeWarned[color] = true;
+                Sounds.play('lowTime');
+            }
+        });
+    }
+    
+    /**
+     * Show beside each side of the board the pieces that side has captured, counted from the
+     * start position, and how far it is ahead in material in the position shown
+     */
+    function updateMaterialDisplay() {
+        const board = getBoardGame().board();
+        const lost = Material.getLostPieces(createGame(startFen).board(), board);
+        const balance = Material.getBalance(board);
+        const flipped = ChessBoard.getFlipState();
+        
+        [['material-top', flipped ? 'w' : 'b'], ['material-bottom', flipped ? 'b' : 'w']].forEach(([id, color]) => {
+            const tray = document.getElementById(id);
+            if (!tray) return;
+            
+            const opponent = color === 'w' ? 'b' : 'w';
+            const captured = lost[opponent];
+            const advantage = color === 'w' ? balance : -balance;
+            
+            // One pile per kind of piece
+            const groups = captured.filter((type, index) => captured.indexOf(type) === index).map(type =>
+                '<span class="captured-group">' +
+                captured.filter(other => other === type).map(() => ChessBoard.renderPiece({ type, color: opponent })).join('') +
+                '</span>'
+            );
+            if (advantage > 0) {
+                groups.push(`<span class="material-advantage">+${advantage}</span>`);
+            }
+            
+            const summary = captured.length > 0
+                ? `${getColorName(color)} has captured ${captured.map(type => ChessBoard.describePiece({ type, color: opponent })).join(', ')}`
+                : `${getColorName(color)} has captured nothing`;
+            groups.push(`<span class="visually-hidden">${summary}${advantage > 0 ? `, and is ${advantage} ahead in material` : ''}.</span>`);
+            tray.innerHTML = groups.join('');
+        });
+    }
+    
+    /**
+     * Redraw the clocks with their current state (e.g. after the board is flipped)
+     */
+    function refreshClockDisplay() {
+        updateClockDisplay(ChessClock.getTimes(), ChessClock.getActiveColor());
     }
     
     /**
@@ -375,202 +1811,712 @@ const GameController = (function() {
      * @param {boolean} show - Whether to show AI thinking
      * @param {object} config - Optional player config
      */
-    function updateAIStatus(show, config = null) {
-        const indicator = document.getElementById('ai-thinking');
-        if (!indicator) return;
+    function updateAIStatus(show, config = null) {
+        const indicator = document.getElementById('ai-thinking');
+        if (!indicator) return;
+        
+        if (show && config) {
+            const providerName = AIManager.getProviderDisplayName(config.provider);
+            const difficultyName = AIManager.getDifficultyDisplayName(config.difficulty);
+            indicator.innerHTML = `<span class="spinner">⟳</span> ${providerName} (${difficultyName}) is thinking...`;
+            indicator.classList.remove('hidden');
+        } else {
+            indicator.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Update move history display: the mainline one row per move number,
+     * with variations indented under the move they replace
+     */
+    function updateMoveHistory() {
+        const historyElement = document.getElementById('move-history');
+        if (!historyElement) return;
+        
+        if (moveHistory.length === 0) {
+            historyElement.innerHTML = '<div style="color: #999; font-style: italic;">No moves yet</div>';
+            return;
+        }
+        
+        const selectedKey = isViewingHistory ? MoveTree.toKey(viewCursor) : null;
+        
+        // One row per move number; a game started from a FEN, or continuing after variations, may open with Black's move
+        let html = '';
+        let rowOpen = false;
+        moveHistory.forEach((entry, index) => {
+            const isWhite = entry.move.color === 'w';
+            
+            if (isWhite || !rowOpen) {
+                if (rowOpen) {
+                    html += '</div>';
+                }
+                html += `<div class="move-entry">
+                <span class="move-number">${entry.moveNumber}.</span>`;
+                if (!isWhite) {
+                    html += '<span class="move-item placeholder">...</span>';
+                }
+                rowOpen = true;
+            }
+            
+            const key = MoveTree.toKey([{ index }]);
+            const selectedClass = key === selectedKey ? 'selected' : '';
+            html += `<span class="move-item ${selectedClass}" data-path="${key}" title="${escapeHtml(getMoveTitle(entry))}">${escapeHtml(formatMove(entry))}</span>`;
+            
+            if (entry.variations.length > 0) {
+                html += '</div><div class="move-variations">';
+                entry.variations.forEach((variation, variationIndex) => {
+                    const steps = [{ index, variation: variationIndex }];
+                    html += `<div class="move-variation">${renderVariation(variation, steps, selectedKey)}</div>`;
+                });
+                html += '</div>';
+                rowOpen = false;
+            }
+        });
+        if (rowOpen) {
+            html += '</div>';
+        }
+        
+        if (gameResult) {
+            html += `<div class="move-result">${escapeHtml(gameResult.result)} <span class="move-result-reason">${escapeHtml(gameResult.reason)}</span></div>`;
+        }
+        
+        historyElement.innerHTML = html;
+        
+        // Add click listeners
+        historyElement.querySelectorAll('.move-item[data-path]').forEach(item => {
+            item.addEventListener('click', () => {
+                viewPosition(MoveTree.fromKey(item.dataset.path));
+            });
+        });
+        
+        // Scroll to bottom or selected move
+        if (isViewingHistory) {
+            const selectedMove = historyElement.querySelector('.move-item.selected');
+            if (selectedMove) {
+                selectedMove.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            }
+        } else {
+            historyElement.scrollTop = historyElement.scrollHeight;
+        }
+    }
+    
+    /**
+     * Render a variation as inline moves, with nested variations in parentheses
+     * @param {array} line - Entries of the variation
+     * @param {array} steps - Cursor steps leading into the variation
+     * @param {string|null} selectedKey - Cursor key of the viewed move
+     * @returns {string} HTML
+     */
+    function renderVariation(line, steps, selectedKey) {
+        let html = '';
+        let needsNumber = true;
+        
+        line.forEach((entry, index) => {
+            if (entry.move.color === 'w' || needsNumber) {
+                const number = entry.move.color === 'w' ? `${entry.moveNumber}.` : `${entry.moveNumber}...`;
+                html += `<span class="variation-move-number">${number}</span>`;
+            }
+            
+            const key = MoveTree.toKey([...steps, { index }]);
+            const selectedClass = key === selectedKey ? 'selected' : '';
+            html += `<span class="move-item variation-move ${selectedClass}" data-path="${key}" title="${escapeHtml(getMoveTitle(entry))}">${escapeHtml(formatMove(entry))}</span>`;
+            
+            needsNumber = entry.variations.length > 0;
+            entry.variations.forEach((variation, variationIndex) => {
+                const nestedSteps = [...steps, { index, variation: variationIndex }];
+                html += `<span class="nested-variation">(${renderVariation(variation, nestedSteps, selectedKey)})</span>`;
+            });
+        });
+        
+        return html;
+    }
+    
+    /**
+     * Get the text of a move in the history: its SAN, followed by the symbols of its NAGs
+     * @param {object} entry - Move entry
+     * @returns {string} e.g. 'Nxe5!?'
+     */
+    function formatMove(entry) {
+        return entry.move.san + (entry.nags || []).map(Pgn.getNagSymbol).join('');
+    }
+    
+    /**
+     * Escape text for use in the history's HTML; player names and results may come from an imported PGN
+     * @param {string} text - Text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+    
+    /**
+     * Show the comment on the position shown, e.g. from an imported game
+     */
+    function updateMoveComment() {
+        const commentElement = document.getElementById('move-comment');
+        if (!commentElement) return;
+        
+        const entry = getShownEntry();
+        const comment = entry ? entry.comment : startComment;
+        commentElement.textContent = comment || '';
+        commentElement.hidden = !comment;
+    }
+    
+    /**
+     * Get the tooltip of a move in the history: who played it (the player's name in
+     * imported games), or that it is analysis
+     * @param {object} entry - Move entry
+     * @returns {string} Tooltip text
+     */
+    function getMoveTitle(entry) {
+        if (!entry.player) {
+            return 'Analysis';
+        }
+        if (entry.player.name) {
+            return entry.player.name;
+        }
+        
+        const providerName = AIManager.getProviderDisplayName(entry.player.provider);
+        return entry.player.provider !== AIManager.AIProvider.HUMAN
+            ? `${providerName} (${entry.player.difficulty})`
+            : providerName;
+    }
+    
+    /**
+     * Update player indicators
+     */
+    function updatePlayerIndicators() {
+        // Update white player indicator
+        const whiteProviderEl = document.getElementById('white-provider');
+        const whiteDifficultyEl = document.getElementById('white-difficulty');
+        
+        if (whiteProviderEl) {
+            whiteProviderEl.value = gameMode.white.provider;
+        }
+        if (whiteDifficultyEl) {
+            whiteDifficultyEl.value = gameMode.white.difficulty;
+            whiteDifficultyEl.style.display = gameMode.white.provider === AIManager.AIProvider.HUMAN ? 'none' : 'inline-block';
+        }
+        
+        // Update black player indicator
+        const blackProviderEl = document.getElementById('black-provider');
+        const blackDifficultyEl = document.getElementById('black-difficulty');
+        
+        if (blackProviderEl) {
+            blackProviderEl.value = gameMode.black.provider;
+        }
+        if (blackDifficultyEl) {
+            blackDifficultyEl.value = gameMode.black.difficulty;
+            blackDifficultyEl.style.display = gameMode.black.provider === AIManager.AIProvider.HUMAN ? 'none' : 'inline-block';
+        }
+    }
+    
+    /**
+     * Update history navigation and variation buttons
+     */
+    function updateHistoryNavButtons() {
+        const prevBtn = document.getElementById('prev-move-btn');
+        const nextBtn = document.getElementById('next-move-btn');
+        const backBtn = document.getElementById('back-to-current-btn');
+        
+        if (!prevBtn || !nextBtn || !backBtn) return;
+        
+        if (isViewingHistory) {
+            backBtn.style.display = 'block';
+        } else {
+            backBtn.style.display = 'none';
+        }
+        
+        if (moveHistory.length === 0) {
+            prevBtn.disabled = true;
+            nextBtn.disabled = true;
+        } else if (!isViewingHistory) {
+            prevBtn.disabled = false;
+            nextBtn.disabled = true;
+        } else {
+            prevBtn.disabled = MoveTree.getPrevious(viewCursor) === null;
+            nextBtn.disabled = MoveTree.getNext(moveHistory, viewCursor) === null;
+        }
+        
+        const inVariation = isViewingHistory && MoveTree.isInVariation(viewCursor);
+        const promoteBtn = document.getElementById('promote-variation-btn');
+        const deleteBtn = document.getElementById('delete-variation-btn');
+        if (promoteBtn) {
+            promoteBtn.disabled = !canPromoteVariation();
+            promoteBtn.title = inVariation && !promoteBtn.disabled ? '' : getPromoteHint(inVariation);
+        }
+        if (deleteBtn) {
+            deleteBtn.disabled = !inVariation;
+        }
+    }
+    
+    /**
+     * Explain why the viewed variation cannot be promoted
+     * @param {boolean} inVariation - Whether a variation is being viewed
+     * @returns {string} Tooltip text
+     */
+    function getPromoteHint(inVariation) {
+        return inVariation
+            ? 'Variations of the game\'s own moves can be promoted once the game is over'
+            : 'Select a move in a variation first';
+    }
+    
+    /**
+     * Show a position from the move tree; the end of the mainline is the live position
+     * @param {array} cursor - MoveTree cursor
+     */
+    function viewPosition(cursor) {
+        const isLiveEnd = cursor.length === 1 && cursor[0].index === moveHistory.length - 1;
+        if (isLiveEnd) {
+            returnToCurrent();
+            return;
+        }
+        
+        const { node } = MoveTree.resolve(moveHistory, cursor);
+        
+        deselectSquare();
+        isViewingHistory = true;
+        viewCursor = cursor;
+        viewGame = createGame(node ? node.fen : startFen);
+        
+        ChessBoard.render(viewGame);
+        updateBoardMarkers();
+        updateAllUI();
+    }
+    
+    /**
+     * Show previous move
+     */
+    function showPreviousMove() {
+        if (!isViewingHistory) {
+            if (moveHistory.length > 0) {
+                viewPosition([{ index: moveHistory.length - 2 }]);
+            }
+            return;
+        }
+        
+        const previous = MoveTree.getPrevious(viewCursor);
+        if (previous) {
+            viewPosition(previous);
+        }
+    }
+    
+    /**
+     * Show next move
+     */
+    function showNextMove() {
+        if (!isViewingHistory) {
+            return;
+        }
+        
+        const next = MoveTree.getNext(moveHistory, viewCursor);
+        if (next) {
+            viewPosition(next);
+        }
+    }
+    
+    /**
+     * Return to current position
+     */
+    function returnToCurrent() {
+        if (!isViewingHistory) {
+            return;
+        }
+        
+        deselectSquare();
+        isViewingHistory = false;
+        viewCursor = null;
+        viewGame = null;
+        
+        renderLiveBoard();
+        updateAllUI();
+    }
+    
+    /**
+     * Check whether the viewed variation can be promoted: always within other variations,
+     * but over the game's own moves only once the game is over
+     * @returns {boolean}
+     */
+    function canPromoteVariation() {
+        if (!isViewingHistory || !MoveTree.isInVariation(viewCursor) || pendingPromotion) {
+            return false;
+        }
+        return viewCursor.length > 2 || isGameOver();
+    }
+    
+    /**
+     * Promote the viewed variation, swapping it with the line it branches from
+     * @returns {boolean} True if the variation was promoted
+     */
+    function promoteVariation() {
+        if (!canPromoteVariation()) {
+            return false;
+        }
+        
+        const promotesIntoGame = viewCursor.length === 2;
+        const cursor = MoveTree.promote(moveHistory, viewCursor);
+        
+        // The game's record changed; replay it so the live position matches its new last move
+        if (promotesIntoGame) {
+            rebuildGame();
+        }
+        
+        viewPosition(cursor);
+        return true;
+    }
+    
+    /**
+     * Delete the viewed variation and show the position it branched from
+     * @returns {boolean} True if a variation was deleted
+     */
+    function deleteVariation() {
+        if (!isViewingHistory || !MoveTree.isInVariation(viewCursor) || pendingPromotion) {
+            return false;
+        }
+        
+        viewPosition(MoveTree.remove(moveHistory, viewCursor));
+        return true;
+    }
+    
+    /**
+     * Rebuild the live game by replaying the move history, so that chess.js
+     * keeps the full history it needs for repetition detection
+     */
+    function rebuildGame() {
+        game = createGame(startFen);
+        moveHistory.forEach(entry => {
+            game.move({
+                from: entry.move.from,
+                to: entry.move.to,
+                promotion: entry.move.promotion
+            });
+        });
+    }
+    
+    /**
+     * Get the configured takeback limit
+     * @returns {number|null} Takebacks allowed per game, or null when unlimited
+     */
+    function getTakebackLimit() {
+        return gameMode.takebackLimit === undefined ? null : gameMode.takebackLimit;
+    }
+    
+    /**
+     * Count the plies a takeback removes: everything back to and including
+     * the most recent human move, so that a human is to move again
+     * @returns {number} Plies to remove, or 0 if there is no human move to take back
+     */
+    function getTakebackPlies() {
+        for (let plies = 1; plies <= moveHistory.length; plies++) {
+            const entry = moveHistory[moveHistory.length - plies];
+            if (getPlayerConfig(entry.move.color).provider === AIManager.AIProvider.HUMAN) {
+                return plies;
+            }
+        }
+        return 0;
+    }
+    
+    /**
+     * Check whether a takeback is currently allowed
+     * @returns {boolean}
+     */
+    function canTakeback() {
+        const limit = getTakebackLimit();
         
-        if (show && config) {
-            const providerName = AIManager.getProviderDisplayName(config.provider);
-            const difficultyName = AIManager.getDifficultyDisplayName(config.difficulty);
-            indicator.innerHTML = `<span class="spinner">⟳</span> ${providerName} (${difficultyName}) is thinking...`;
-            indicator.classList.remove('hidden');
-        } else {
-            indicator.classList.add('hidden');
+        if (isAIvsAI() || gameResult || pendingPromotion) {
+            return false;
         }
+        if (limit !== null && takebacks.length >= limit) {
+            return false;
+        }
+        return getTakebackPlies() > 0;
     }
     
     /**
-     * Update move history display
+     * Take back the last human move, together with any AI reply to it
+     * @returns {boolean} True if moves were taken back
      */
-    function updateMoveHistory() {
-        const historyElement = document.getElementById('move-history');
-        if (!historyElement) return;
-        
-        if (moveHistory.length === 0) {
-            historyElement.innerHTML = '<div style="color: #999; font-style: italic;">No moves yet</div>';
-            return;
+    function takeback() {
+        if (!canTakeback()) {
+            return false;
         }
         
-        let html = '';
-        for (let i = 0; i < moveHistory.length; i += 2) {
-            const moveNumber = Math.floor(i / 2) + 1;
-            const whiteMove = moveHistory[i];
-            const blackMove = moveHistory[i + 1];
-            
-            const whiteClass = currentViewIndex === i ? 'selected' : '';
-            const blackClass = currentViewIndex === i + 1 ? 'selected' : '';
-            
-            const whiteProvider = AIManager.getProviderDisplayName(whiteMove.player.provider);
-            const whiteTitle = whiteMove.player.provider !== AIManager.AIProvider.HUMAN 
-                ? `${whiteProvider} (${whiteMove.player.difficulty})` 
-                : whiteProvider;
-            
-            html += `<div class="move-entry">
-                <span class="move-number">${moveNumber}.</span>
-                <span class="move-item ${whiteClass}" data-index="${i}" title="${whiteTitle}">${whiteMove.move.san}</span>`;
-            
-            if (blackMove) {
-                const blackProvider = AIManager.getProviderDisplayName(blackMove.player.provider);
-                const blackTitle = blackMove.player.provider !== AIManager.AIProvider.HUMAN
-                    ? `${blackProvider} (${blackMove.player.difficulty})`
-                    : blackProvider;
-                html += `<span class="move-item ${blackClass}" data-index="${i + 1}" title="${blackTitle}">${blackMove.move.san}</span>`;
-            }
-            
-            html += `</div>`;
-        }
+        cancelAIMove();
+        deselectSquare();
+        drawOffer = null;
+        premoves = [];
         
-        historyElement.innerHTML = html;
+        const plies = getTakebackPlies();
+        const removed = moveHistory.splice(moveHistory.length - plies, plies);
         
-        // Add click listeners
-        historyElement.querySelectorAll('.move-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const index = parseInt(item.dataset.index);
-                viewMoveAtIndex(index);
-            });
+        takebacks.push({
+            ply: moveHistory.length,
+            color: removed[0].move.color,
+            moves: removed.map(entry => entry.move.san),
+            timestamp: Date.now()
         });
         
-        // Scroll to bottom or selected move
-        if (currentViewIndex >= 0) {
-            const selectedMove = historyElement.querySelector('.move-item.selected');
-            if (selectedMove) {
-                selectedMove.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-            }
-        } else {
-            historyElement.scrollTop = historyElement.scrollHeight;
+        isViewingHistory = false;
+        viewCursor = null;
+        viewGame = null;
+        rebuildGame();
+        
+        // Times are kept as they are; only the running side changes
+        if (!isPaused) {
+            ChessClock.start(game.turn());
         }
+        
+        renderLiveBoard();
+        updateAllUI();
+        return true;
     }
     
     /**
-     * Update player indicators
+     * Update the takeback button state and remaining count
      */
-    function updatePlayerIndicators() {
-        // Update white player indicator
-        const whiteProviderEl = document.getElementById('white-provider');
-        const whiteDifficultyEl = document.getElementById('white-difficulty');
+    function updateTakebackButton() {
+        const button = document.getElementById('takeback-btn');
+        if (!button) return;
         
-        if (whiteProviderEl) {
-            whiteProviderEl.value = gameMode.white.provider;
+        const limit = getTakebackLimit();
+        button.style.display = limit === 0 || isAIvsAI() ? 'none' : 'block';
+        button.disabled = !canTakeback();
+        button.textContent = limit === null
+            ? '↶ Takeback'
+            : `↶ Takeback (${Math.max(0, limit - takebacks.length)} left)`;
+    }
+    
+    /**
+     * Get the human side that resigns, offers or claims draws from the game controls:
+     * the human player, or the side to move when both players are human
+     * @returns {string|null} 'w', 'b', or null in AI vs AI games
+     */
+    function getHumanSide() {
+        const whiteHuman = gameMode.white.provider === AIManager.AIProvider.HUMAN;
+        const blackHuman = gameMode.black.provider === AIManager.AIProvider.HUMAN;
+        
+        if (whiteHuman && blackHuman) {
+            return getLiveTurn();
         }
-        if (whiteDifficultyEl) {
-            whiteDifficultyEl.value = gameMode.white.difficulty;
-            whiteDifficultyEl.style.display = gameMode.white.provider === AIManager.AIProvider.HUMAN ? 'none' : 'inline-block';
+        if (whiteHuman) return 'w';
+        if (blackHuman) return 'b';
+        return null;
+    }
+    
+    /**
+     * Check whether the human side may resign
+     * @returns {boolean}
+     */
+    function canResign() {
+        return !isGameOver() && getHumanSide() !== null;
+    }
+    
+    /**
+     * Resign the game for the human side
+     * @returns {boolean} True if the game was resigned
+     */
+    function resign() {
+        if (!canResign()) {
+            return false;
         }
         
-        // Update black player indicator
-        const blackProviderEl = document.getElementById('black-provider');
-        const blackDifficultyEl = document.getElementById('black-difficulty');
+        const winner = getHumanSide() === 'w' ? 'b' : 'w';
+        finishGame(winner === 'w' ? '1-0' : '0-1', `${getColorName(winner)} wins by resignation`);
+        deselectSquare();
+        updateAllUI();
+        return true;
+    }
+    
+    /**
+     * Check whether the human side may offer a draw: on their own move, once per move
+     * @returns {boolean}
+     */
+    function canOfferDraw() {
+        const color = getHumanSide();
         
-        if (blackProviderEl) {
-            blackProviderEl.value = gameMode.black.provider;
-        }
-        if (blackDifficultyEl) {
-            blackDifficultyEl.value = gameMode.black.difficulty;
-            blackDifficultyEl.style.display = gameMode.black.provider === AIManager.AIProvider.HUMAN ? 'none' : 'inline-block';
-        }
+        return color !== null && !isGameOver() && !isAIThinking && !pendingPromotion && !drawOffer &&
+            color === getLiveTurn() && drawOfferPlies[color] !== moveHistory.length;
     }
     
     /**
-     * Update history navigation buttons
+     * Offer a draw from the human side; an AI opponent answers straight away,
+     * a human opponent answers with acceptDraw or declineDraw
+     * @returns {Promise<boolean>} True if the offer was accepted
      */
-    function updateHistoryNavButtons() {
-        const prevBtn = document.getElementById('prev-move-btn');
-        const nextBtn = document.getElementById('next-move-btn');
-        const backBtn = document.getElementById('back-to-current-btn');
+    async function offerDraw() {
+        if (!canOfferDraw()) {
+            return false;
+        }
         
-        if (!prevBtn || !nextBtn || !backBtn) return;
+        const color = getHumanSide();
+        const opponent = color === 'w' ? 'b' : 'w';
+        const opponentConfig = getPlayerConfig(opponent);
         
-        if (isViewingHistory) {
-            backBtn.style.display = 'block';
-        } else {
-            backBtn.style.display = 'none';
+        drawOffer = { color, ply: moveHistory.length };
+        drawOfferPlies[color] = moveHistory.length;
+        
+        if (opponentConfig.provider === AIManager.AIProvider.HUMAN) {
+            updateAllUI();
+            return false;
         }
         
-        if (moveHistory.length === 0) {
-            prevBtn.disabled = true;
-            nextBtn.disabled = true;
-        } else if (!isViewingHistory) {
-            prevBtn.disabled = false;
-            nextBtn.disabled = true;
+        // Moves wait while the AI considers the offer
+        const requestId = ++aiRequestId;
+        isAIThinking = true;
+        updateAIStatus(true, opponentConfig);
+        updateAllUI();
+        
+        const accepted = await AIManager.respondToDrawOffer(opponentConfig, getLiveFen(), opponent, getAIOptions());
+        
+        // Ignore answers overtaken by a takeback, resignation or new game
+        if (requestId !== aiRequestId) {
+            return false;
+        }
+        
+        isAIThinking = false;
+        updateAIStatus(false);
+        drawOffer = null;
+        
+        if (accepted) {
+            finishGame('1/2-1/2', 'Draw by agreement');
+            deselectSquare();
+            updateAllUI();
         } else {
-            prevBtn.disabled = currentViewIndex <= 0;
-            nextBtn.disabled = currentViewIndex >= moveHistory.length - 1;
+            updateAllUI();
+            updateStatus(`${AIManager.getProviderDisplayName(opponentConfig.provider)} declines the draw offer`);
         }
+        return accepted;
     }
     
     /**
-     * View move at specific index
-     * @param {number} index - Move index
+     * Check whether a human player has a draw offer to answer
+     * @returns {boolean}
      */
-    function viewMoveAtIndex(index) {
-        if (index < 0 || index >= moveHistory.length) {
-            return;
+    function canAnswerDrawOffer() {
+        if (!drawOffer || isGameOver()) {
+            return false;
+        }
+        const opponent = drawOffer.color === 'w' ? 'b' : 'w';
+        return getPlayerConfig(opponent).provider === AIManager.AIProvider.HUMAN;
+    }
+    
+    /**
+     * Accept the open draw offer
+     * @returns {boolean} True if the game was drawn
+     */
+    function acceptDraw() {
+        if (!canAnswerDrawOffer()) {
+            return false;
         }
         
-        isViewingHistory = true;
-        currentViewIndex = index;
-        
-        const fen = moveHistory[index].fen;
-        game.load(fen);
+        finishGame('1/2-1/2', 'Draw by agreement');
+        deselectSquare();
+        updateAllUI();
+        return true;
+    }
+    
+    /**
+     * Decline the open draw offer
+     */
+    function declineDraw() {
+        if (!canAnswerDrawOffer()) return;
         
-        ChessBoard.render(game);
+        drawOffer = null;
         updateAllUI();
     }
     
     /**
-     * Show previous move
+     * Get the draw the side to move may claim in the live position
+     * @returns {string|null} 'threefold repetition', 'fifty-move rule', or null
      */
-    function showPreviousMove() {
-        if (!isViewingHistory) {
-            if (moveHistory.length > 0) {
-                viewMoveAtIndex(moveHistory.length - 1);
-            }
-        } else if (currentViewIndex > 0) {
-            viewMoveAtIndex(currentViewIndex - 1);
+    function getDrawClaim() {
+        if (isGameOver()) {
+            return null;
+        }
+        if (countRepetitions() >= DRAW_RULES.REPETITION_CLAIM) {
+            return 'threefold repetition';
+        }
+        if (getHalfmoveClock() >= DRAW_RULES.HALFMOVE_CLAIM) {
+            return 'fifty-move rule';
         }
+        return null;
     }
     
     /**
-     * Show next move
+     * Check whether the human side may claim a draw (only on their own move)
+     * @returns {boolean}
      */
-    function showNextMove() {
-        if (isViewingHistory && currentViewIndex < moveHistory.length - 1) {
-            viewMoveAtIndex(currentViewIndex + 1);
-        } else if (isViewingHistory && currentViewIndex === moveHistory.length - 1) {
-            returnToCurrent();
+    function canClaimDraw() {
+        return getHumanSide() === getLiveTurn() && !isAIThinking && !pendingPromotion &&
+            getDrawClaim() !== null;
+    }
+    
+    /**
+     * Claim a draw by threefold repetition or the fifty-move rule
+     * @returns {boolean} True if the claim ended the game
+     */
+    function claimDraw() {
+        if (!canClaimDraw()) {
+            return false;
         }
+        
+        const claim = getDrawClaim();
+        finishGame('1/2-1/2', `Draw by ${claim} (claimed by ${getColorName(getLiveTurn())})`);
+        deselectSquare();
+        updateAllUI();
+        return true;
     }
     
     /**
-     * Return to current position
+     * Update the resign, draw offer and draw claim controls
      */
-    function returnToCurrent() {
-        if (!isViewingHistory) {
-            return;
+    function updateGameEndControls() {
+        const resignBtn = document.getElementById('resign-btn');
+        const offerDrawBtn = document.getElementById('offer-draw-btn');
+        const claimDrawBtn = document.getElementById('claim-draw-btn');
+        const drawOfferPanel = document.getElementById('draw-offer-panel');
+        const playOnPanel = document.getElementById('play-on-panel');
+        
+        const hasHuman = getHumanSide() !== null;
+        
+        if (resignBtn) {
+            resignBtn.style.display = hasHuman ? 'block' : 'none';
+            resignBtn.disabled = !canResign();
         }
         
-        isViewingHistory = false;
-        currentViewIndex = -1;
+        if (offerDrawBtn) {
+            offerDrawBtn.style.display = hasHuman ? 'block' : 'none';
+            offerDrawBtn.disabled = !canOfferDraw();
+        }
         
-        if (moveHistory.length > 0) {
-            const currentFen = moveHistory[moveHistory.length - 1].fen;
-            game.load(currentFen);
-        } else {
-            game.reset();
+        if (claimDrawBtn) {
+            const canClaim = canClaimDraw();
+            claimDrawBtn.style.display = canClaim ? 'block' : 'none';
+            if (canClaim) {
+                claimDrawBtn.textContent = `Claim Draw (${getDrawClaim()})`;
+            }
         }
         
-        ChessBoard.render(game);
-        updateAllUI();
+        if (drawOfferPanel) {
+            const canAnswer = canAnswerDrawOffer();
+            drawOfferPanel.classList.toggle('hidden', !canAnswer);
+            if (canAnswer) {
+                const opponent = drawOffer.color === 'w' ? 'b' : 'w';
+                drawOfferPanel.querySelector('.draw-offer-text').textContent =
+                    `${getColorName(drawOffer.color)} offers a draw. ${getColorName(opponent)}, do you accept?`;
+            }
+        }
+        
+        if (playOnPanel) {
+            const canPlayOn = canPlayFromPosition();
+            
+            // Suggest taking the side to move when the panel appears, keeping the user's choice after that
+            const sideSelect = document.getElementById('play-on-side');
+            if (canPlayOn && playOnPanel.classList.contains('hidden') && sideSelect) {
+                sideSelect.value = getBoardGame().turn();
+            }
+            playOnPanel.classList.toggle('hidden', !canPlayOn);
+        }
     }
     
     /**
@@ -578,6 +2524,7 @@ const GameController = (function() {
      */
     function pause() {
         isPaused = true;
+        ChessClock.stop();
     }
     
     /**
@@ -585,8 +2532,26 @@ const GameController = (function() {
      */
     function resume() {
         isPaused = false;
-        if (isAIvsAI() && !game.game_over() && !isAIThinking) {
-            setTimeout(() => processAIMove(), CONFIG.AI_DELAY);
+        if (!isGameOver()) {
+            ChessClock.start(getLiveFen().split(' ')[1]);
+        }
+        if (isAIvsAI() && !isGameOver() && !isAIThinking) {
+            scheduleAIMove(CONFIG.AI_DELAY);
+        }
+    }
+    
+    /**
+     * Stop the current game while the board is used for something else:
+     * cancel any pending AI move and stop the clocks
+     */
+    function stop() {
+        cancelAIMove();
+        isPaused = true;
+        ChessClock.stop();
+        
+        if (pendingPromotion) {
+            pendingPromotion = null;
+            ChessBoard.hidePromotionPicker();
         }
     }
     
@@ -598,6 +2563,33 @@ const GameController = (function() {
         CONFIG.AI_VS_AI_DELAY = delay;
     }
     
+    /**
+     * Set how long moves take to animate
+     * @param {number} duration - Time (ms) at normal speed, 0 to turn animation off
+     */
+    function setAnimationDuration(duration) {
+        CONFIG.ANIMATION_DURATION = duration;
+    }
+    
+    /**
+     * Enable or disable automatic queen promotion
+     * @param {boolean} enabled - Promote to a queen without asking
+     */
+    function setAutoQueen(enabled) {
+        CONFIG.AUTO_QUEEN = enabled;
+    }
+    
+    /**
+     * Show or hide the hanging piece overlay
+     * @param {boolean} enabled - Mark attacked, undefended pieces
+     */
+    function setShowHanging(enabled) {
+        CONFIG.SHOW_HANGING = enabled;
+        if (game) {
+            updateBoardMarkers();
+        }
+    }
+    
     /**
      * Get game instance
      * @returns {object} Chess.js game instance
@@ -615,32 +2607,292 @@ const GameController = (function() {
     }
     
     /**
-     * Export game to PGN
+     * Get the position the game started from
+     * @returns {string} Start FEN
+     */
+    function getStartFen() {
+        return startFen;
+    }
+    
+    /**
+     * Get the variant being played
+     * @returns {string} Variant id, e.g. 'standard' or 'threeCheck'
+     */
+    function getVariant() {
+        return variant.id;
+    }
+    
+    /**
+     * Get the Chess960 start position number
+     * @returns {number|null} Position number, or null in standard games
+     */
+    function getChess960Position() {
+        return chess960Position;
+    }
+    
+    /**
+     * Get the takebacks made during this game
+     * @returns {array} Array of {ply, color, moves, timestamp}
+     */
+    function getTakebacks() {
+        return [...takebacks];
+    }
+    
+    /**
+     * Export the game to PGN, built from the move history: the Seven Tag Roster, Termination once the
+     * game is over, TimeControl, the variant and start position, then any other tags of an imported game.
+     * Termination holds the standard value; the reason as shown in the game is the comment before the result
      * @returns {string} PGN string
      */
     function exportPGN() {
-        const headers = game.header();
-        headers['White'] = `${AIManager.getProviderDisplayName(gameMode.white.provider)} (${gameMode.white.difficulty})`;
-        headers['Black'] = `${AIManager.getProviderDisplayName(gameMode.black.provider)} (${gameMode.black.difficulty})`;
+        const result = getResultString();
+        const headers = {
+            Event: gameTags['Event'] || 'Chess Game',
+            Site: gameTags['Site'] || '?',
+            Date: gameTags['Date'] || formatPGNDate(startedAt),
+            Round: gameTags['Round'] || '-',
+            White: gameTags['White'] || GameLibrary.describePlayer(gameMode.white),
+            Black: gameTags['Black'] || GameLibrary.describePlayer(gameMode.black),
+            Result: result
+        };
+        if (gameResult) {
+            headers['Termination'] = gameResult.termination || 'normal';
+        }
+        headers['TimeControl'] = gameTags['TimeControl'] || ChessClock.getTimeControlTag();
+        if (variant.pgnName) {
+            headers['Variant'] = variant.pgnName;
+        }
+        if (startFen !== Position.DEFAULT_FEN || isChess960()) {
+            headers['SetUp'] = '1';
+            headers['FEN'] = startFen;
+        }
+        Object.keys(gameTags).filter(name => !(name in headers)).forEach(name => {
+            headers[name] = gameTags[name];
+        });
+        
+        const headerText = Object.keys(headers)
+            .map(name => `[${name} "${String(headers[name]).replace(/[\\"]/g, '\\$&')}"]`)
+            .join('\n');
+        
+        return `${headerText}\n\n${buildMovetext(result)}\n`;
+    }
+    
+    /**
+     * Format a date for the PGN Date tag
+     * @param {number} time - Timestamp (ms)
+     * @returns {string} e.g. '2026.10.19'
+     */
+    function formatPGNDate(time) {
+        const date = new Date(time);
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+    }
+    
+    /**
+     * Get the PGN result of the game
+     * @returns {string} '1-0', '0-1', '1/2-1/2', or '*' while the game is in progress
+     */
+    function getResultString() {
+        return gameResult ? gameResult.result : '*';
+    }
+    
+    /**
+     * Get the final result of the game
+     * @returns {object|null} {result, reason, termination}, or null while the game is in progress;
+     *                        termination (the PGN Termination value) is missing from games ended by the position
+     */
+    function getGameResult() {
+        return gameResult ? { ...gameResult } : null;
+    }
+    
+    /**
+     * Build PGN movetext from the move history, with %clk comments in timed games,
+     * %cal/%csl comments for drawn arrows and marks, a comment wherever moves were taken back,
+     * and variations
+     * @param {string} result - PGN result token
+     * @returns {string} Movetext wrapped to CONFIG.PGN_LINE_WIDTH
+     */
+    function buildMovetext(result) {
+        const tokens = [];
+        let afterComment = false;
+        
+        // The start position's comment and drawings go before the first move
+        const openingComment = [startComment, Annotations.toPgn(startAnnotations)].filter(Boolean).join(' ');
+        if (openingComment) {
+            tokens.push(`{${openingComment}}`);
+            afterComment = true;
+        }
+        
+        const pushTakebackComments = (ply) => {
+            takebacks.filter(takeback => takeback.ply === ply).forEach(takeback => {
+                const side = takeback.color === 'w' ? 'White' : 'Black';
+                tokens.push(`{Takeback by ${side}: ${takeback.moves.join(' ')}}`);
+                afterComment = true;
+            });
+        };
+        
+        moveHistory.forEach((entry, index) => {
+            pushTakebackComments(index);
+            
+            if (entry.move.color === 'w') {
+                tokens.push(`${entry.moveNumber}.`);
+            } else if (index === 0 || afterComment) {
+                tokens.push(`${entry.moveNumber}...`);
+            }
+            tokens.push(entry.move.san, ...getNagTokens(entry));
+            
+            const comment = getMoveComment(entry);
+            afterComment = comment !== null;
+            if (afterComment) {
+                tokens.push(comment);
+            }
+            
+            // Variations follow the move they replace, as recursive annotation variations
+            entry.variations.forEach(variation => {
+                tokens.push(...getVariationTokens(variation));
+                afterComment = true;
+            });
+        });
+        pushTakebackComments(moveHistory.length);
+        if (gameResult) {
+            tokens.push(`{${gameResult.reason.replace(/}/g, ')')}}`);
+        }
+        tokens.push(result);
+        
+        const lines = [];
+        let line = '';
+        tokens.forEach(token => {
+            if (line && line.length + token.length + 1 > CONFIG.PGN_LINE_WIDTH) {
+                lines.push(line);
+                line = token;
+            } else {
+                line = line ? `${line} ${token}` : token;
+            }
+        });
+        lines.push(line);
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * Get the NAGs of a move in PGN
+     * @param {object} entry - Move tree entry
+     * @returns {array} Tokens such as '$1'
+     */
+    function getNagTokens(entry) {
+        return (entry.nags || []).map(nag => `$${nag}`);
+    }
+    
+    /**
+     * Get the comment that follows a move in PGN: its text; for AI moves the provider, difficulty,
+     * thinking time (%emt) and whether it was a random fallback move; its clock time and its drawn
+     * arrows and marks
+     * @param {object} entry - Move tree entry
+     * @returns {string|null} Comment in braces, or null when there is nothing to say
+     */
+    function getMoveComment(entry) {
+        const commands = entry.comment ? [entry.comment] : [];
+        if (entry.thinkingTime !== undefined) {
+            // Imported moves already carry the description in their comment
+            if (entry.player && entry.player.provider) {
+                const fallback = entry.isFallback ? ', random fallback move' : '';
+                commands.push(`${GameLibrary.describePlayer(entry.player)}${fallback}`);
+            }
+            commands.push(`[%emt ${ChessClock.formatPGNClock(entry.thinkingTime, true)}]`);
+        }
+        if (entry.clock !== undefined) {
+            commands.push(`[%clk ${ChessClock.formatPGNClock(entry.clock)}]`);
+        }
+        
+        const drawing = Annotations.toPgn(entry.annotations);
+        if (drawing) {
+            commands.push(drawing);
+        }
+        return commands.length > 0 ? `{${commands.join(' ')}}` : null;
+    }
+    
+    /**
+     * Get the PGN tokens of a variation, in parentheses, with its own nested variations
+     * @param {array} line - Entries of the variation
+     * @returns {array} Tokens
+     */
+    function getVariationTokens(line) {
+        const tokens = [];
+        let needsNumber = true;
+        
+        line.forEach(entry => {
+            if (entry.move.color === 'w') {
+                tokens.push(`${entry.moveNumber}.`);
+            } else if (needsNumber) {
+                tokens.push(`${entry.moveNumber}...`);
+            }
+            tokens.push(entry.move.san, ...getNagTokens(entry));
+            
+            const comment = getMoveComment(entry);
+            if (comment) {
+                tokens.push(comment);
+            }
+            
+            needsNumber = comment !== null || entry.variations.length > 0;
+            entry.variations.forEach(variation => {
+                tokens.push(...getVariationTokens(variation));
+            });
+        });
         
-        return game.pgn();
+        tokens[0] = `(${tokens[0]}`;
+        tokens[tokens.length - 1] = `${tokens[tokens.length - 1]})`;
+        return tokens;
     }
     
     // Public API
     return {
         init,
+        restoreGame,
+        importGame,
+        getSharedGame,
+        openSharedGame,
+        getSnapshot,
+        saveGame,
+        canPlayFromPosition,
+        playFromPosition,
         setGameMode,
         getGameMode,
         isAIvsAI,
         handleSquareClick,
+        playMove,
+        getBoardGame,
+        getShownDiagramPosition,
+        getMainlineDiagramPositions,
+        flipBoard,
+        announcePosition,
         showPreviousMove,
         showNextMove,
         returnToCurrent,
+        promoteVariation,
+        deleteVariation,
         pause,
         resume,
+        stop,
         setAISpeed,
+        setAnimationDuration,
+        setAutoQueen,
+        setShowHanging,
+        refreshClockDisplay,
+        updateMaterialDisplay,
         getGame,
         getMoveHistory,
+        getStartFen,
+        getVariant,
+        getChess960Position,
+        takeback,
+        canTakeback,
+        getTakebacks,
+        resign,
+        offerDraw,
+        acceptDraw,
+        declineDraw,
+        claimDraw,
+        getGameResult,
         exportPGN,
         CONFIG
     };
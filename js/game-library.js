@@ -0,0 +1,161 @@
+/**
+ * game-library.js - Game Library
+ * Finished games kept in the browser (IndexedDB), with searching, filtering and PGN export
+ *
+ * A record is {id, date, white, black, result, termination, opening, plies, variant, timeControl,
+ * pgn, snapshot}: players are {provider, difficulty}, opening is {eco, name} or null, and snapshot
+ * is the GameController snapshot the game is replayed from.
+ */
+
+const GameLibrary = (function() {
+    'use strict';
+    
+    const DB_NAME = 'chess-library';
+    const DB_VERSION = 1;
+    const STORE = 'games';
+    
+    let dbPromise = null;
+    
+    /**
+     * Check whether the browser can keep a library
+     * @returns {boolean}
+     */
+    function isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+    
+    /**
+     * Open the database, creating it on first use
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('date', 'date');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            
+            // Let a later call try again, e.g. after the user allowed storage
+            dbPromise.catch(() => {
+                dbPromise = null;
+            });
+        }
+        return dbPromise;
+    }
+    
+    /**
+     * Run a request on the games store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function} makeRequest - Called with the store, returns the request
+     * @returns {Promise<*>} Result of the request
+     */
+    async function runRequest(mode, makeRequest) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(STORE, mode).objectStore(STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Add a finished game
+     * @param {object} record - Game record without id
+     * @returns {Promise<number>} Id of the new record
+     */
+    function add(record) {
+        return runRequest('readwrite', store => store.add(record));
+    }
+    
+    /**
+     * Get a game
+     * @param {number} id - Record id
+     * @returns {Promise<object|undefined>}
+     */
+    function get(id) {
+        return runRequest('readonly', store => store.get(id));
+    }
+    
+    /**
+     * Delete a game
+     * @param {number} id - Record id
+     * @returns {Promise}
+     */
+    function remove(id) {
+        return runRequest('readwrite', store => store.delete(id));
+    }
+    
+    /**
+     * List the games that match a search, newest first
+     * @param {object} filter - {text, result, provider, variant}; empty or missing fields match every game.
+     *   text is looked for in the players, opening and termination, result is a PGN result,
+     *   provider must play either side
+     * @returns {Promise<array>} Records
+     */
+    async function list(filter = {}) {
+        const records = await runRequest('readonly', store => store.index('date').getAll());
+        return records.reverse().filter(record => matches(record, filter));
+    }
+    
+    /**
+     * Check whether a game matches a search
+     * @param {object} record - Game record
+     * @param {object} filter - See list()
+     * @returns {boolean}
+     */
+    function matches(record, filter) {
+        if (filter.result && record.result !== filter.result) return false;
+        if (filter.variant && record.variant !== filter.variant) return false;
+        if (filter.provider && record.white.provider !== filter.provider && record.black.provider !== filter.provider) {
+            return false;
+        }
+        
+        const text = (filter.text || '').trim().toLowerCase();
+        if (!text) return true;
+        
+        const searchable = [
+            describePlayer(record.white),
+            describePlayer(record.black),
+            record.opening ? `${record.opening.eco} ${record.opening.name}` : '',
+            record.termination
+        ].join(' ').toLowerCase();
+        return text.split(/\s+/).every(word => searchable.includes(word));
+    }
+    
+    /**
+     * Get the display name of a player
+     * @param {object} player - {provider, difficulty}
+     * @returns {string} e.g. 'Stockfish (Advanced)' or 'Human'
+     */
+    function describePlayer(player) {
+        const name = AIManager.getProviderDisplayName(player.provider);
+        return player.provider === AIManager.AIProvider.HUMAN
+            ? name
+            : `${name} (${AIManager.getDifficultyDisplayName(player.difficulty)})`;
+    }
+    
+    /**
+     * Join games into one PGN file
+     * @param {array} records - Game records
+     * @returns {string} PGN text, games separated by a blank line
+     */
+    function toPgn(records) {
+        return records.map(record => record.pgn.trim()).join('\n\n') + '\n';
+    }
+    
+    // Public API
+    return {
+        isAvailable,
+        add,
+        get,
+        remove,
+        list,
+        describePlayer,
+        toPgn
+    };
+})();
@@ -10,13 +10,15 @@ const ChessGame = (function() {
     const CONFIG = {
         PLAYER_COLOR: 'white', // 'white' or 'black'
         AI_ENABLED: true,
-        AI_DELAY: 500 // Delay before AI moves (for better UX)
+        AI_DELAY: 500, // Delay before AI moves (for better UX)
+        AUTO_QUEEN: false // Promote to a queen without showing the picker
     };
     
     let game;
     let selectedSquare = null;
     let gameMode = 'player-vs-ai'; // 'player-vs-ai', 'player-vs-player', 'ai-vs-ai'
     let isAIThinking = false;
+    let pendingPromotion = false;
     let colorModalListenersAttached = false;
     let gameControlListenersAttached = false;
     
@@ -137,6 +139,11 @@ const ChessGame = (function() {
             return;
         }
         
+        // Wait for the promotion picker to be answered
+        if (pendingPromotion) {
+            return;
+        }
+        
         // Don't allow moves if game is over
         if (game.game_over()) {
             return;
@@ -196,18 +203,33 @@ const ChessGame = (function() {
      * Attempt to make a move
      * @param {string} from - Source square
      * @param {string} to - Destination square
+     * @param {string} promotion - Optional promotion piece ('q', 'r', 'b' or 'n')
      */
-    function attemptMove(from, to) {
-        // Check if this is a pawn promotion
-        const piece = game.get(from);
-        const isPromotion = piece && piece.type === 'p' && 
-                          (to[1] === '8' || to[1] === '1');
+    function attemptMove(from, to, promotion) {
+        // Check if this is a pawn promotion and ask which piece to promote to
+        const isPromotion = game.moves({ square: from, verbose: true })
+            .some(legalMove => legalMove.to === to && legalMove.promotion);
+        
+        if (isPromotion && !promotion) {
+            if (!CONFIG.AUTO_QUEEN) {
+                pendingPromotion = true;
+                ChessBoard.showPromotionPicker(to, game.turn(), (piece) => {
+                    pendingPromotion = false;
+                    attemptMove(from, to, piece);
+                }, () => {
+                    pendingPromotion = false;
+                    deselectSquare();
+                });
+                return;
+            }
+            promotion = 'q';
+        }
         
         // Attempt the move
         const move = game.move({
             from: from,
             to: to,
-            promotion: isPromotion ? 'q' : undefined // Always promote to queen
+            promotion: promotion
         });
         
         if (move) {
@@ -0,0 +1,340 @@
+/**
+ * horde.js - Horde Rules
+ * A chess.js wrapper for games where White is a horde of pawns with no king
+ */
+
+const Horde = (function() {
+    'use strict';
+    
+    // 36 white pawns against the usual black army
+    const START_FEN = 'rnbqkbnr/pppppppp/8/1PP2PP1/PPPPPPPP/PPPPPPPP/PPPPPPPP/PPPPPPPP w kq - 0 1';
+    
+    // The side that plays without a king
+    const HORDE_COLOR = 'w';
+    
+    /**
+     * Create a game that follows Horde rules
+     * chess.js cannot tell when a side without a king is in check, so the horde's moves
+     * are generated as pseudo-legal moves (every one of them is legal) and made by hand.
+     * Horde pawns on the first rank may also advance two squares, without en passant
+     * @param {string} startFen - Start position; defaults to the Horde start position
+     * @returns {object} Game object with the chess.js methods used by the app
+     */
+    function createGame(startFen) {
+        const inner = new Chess();
+        let history = []; // FEN snapshots for undo
+        
+        if (!load(startFen || START_FEN)) {
+            throw new Error(`Invalid Horde position: ${startFen}`);
+        }
+        
+        /**
+         * Load a position
+         * @param {string} newFen - FEN string
+         * @returns {boolean} True if the position was loaded
+         */
+        function load(newFen) {
+            if (!inner.load(Position.normalizeFen(newFen))) {
+                return false;
+            }
+            history = [];
+            return true;
+        }
+        
+        /**
+         * Check whether the horde is to move
+         * @returns {boolean}
+         */
+        function isHordeToMove() {
+            return inner.turn() === HORDE_COLOR;
+        }
+        
+        /**
+         * Get legal moves
+         * @param {object} options - {square, verbose} as in chess.js
+         * @returns {array} SAN strings, or move objects when verbose
+         */
+        function moves(options = {}) {
+            let verboseMoves;
+            
+            if (isHordeToMove()) {
+                verboseMoves = getHordeMoves();
+                if (options.square) {
+                    verboseMoves = verboseMoves.filter(candidate => candidate.from === options.square);
+                }
+            } else {
+                verboseMoves = options.square
+                    ? inner.moves({ square: options.square, verbose: true })
+                    : inner.moves({ verbose: true });
+                verboseMoves.forEach(stripCheck);
+            }
+            
+            return options.verbose ? verboseMoves : verboseMoves.map(candidate => candidate.san);
+        }
+        
+        /**
+         * Make a move
+         * @param {object|string} request - {from, to, promotion} or SAN
+         * @returns {object|null} Move object, or null if illegal
+         */
+        function move(request) {
+            const snapshot = inner.fen();
+            
+            if (!isHordeToMove()) {
+                const result = inner.move(request);
+                if (!result) {
+                    return null;
+                }
+                history.push(snapshot);
+                return stripCheck(result);
+            }
+            
+            const hordeMove = findHordeMove(request);
+            if (!hordeMove) {
+                return null;
+            }
+            
+            inner.load(getFenAfter(hordeMove));
+            history.push(snapshot);
+            return hordeMove;
+        }
+        
+        /**
+         * Take back the last move
+         * @returns {boolean} True if a move was taken back
+         */
+        function undo() {
+            const snapshot = history.pop();
+            if (!snapshot) {
+                return false;
+            }
+            
+            inner.load(snapshot);
+            return true;
+        }
+        
+        /**
+         * Generate the horde's moves, with correct SAN
+         * @returns {array} Verbose move objects
+         */
+        function getHordeMoves() {
+            const hordeMoves = inner.moves({ verbose: true, legal: false });
+            
+            hordeMoves.forEach(candidate => {
+                candidate.san = getSan(candidate, hordeMoves);
+            });
+            
+            return hordeMoves.concat(getFirstRankPushes());
+        }
+        
+        /**
+         * Generate two-square advances of pawns on the first rank
+         * @returns {array} Verbose move objects
+         */
+        function getFirstRankPushes() {
+            const pushes = [];
+            const rank = HORDE_COLOR === 'w' ? ['1', '2', '3'] : ['8', '7', '6'];
+            
+            'abcdefgh'.split('').forEach(file => {
+                const pawn = inner.get(file + rank[0]);
+                if (pawn && pawn.type === 'p' && pawn.color === HORDE_COLOR &&
+                    !inner.get(file + rank[1]) && !inner.get(file + rank[2])) {
+                    const push = {
+                        color: HORDE_COLOR,
+                        from: file + rank[0],
+                        to: file + rank[2],
+                        flags: 'n',
+                        piece: 'p'
+                    };
+                    push.san = push.to + getCheckSuffix(push);
+                    pushes.push(push);
+                }
+            });
+            
+            return pushes;
+        }
+        
+        /**
+         * Rewrite the SAN chess.js gives a horde move
+         * chess.js disambiguates with its own legal moves, which are wrong for a side without a king;
+         * its check marker is right, as it only looks at the black king
+         * @param {object} candidate - Verbose move object from chess.js
+         * @param {array} hordeMoves - All of the horde's moves
+         * @returns {string} SAN
+         */
+        function getSan(candidate, hordeMoves) {
+            const isCapture = candidate.flags.includes('c') || candidate.flags.includes('e');
+            let san = '';
+            
+            if (candidate.piece === 'p') {
+                san += isCapture ? `${candidate.from[0]}x` : '';
+            } else {
+                san += candidate.piece.toUpperCase() + getDisambiguator(candidate, hordeMoves);
+                san += isCapture ? 'x' : '';
+            }
+            
+            san += candidate.to;
+            if (candidate.promotion) {
+                san += `=${candidate.promotion.toUpperCase()}`;
+            }
+            
+            return san + (candidate.san.match(/[+#]$/) || [''])[0];
+        }
+        
+        /**
+         * Get the file and/or rank needed to tell a piece move apart from the same move by a twin
+         * @param {object} candidate - Verbose move object
+         * @param {array} hordeMoves - All of the horde's moves
+         * @returns {string} Disambiguator, possibly empty
+         */
+        function getDisambiguator(candidate, hordeMoves) {
+            const twins = hordeMoves.filter(other => other.piece === candidate.piece &&
+                other.to === candidate.to && other.from !== candidate.from);
+            
+            if (twins.length === 0) {
+                return '';
+            }
+            if (twins.every(other => other.from[0] !== candidate.from[0])) {
+                return candidate.from[0];
+            }
+            if (twins.every(other => other.from[1] !== candidate.from[1])) {
+                return candidate.from[1];
+            }
+            return candidate.from;
+        }
+        
+        /**
+         * Get '+' or '#' when a horde move that chess.js does not know gives check or mate
+         * @param {object} candidate - Verbose move object
+         * @returns {string} Check suffix, possibly empty
+         */
+        function getCheckSuffix(candidate) {
+            const after = new Chess(getFenAfter(candidate));
+            if (!after.in_check()) {
+                return '';
+            }
+            return after.in_checkmate() ? '#' : '+';
+        }
+        
+        /**
+         * Work out the position after a horde move
+         * @param {object} hordeMove - Verbose move object
+         * @returns {string} FEN string
+         */
+        function getFenAfter(hordeMove) {
+            const fields = inner.fen().split(' ');
+            const scratch = new Chess(inner.fen());
+            
+            scratch.remove(hordeMove.from);
+            if (hordeMove.flags.includes('e')) {
+                scratch.remove(hordeMove.to[0] + hordeMove.from[1]);
+            }
+            scratch.put({ type: hordeMove.promotion || hordeMove.piece, color: hordeMove.color }, hordeMove.to);
+            
+            // Capturing a rook on its home square takes away that castling right
+            let castling = fields[2];
+            if (hordeMove.to === 'a8') castling = castling.replace('q', '');
+            if (hordeMove.to === 'h8') castling = castling.replace('k', '');
+            if (hordeMove.to === 'a1') castling = castling.replace('Q', '');
+            if (hordeMove.to === 'h1') castling = castling.replace('K', '');
+            
+            const isBigPawnPush = hordeMove.flags.includes('b');
+            const isReset = hordeMove.piece === 'p' || Boolean(hordeMove.captured);
+            const turn = hordeMove.color === 'w' ? 'b' : 'w';
+            
+            return [
+                scratch.fen().split(' ')[0],
+                turn,
+                castling || '-',
+                isBigPawnPush ? hordeMove.from[0] + (hordeMove.color === 'w' ? '3' : '6') : '-',
+                isReset ? 0 : parseInt(fields[4], 10) + 1,
+                parseInt(fields[5], 10) + (hordeMove.color === 'b' ? 1 : 0)
+            ].join(' ');
+        }
+        
+        /**
+         * Find the horde move a move request refers to
+         * @param {object|string} request - {from, to, promotion} or SAN
+         * @returns {object|null} Horde move, or null
+         */
+        function findHordeMove(request) {
+            const hordeMoves = getHordeMoves();
+            
+            if (typeof request === 'string') {
+                const san = request.replace(/[+#?!]/g, '');
+                return hordeMoves.find(candidate => candidate.san.replace(/[+#]/g, '') === san) || null;
+            }
+            
+            if (!request || !request.from || !request.to) {
+                return null;
+            }
+            
+            return hordeMoves.find(candidate => candidate.from === request.from &&
+                candidate.to === request.to &&
+                (!candidate.promotion || candidate.promotion === (request.promotion || 'q'))) || null;
+        }
+        
+        /**
+         * Drop the check markers chess.js adds when it looks for the horde's missing king
+         * @param {object} result - Verbose move object of the side with the king
+         * @returns {object} The same move object
+         */
+        function stripCheck(result) {
+            result.san = result.san.replace(/[+#]$/, '');
+            return result;
+        }
+        
+        /**
+         * Check for stalemate: the side to move is not in check but has no moves
+         * @returns {boolean}
+         */
+        function inStalemate() {
+            return isHordeToMove() ? getHordeMoves().length === 0 : inner.in_stalemate();
+        }
+        
+        /**
+         * Check for a draw by stalemate or the fifty-move rule
+         * @returns {boolean}
+         */
+        function inDraw() {
+            return inStalemate() || parseInt(inner.fen().split(' ')[4], 10) >= 100;
+        }
+        
+        return {
+            load,
+            fen: () => inner.fen(),
+            moves,
+            move,
+            undo,
+            board: () => inner.board(),
+            get: square => inner.get(square),
+            turn: () => inner.turn(),
+            header: (...args) => inner.header(...args),
+            in_check: () => !isHordeToMove() && inner.in_check(),
+            in_checkmate: () => !isHordeToMove() && inner.in_checkmate(),
+            in_stalemate: inStalemate,
+            // Black can always still capture the horde, and the horde can still promote
+            insufficient_material: () => false,
+            in_draw: inDraw,
+            game_over: () => (!isHordeToMove() && inner.in_checkmate()) || inDraw()
+        };
+    }
+    
+    /**
+     * Count the pieces the horde has left
+     * @param {object} game - Game object
+     * @returns {number} Number of horde pieces on the board
+     */
+    function countHordePieces(game) {
+        return game.board().reduce((total, row) =>
+            total + row.filter(piece => piece && piece.color === HORDE_COLOR).length, 0);
+    }
+    
+    // Public API
+    return {
+        START_FEN,
+        HORDE_COLOR,
+        createGame,
+        countHordePieces
+    };
+})();
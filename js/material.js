@@ -0,0 +1,80 @@
+/**
+ * material.js - Material Balance
+ * Pieces each side has lost since the start position, and who is ahead in material
+ *
+ * Everything is worked out from positions rather than from the moves played, so it is right
+ * for any position shown, in games started from a FEN and in variants with other armies.
+ */
+
+const Material = (function() {
+    'use strict';
+    
+    // Piece values in pawns
+    const VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+    
+    // Order pieces are listed in, most valuable first
+    const ORDER = ['q', 'r', 'b', 'n', 'p'];
+    
+    /**
+     * Count the pieces of each side
+     * @param {array} board - Board from game.board()
+     * @returns {object} {w: {p, n, b, r, q, k}, b: {...}}
+     */
+    function countPieces(board) {
+        const counts = {
+            w: { p: 0, n: 0, b: 0, r: 0, q: 0, k: 0 },
+            b: { p: 0, n: 0, b: 0, r: 0, q: 0, k: 0 }
+        };
+        
+        board.forEach(row => row.forEach(piece => {
+            if (piece) {
+                counts[piece.color][piece.type]++;
+            }
+        }));
+        return counts;
+    }
+    
+    /**
+     * Find the pieces each side has lost since the start position. A piece that is there
+     * more often than at the start came from a promoted pawn, so that pawn is not counted as lost
+     * @param {array} startBoard - Board of the start position
+     * @param {array} board - Board of the current position
+     * @returns {object} {w: types, b: types}: lost pieces of each side, most valuable first
+     */
+    function getLostPieces(startBoard, board) {
+        const start = countPieces(startBoard);
+        const current = countPieces(board);
+        const lost = {};
+        
+        ['w', 'b'].forEach(color => {
+            const promoted = ORDER.filter(type => type !== 'p')
+                .reduce((sum, type) => sum + Math.max(0, current[color][type] - start[color][type]), 0);
+            
+            lost[color] = ORDER.flatMap(type => {
+                const missing = type === 'p'
+                    ? start[color].p - current[color].p - promoted
+                    : start[color][type] - current[color][type];
+                return Array(Math.max(0, missing)).fill(type);
+            });
+        });
+        return lost;
+    }
+    
+    /**
+     * Get the material balance of a position
+     * @param {array} board - Board from game.board()
+     * @returns {number} White's material minus Black's, in pawns
+     */
+    function getBalance(board) {
+        const counts = countPieces(board);
+        return Object.keys(VALUES).reduce((sum, type) => sum + VALUES[type] * (counts.w[type] - counts.b[type]), 0);
+    }
+    
+    // Public API
+    return {
+        VALUES,
+        countPieces,
+        getLostPieces,
+        getBalance
+    };
+})();
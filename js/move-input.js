@@ -0,0 +1,276 @@
+/**
+ * move-input.js - Keyboard Move Entry
+ * A text box that takes moves in SAN (Nf3, exd5, O-O, e8=N) or UCI (e2e4), with autocomplete
+ */
+
+const MoveInput = (function() {
+    'use strict';
+    
+    // Suggestions shown at most
+    const MAX_SUGGESTIONS = 8;
+    
+    let inputElement = null;
+    let suggestionsElement = null;
+    let suggestions = [];   // Moves listed under the box
+    let activeIndex = -1;   // Suggestion picked with the arrow keys
+    
+    /**
+     * Attach the move box
+     * @param {string} inputId - ID of the text input
+     * @param {string} suggestionsId - ID of the list that shows suggestions
+     */
+    function init(inputId, suggestionsId) {
+        inputElement = document.getElementById(inputId);
+        suggestionsElement = document.getElementById(suggestionsId);
+        if (!inputElement || !suggestionsElement) return;
+        
+        inputElement.addEventListener('input', updateSuggestions);
+        inputElement.addEventListener('keydown', handleKeyDown);
+        inputElement.addEventListener('blur', () => {
+            // Let a click on a suggestion land before the list goes away
+            setTimeout(hideSuggestions, 150);
+        });
+    }
+    
+    /**
+     * Handle keys in the move box
+     * @param {KeyboardEvent} event - Key down event
+     */
+    function handleKeyDown(event) {
+        switch (event.key) {
+            case 'Enter':
+                event.preventDefault();
+                submit(activeIndex >= 0 ? suggestions[activeIndex].san : inputElement.value);
+                break;
+            case 'Tab':
+                // Complete to the only suggestion, or the one picked with the arrow keys
+                if (suggestions.length === 1 || activeIndex >= 0) {
+                    event.preventDefault();
+                    inputElement.value = suggestions[Math.max(activeIndex, 0)].san;
+                    updateSuggestions();
+                }
+                break;
+            case 'ArrowDown':
+            case 'ArrowUp':
+                if (suggestions.length > 0) {
+                    event.preventDefault();
+                    const step = event.key === 'ArrowDown' ? 1 : -1;
+                    activeIndex = (activeIndex + step + suggestions.length + 1) % (suggestions.length + 1);
+                    if (activeIndex === suggestions.length) {
+                        activeIndex = -1;
+                    }
+                    renderSuggestions();
+                }
+                break;
+            case 'Escape':
+                clear();
+                inputElement.blur();
+                break;
+        }
+    }
+    
+    /**
+     * Play the move the text stands for
+     * @param {string} text - SAN or UCI
+     */
+    function submit(text) {
+        const match = findMoves(text);
+        
+        if (match.exact.length === 1) {
+            const move = match.exact[0];
+            if (GameController.playMove(move.from, move.to, move.promotion)) {
+                clear();
+                return;
+            }
+            showError(`${move.san} cannot be played now`);
+            return;
+        }
+        
+        if (match.exact.length > 1 || match.partial.length > 1) {
+            showError(`Ambiguous: ${(match.exact.length > 1 ? match.exact : match.partial).map(move => move.san).join(', ')}`);
+        } else {
+            showError(`${text.trim() || 'Empty move'} is not a legal move`);
+        }
+    }
+    
+    /**
+     * Find the legal moves that match typed text
+     * Check marks, capture and promotion signs are optional, 0-0 stands for O-O, and a piece move
+     * typed without the file or rank it needs matches each of the moves it could mean.
+     * Piece letters may be typed in lower case when the upper case text matches nothing
+     * @param {string} text - SAN or UCI, possibly incomplete
+     * @returns {object} {exact, partial}: moves the text names, and moves it is the start of
+     */
+    function findMoves(text) {
+        const game = GameController.getBoardGame();
+        const typed = text.trim();
+        if (!game || typed === '') {
+            return { exact: [], partial: [] };
+        }
+        
+        const moves = game.moves({ verbose: true });
+        const uci = typed.toLowerCase();
+        const key = simplify(typed);
+        const select = compare => {
+            if (key === '') {
+                return moves.filter(move => getUci(move) === uci);
+            }
+            const found = moves.filter(move => getUci(move) === uci || getNames(move).some(name => compare(name, key)));
+            if (found.length > 0) {
+                return found;
+            }
+            return moves.filter(move => getNames(move).some(name => compare(name.toLowerCase(), key.toLowerCase())));
+        };
+        
+        return {
+            exact: select((name, key) => name === key),
+            partial: moves.filter(move => getUci(move).startsWith(uci))
+                .concat(select((name, key) => name.startsWith(key)))
+                .filter((move, index, all) => all.indexOf(move) === index)
+        };
+    }
+    
+    /**
+     * Get the simplified names a move can be typed as: its SAN, and for piece moves
+     * the SAN without file or rank to tell twins apart
+     * @param {object} move - Verbose move object
+     * @returns {array} Names
+     */
+    function getNames(move) {
+        const names = [simplify(move.san)];
+        if (move.piece !== 'p' && !/[kq]/.test(move.flags)) {
+            names.push(move.piece.toUpperCase() + move.to);
+        }
+        return names;
+    }
+    
+    /**
+     * Strip the parts of SAN that may be left out when typing
+     * @param {string} san - SAN, complete or not
+     * @returns {string}
+     */
+    function simplify(san) {
+        return san.replace(/0/g, 'O').replace(/[+#!?x=:-]/g, '');
+    }
+    
+    /**
+     * Get a move in UCI notation
+     * @param {object} move - Verbose move object
+     * @returns {string}
+     */
+    function getUci(move) {
+        return move.from + move.to + (move.promotion || '');
+    }
+    
+    /**
+     * List the moves that match the text typed so far
+     */
+    function updateSuggestions() {
+        const match = findMoves(inputElement.value);
+        const exactSans = match.exact.map(move => move.san);
+        
+        // Moves the text names come first, then the ones it could still become
+        suggestions = match.exact.concat(match.partial.filter(move => !exactSans.includes(move.san)))
+            .slice(0, MAX_SUGGESTIONS);
+        activeIndex = -1;
+        inputElement.classList.remove('invalid');
+        renderSuggestions();
+    }
+    
+    /**
+     * Draw the suggestion list
+     */
+    function renderSuggestions() {
+        suggestionsElement.innerHTML = '';
+        suggestionsElement.classList.toggle('hidden', suggestions.length === 0);
+        
+        suggestions.forEach((move, index) => {
+            const item = document.createElement('li');
+            item.className = 'move-suggestion' + (index === activeIndex ? ' active' : '');
+            item.textContent = move.san;
+            item.title = getUci(move);
+            item.addEventListener('mousedown', event => {
+                // Keep the focus in the box
+                event.preventDefault();
+                submit(move.san);
+            });
+            suggestionsElement.appendChild(item);
+        });
+    }
+    
+    /**
+     * Hide the suggestion list
+     */
+    function hideSuggestions() {
+        suggestions = [];
+        activeIndex = -1;
+        if (suggestionsElement) {
+            renderSuggestions();
+        }
+    }
+    
+    /**
+     * Show why the typed move was not played
+     * @param {string} message - Error text
+     */
+    function showError(message) {
+        inputElement.classList.add('invalid');
+        inputElement.title = message;
+        suggestionsElement.innerHTML = '';
+        suggestionsElement.classList.remove('hidden');
+        
+        const item = document.createElement('li');
+        item.className = 'move-suggestion error';
+        item.textContent = message;
+        suggestionsElement.appendChild(item);
+        suggestions = [];
+        activeIndex = -1;
+    }
+    
+    /**
+     * Empty the move box
+     */
+    function clear() {
+        if (!inputElement) return;
+        
+        inputElement.value = '';
+        inputElement.title = '';
+        inputElement.classList.remove('invalid');
+        hideSuggestions();
+    }
+    
+    /**
+     * Put the cursor in the move box
+     */
+    function focus() {
+        if (inputElement) {
+            inputElement.focus();
+        }
+    }
+    
+    /**
+     * Check whether an element is the move box
+     * @param {Element} element - Element to test
+     * @returns {boolean}
+     */
+    function isInput(element) {
+        return element !== null && element === inputElement;
+    }
+    
+    /**
+     * Check whether the move box is empty
+     * @returns {boolean}
+     */
+    function isEmpty() {
+        return !inputElement || inputElement.value === '';
+    }
+    
+    // Public API
+    return {
+        init,
+        clear,
+        focus,
+        isInput,
+        isEmpty
+    };
+})();
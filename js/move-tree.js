@@ -0,0 +1,204 @@
+/**
+ * move-tree.js - Move Tree
+ * Variations branching off the game's moves, and cursors that point into them
+ *
+ * The mainline is an array of move entries. Every entry has a `variations` array of
+ * alternative lines to that move, each line again an array of entries with their own
+ * variations. A cursor is a list of steps from the mainline, [{index, variation}, ..., {index}]:
+ * every step but the last enters variation `variation` of the move at `index`, and the last
+ * step picks a move in the innermost line. [{index: -1}] is the start position.
+ */
+
+const MoveTree = (function() {
+    'use strict';
+    
+    /**
+     * Find the line and move a cursor points at
+     * @param {array} mainline - Mainline entries
+     * @param {array} cursor - Cursor steps
+     * @returns {object} {line, index, node}; node is null at the start position
+     */
+    function resolve(mainline, cursor) {
+        let line = mainline;
+        for (let i = 0; i < cursor.length - 1; i++) {
+            line = line[cursor[i].index].variations[cursor[i].variation];
+        }
+        
+        const index = cursor[cursor.length - 1].index;
+        return { line, index, node: index >= 0 ? line[index] : null };
+    }
+    
+    /**
+     * Rewrite a cursor that points before the first move of a variation
+     * to the move the variation branches after
+     * @param {array} cursor - Cursor steps
+     * @returns {array} Normalized copy
+     */
+    function normalize(cursor) {
+        const steps = cursor.map(step => ({ ...step }));
+        
+        while (steps.length > 1 && steps[steps.length - 1].index < 0) {
+            steps.pop();
+            steps[steps.length - 1] = { index: steps[steps.length - 1].index - 1 };
+        }
+        
+        return steps;
+    }
+    
+    /**
+     * Replace the last step of a cursor
+     * @param {array} cursor - Cursor steps
+     * @param {number} index - New index in the innermost line
+     * @returns {array} New cursor
+     */
+    function withIndex(cursor, index) {
+        return [...cursor.slice(0, -1), { index }];
+    }
+    
+    /**
+     * Get the cursor of the previous position
+     * @param {array} cursor - Cursor steps
+     * @returns {array|null} Previous cursor, or null at the start position
+     */
+    function getPrevious(cursor) {
+        const index = cursor[cursor.length - 1].index;
+        if (cursor.length === 1 && index < 0) {
+            return null;
+        }
+        return normalize(withIndex(cursor, index - 1));
+    }
+    
+    /**
+     * Get the cursor of the next move in the same line
+     * @param {array} mainline - Mainline entries
+     * @param {array} cursor - Cursor steps
+     * @returns {array|null} Next cursor, or null at the end of the line
+     */
+    function getNext(mainline, cursor) {
+        const { line, index } = resolve(mainline, cursor);
+        return index + 1 < line.length ? withIndex(cursor, index + 1) : null;
+    }
+    
+    /**
+     * Play a move from the position a cursor points at: follow the line or an existing
+     * variation if one starts with the move, otherwise start a new variation
+     * @param {array} mainline - Mainline entries
+     * @param {array} cursor - Cursor steps
+     * @param {object} node - Entry for the move, with an empty variations array
+     * @param {function} isSameMove - Compares an existing entry's move with the new one
+     * @returns {array} Cursor of the move
+     */
+    function addMove(mainline, cursor, node, isSameMove) {
+        const { line, index } = resolve(mainline, cursor);
+        const next = line[index + 1];
+        
+        if (!next) {
+            line.push(node);
+            return withIndex(cursor, index + 1);
+        }
+        if (isSameMove(next.move)) {
+            return withIndex(cursor, index + 1);
+        }
+        
+        let variation = next.variations.findIndex(existing => isSameMove(existing[0].move));
+        if (variation < 0) {
+            variation = next.variations.push([node]) - 1;
+        }
+        return [...cursor.slice(0, -1), { index: index + 1, variation }, { index: 0 }];
+    }
+    
+    /**
+     * Check whether a cursor points into a variation
+     * @param {array} cursor - Cursor steps
+     * @returns {boolean}
+     */
+    function isInVariation(cursor) {
+        return cursor.length > 1;
+    }
+    
+    /**
+     * Get the line a cursor's innermost variation branches from, and where
+     * @param {array} mainline - Mainline entries
+     * @param {array} cursor - Cursor steps into a variation
+     * @returns {object} {line, branch: entry the variation replaces, branchIndex, variationIndex}
+     */
+    function getBranch(mainline, cursor) {
+        const branchStep = cursor[cursor.length - 2];
+        const { line } = resolve(mainline, [...cursor.slice(0, -2), { index: branchStep.index }]);
+        
+        return {
+            line,
+            branch: line[branchStep.index],
+            branchIndex: branchStep.index,
+            variationIndex: branchStep.variation
+        };
+    }
+    
+    /**
+     * Swap the innermost variation at a cursor with the line it branches from;
+     * the rest of that line becomes a variation in its place
+     * @param {array} mainline - Mainline entries (changed in place)
+     * @param {array} cursor - Cursor steps into a variation
+     * @returns {array} Cursor of the same move after the swap
+     */
+    function promote(mainline, cursor) {
+        const { line, branch, branchIndex, variationIndex } = getBranch(mainline, cursor);
+        const variation = branch.variations[variationIndex];
+        const siblings = [...branch.variations];
+        
+        const demoted = line.splice(branchIndex, line.length - branchIndex, ...variation);
+        siblings[variationIndex] = demoted;
+        branch.variations = [];
+        variation[0].variations = siblings.concat(variation[0].variations);
+        
+        return [...cursor.slice(0, -2), { index: branchIndex + cursor[cursor.length - 1].index }];
+    }
+    
+    /**
+     * Delete the innermost variation at a cursor
+     * @param {array} mainline - Mainline entries (changed in place)
+     * @param {array} cursor - Cursor steps into a variation
+     * @returns {array} Cursor of the position the variation branched from
+     */
+    function remove(mainline, cursor) {
+        const { branch, branchIndex, variationIndex } = getBranch(mainline, cursor);
+        branch.variations.splice(variationIndex, 1);
+        
+        return normalize([...cursor.slice(0, -2), { index: branchIndex - 1 }]);
+    }
+    
+    /**
+     * Turn a cursor into a string, e.g. for data attributes
+     * @param {array} cursor - Cursor steps
+     * @returns {string} Key such as '4:0/2'
+     */
+    function toKey(cursor) {
+        return cursor.map(step => step.variation === undefined ? `${step.index}` : `${step.index}:${step.variation}`).join('/');
+    }
+    
+    /**
+     * Read a cursor back from its key
+     * @param {string} key - Key from toKey
+     * @returns {array} Cursor steps
+     */
+    function fromKey(key) {
+        return key.split('/').map(part => {
+            const [index, variation] = part.split(':').map(Number);
+            return variation === undefined ? { index } : { index, variation };
+        });
+    }
+    
+    // Public API
+    return {
+        resolve,
+        getPrevious,
+        getNext,
+        addMove,
+        isInVariation,
+        getBranch,
+        promote,
+        remove,
+        toKey,
+        fromKey
+    };
+})();
@@ -0,0 +1,237 @@
+/**
+ * openings.js - Opening Names
+ * Names the opening of a game from a table of well-known lines with their ECO codes
+ *
+ * Lines are matched by position rather than by move order, so transpositions are named too.
+ * The deepest line a game passes through gives its name.
+ */
+
+const Openings = (function() {
+    'use strict';
+    
+    // [ECO code, name, moves from the standard start position]
+    const LINES = [
+        ['A00', 'Polish Opening', 'b4'],
+        ['A00', 'Grob Opening', 'g4'],
+        ['A00', 'Van Geet Opening', 'Nc3'],
+        ['A00', 'Hungarian Opening', 'g3'],
+        ['A01', "Nimzo-Larsen Attack", 'b3'],
+        ['A02', "Bird's Opening", 'f4'],
+        ['A03', "Bird's Opening: Dutch Variation", 'f4 d5'],
+        ['A02', "Bird's Opening: From's Gambit", 'f4 e5'],
+        ['A04', 'Réti Opening', 'Nf3'],
+        ['A06', 'Réti Opening', 'Nf3 d5'],
+        ['A07', "King's Indian Attack", 'Nf3 d5 g3'],
+        ['A09', 'Réti Opening: Advance Variation', 'Nf3 d5 c4 d4'],
+        ['A09', 'Réti Opening: Réti Accepted', 'Nf3 d5 c4 dxc4'],
+        ['A10', 'English Opening', 'c4'],
+        ['A13', 'English Opening: Agincourt Defense', 'c4 e6'],
+        ['A15', 'English Opening: Anglo-Indian Defense', 'c4 Nf6'],
+        ['A16', 'English Opening: Anglo-Indian Defense', 'c4 Nf6 Nc3'],
+        ['A20', "English Opening: King's English Variation", 'c4 e5'],
+        ['A21', "English Opening: King's English Variation", 'c4 e5 Nc3'],
+        ['A22', 'English Opening: Two Knights Variation', 'c4 e5 Nc3 Nf6'],
+        ['A25', 'English Opening: Closed', 'c4 e5 Nc3 Nc6 g3'],
+        ['A30', 'English Opening: Symmetrical Variation', 'c4 c5'],
+        ['A40', "Queen's Pawn Game", 'd4'],
+        ['A40', 'Englund Gambit', 'd4 e5'],
+        ['A41', 'Old Indian Defense', 'd4 d6'],
+        ['A45', 'Indian Defense', 'd4 Nf6'],
+        ['A45', 'Trompowsky Attack', 'd4 Nf6 Bg5'],
+        ['A46', "Indian Defense: Knights Variation", 'd4 Nf6 Nf3'],
+        ['D02', 'London System', 'd4 d5 Nf3 Nf6 Bf4'],
+        ['A48', 'London System', 'd4 Nf6 Nf3 g6 Bf4'],
+        ['A46', 'London System', 'd4 Nf6 Nf3 e6 Bf4'],
+        ['A51', 'Budapest Defense', 'd4 Nf6 c4 e5'],
+        ['A56', 'Benoni Defense', 'd4 Nf6 c4 c5'],
+        ['A57', 'Benko Gambit', 'd4 Nf6 c4 c5 d5 b5'],
+        ['A60', 'Modern Benoni', 'd4 Nf6 c4 c5 d5 e6'],
+        ['A80', 'Dutch Defense', 'd4 f5'],
+        ['A83', 'Dutch Defense: Staunton Gambit', 'd4 f5 e4'],
+        ['A87', 'Dutch Defense: Leningrad Variation', 'd4 f5 c4 Nf6 g3 g6'],
+        ['A90', 'Dutch Defense: Stonewall Variation', 'd4 f5 c4 Nf6 g3 e6 Bg2 d5'],
+        ['B00', "King's Pawn Game", 'e4'],
+        ['B00', 'Nimzowitsch Defense', 'e4 Nc6'],
+        ['B00', "Owen's Defense", 'e4 b6'],
+        ['B01', 'Scandinavian Defense', 'e4 d5'],
+        ['B01', 'Scandinavian Defense: Main Line', 'e4 d5 exd5 Qxd5 Nc3 Qa5'],
+        ['B01', 'Scandinavian Defense: Modern Variation', 'e4 d5 exd5 Nf6'],
+        ['B02', "Alekhine's Defense", 'e4 Nf6'],
+        ['B03', "Alekhine's Defense: Four Pawns Attack", 'e4 Nf6 e5 Nd5 d4 d6 c4 Nb6 f4'],
+        ['B06', 'Modern Defense', 'e4 g6'],
+        ['B07', 'Pirc Defense', 'e4 d6 d4 Nf6 Nc3 g6'],
+        ['B09', 'Pirc Defense: Austrian Attack', 'e4 d6 d4 Nf6 Nc3 g6 f4'],
+        ['B10', 'Caro-Kann Defense', 'e4 c6'],
+        ['B12', 'Caro-Kann Defense: Advance Variation', 'e4 c6 d4 d5 e5'],
+        ['B13', 'Caro-Kann Defense: Exchange Variation', 'e4 c6 d4 d5 exd5 cxd5'],
+        ['B14', 'Caro-Kann Defense: Panov Attack', 'e4 c6 d4 d5 exd5 cxd5 c4'],
+        ['B15', 'Caro-Kann Defense', 'e4 c6 d4 d5 Nc3'],
+        ['B18', 'Caro-Kann Defense: Classical Variation', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5'],
+        ['B17', 'Caro-Kann Defense: Karpov Variation', 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Nd7'],
+        ['B20', 'Sicilian Defense', 'e4 c5'],
+        ['B21', 'Sicilian Defense: Smith-Morra Gambit', 'e4 c5 d4 cxd4 c3'],
+        ['B22', 'Sicilian Defense: Alapin Variation', 'e4 c5 c3'],
+        ['B23', 'Sicilian Defense: Closed', 'e4 c5 Nc3'],
+        ['B27', 'Sicilian Defense', 'e4 c5 Nf3'],
+        ['B30', 'Sicilian Defense: Old Sicilian', 'e4 c5 Nf3 Nc6'],
+        ['B31', 'Sicilian Defense: Rossolimo Variation', 'e4 c5 Nf3 Nc6 Bb5'],
+        ['B32', 'Sicilian Defense: Open', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4'],
+        ['B33', 'Sicilian Defense: Sveshnikov Variation', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 e5'],
+        ['B35', 'Sicilian Defense: Accelerated Dragon', 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 g6'],
+        ['B40', 'Sicilian Defense: French Variation', 'e4 c5 Nf3 e6'],
+        ['B44', 'Sicilian Defense: Taimanov Variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6'],
+        ['B41', 'Sicilian Defense: Kan Variation', 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 a6'],
+        ['B50', 'Sicilian Defense', 'e4 c5 Nf3 d6'],
+        ['B51', 'Sicilian Defense: Moscow Variation', 'e4 c5 Nf3 d6 Bb5+'],
+        ['B54', 'Sicilian Defense: Open', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4'],
+        ['B56', 'Sicilian Defense: Classical Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6'],
+        ['B70', 'Sicilian Defense: Dragon Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6'],
+        ['B80', 'Sicilian Defense: Scheveningen Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6'],
+        ['B90', 'Sicilian Defense: Najdorf Variation', 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6'],
+        ['C00', 'French Defense', 'e4 e6'],
+        ['C01', 'French Defense: Exchange Variation', 'e4 e6 d4 d5 exd5 exd5'],
+        ['C02', 'French Defense: Advance Variation', 'e4 e6 d4 d5 e5'],
+        ['C03', 'French Defense: Tarrasch Variation', 'e4 e6 d4 d5 Nd2'],
+        ['C10', 'French Defense: Paulsen Variation', 'e4 e6 d4 d5 Nc3'],
+        ['C10', 'French Defense: Rubinstein Variation', 'e4 e6 d4 d5 Nc3 dxe4'],
+        ['C11', 'French Defense: Classical Variation', 'e4 e6 d4 d5 Nc3 Nf6'],
+        ['C15', 'French Defense: Winawer Variation', 'e4 e6 d4 d5 Nc3 Bb4'],
+        ['C20', "King's Pawn Game", 'e4 e5'],
+        ['C20', "King's Pawn Game: Wayward Queen Attack", 'e4 e5 Qh5'],
+        ['C23', "Bishop's Opening", 'e4 e5 Bc4'],
+        ['C21', 'Center Game', 'e4 e5 d4 exd4'],
+        ['C21', 'Danish Gambit', 'e4 e5 d4 exd4 c3'],
+        ['C25', 'Vienna Game', 'e4 e5 Nc3'],
+        ['C29', 'Vienna Game: Vienna Gambit', 'e4 e5 Nc3 Nf6 f4'],
+        ['C30', "King's Gambit", 'e4 e5 f4'],
+        ['C33', "King's Gambit Accepted", 'e4 e5 f4 exf4'],
+        ['C30', "King's Gambit Declined", 'e4 e5 f4 Bc5'],
+        ['C40', "King's Knight Opening", 'e4 e5 Nf3'],
+        ['C40', 'Latvian Gambit', 'e4 e5 Nf3 f5'],
+        ['C40', 'Elephant Gambit', 'e4 e5 Nf3 d5'],
+        ['C41', 'Philidor Defense', 'e4 e5 Nf3 d6'],
+        ['C42', 'Petrov Defense', 'e4 e5 Nf3 Nf6'],
+        ['C44', "King's Knight Opening: Normal Variation", 'e4 e5 Nf3 Nc6'],
+        ['C44', 'Ponziani Opening', 'e4 e5 Nf3 Nc6 c3'],
+        ['C44', 'Scotch Game', 'e4 e5 Nf3 Nc6 d4'],
+        ['C45', 'Scotch Game', 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4'],
+        ['C44', 'Scotch Gambit', 'e4 e5 Nf3 Nc6 d4 exd4 Bc4'],
+        ['C46', 'Three Knights Opening', 'e4 e5 Nf3 Nc6 Nc3'],
+        ['C47', 'Four Knights Game', 'e4 e5 Nf3 Nc6 Nc3 Nf6'],
+        ['C48', 'Four Knights Game: Spanish Variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5'],
+        ['C47', 'Four Knights Game: Scotch Variation', 'e4 e5 Nf3 Nc6 Nc3 Nf6 d4'],
+        ['C50', 'Italian Game', 'e4 e5 Nf3 Nc6 Bc4'],
+        ['C50', 'Italian Game: Giuoco Piano', 'e4 e5 Nf3 Nc6 Bc4 Bc5'],
+        ['C53', 'Italian Game: Classical Variation', 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3'],
+        ['C50', 'Italian Game: Giuoco Pianissimo', 'e4 e5 Nf3 Nc6 Bc4 Bc5 d3'],
+        ['C51', 'Italian Game: Evans Gambit', 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4'],
+        ['C50', 'Italian Game: Hungarian Defense', 'e4 e5 Nf3 Nc6 Bc4 Be7'],
+        ['C55', 'Italian Game: Two Knights Defense', 'e4 e5 Nf3 Nc6 Bc4 Nf6'],
+        ['C57', 'Italian Game: Two Knights Defense, Fried Liver Attack', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Nxd5 Nxf7'],
+        ['C57', 'Italian Game: Two Knights Defense, Traxler Counterattack', 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 Bc5'],
+        ['C60', 'Ruy Lopez', 'e4 e5 Nf3 Nc6 Bb5'],
+        ['C62', 'Ruy Lopez: Steinitz Defense', 'e4 e5 Nf3 Nc6 Bb5 d6'],
+        ['C63', 'Ruy Lopez: Schliemann Defense', 'e4 e5 Nf3 Nc6 Bb5 f5'],
+        ['C64', 'Ruy Lopez: Classical Variation', 'e4 e5 Nf3 Nc6 Bb5 Bc5'],
+        ['C65', 'Ruy Lopez: Berlin Defense', 'e4 e5 Nf3 Nc6 Bb5 Nf6'],
+        ['C67', 'Ruy Lopez: Berlin Defense, Rio Gambit Accepted', 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4'],
+        ['C68', 'Ruy Lopez: Exchange Variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6'],
+        ['C70', 'Ruy Lopez: Morphy Defense', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4'],
+        ['C78', 'Ruy Lopez: Morphy Defense', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O'],
+        ['C80', 'Ruy Lopez: Open Variation', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4'],
+        ['C84', 'Ruy Lopez: Closed', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7'],
+        ['C88', 'Ruy Lopez: Closed', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3'],
+        ['C89', 'Ruy Lopez: Marshall Attack', 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 O-O c3 d5'],
+        ['D00', "Queen's Pawn Game", 'd4 d5'],
+        ['D00', 'Blackmar-Diemer Gambit', 'd4 d5 e4'],
+        ['D01', 'Richter-Veresov Attack', 'd4 d5 Nc3 Nf6 Bg5'],
+        ['D02', "Queen's Pawn Game: Zukertort Variation", 'd4 d5 Nf3'],
+        ['D04', 'Colle System', 'd4 d5 Nf3 Nf6 e3'],
+        ['D06', "Queen's Gambit", 'd4 d5 c4'],
+        ['D07', "Queen's Gambit Declined: Chigorin Defense", 'd4 d5 c4 Nc6'],
+        ['D08', "Queen's Gambit Declined: Albin Countergambit", 'd4 d5 c4 e5'],
+        ['D10', 'Slav Defense', 'd4 d5 c4 c6'],
+        ['D11', 'Slav Defense', 'd4 d5 c4 c6 Nf3 Nf6'],
+        ['D15', 'Slav Defense: Three Knights Variation', 'd4 d5 c4 c6 Nf3 Nf6 Nc3'],
+        ['D43', 'Semi-Slav Defense', 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6'],
+        ['D20', "Queen's Gambit Accepted", 'd4 d5 c4 dxc4'],
+        ['D30', "Queen's Gambit Declined", 'd4 d5 c4 e6'],
+        ['D31', "Queen's Gambit Declined", 'd4 d5 c4 e6 Nc3'],
+        ['D32', 'Tarrasch Defense', 'd4 d5 c4 e6 Nc3 c5'],
+        ['D35', "Queen's Gambit Declined: Exchange Variation", 'd4 d5 c4 e6 Nc3 Nf6 cxd5'],
+        ['D37', "Queen's Gambit Declined", 'd4 d5 c4 e6 Nc3 Nf6 Nf3'],
+        ['D38', "Queen's Gambit Declined: Ragozin Defense", 'd4 d5 c4 e6 Nc3 Nf6 Nf3 Bb4'],
+        ['D50', "Queen's Gambit Declined: Modern Variation", 'd4 d5 c4 e6 Nc3 Nf6 Bg5'],
+        ['D70', 'Neo-Grünfeld Defense', 'd4 Nf6 c4 g6 f3 d5'],
+        ['D80', 'Grünfeld Defense', 'd4 Nf6 c4 g6 Nc3 d5'],
+        ['D85', 'Grünfeld Defense: Exchange Variation', 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5'],
+        ['E00', 'Indian Defense', 'd4 Nf6 c4 e6'],
+        ['E00', 'Catalan Opening', 'd4 Nf6 c4 e6 g3'],
+        ['E10', 'Indian Defense', 'd4 Nf6 c4 e6 Nf3'],
+        ['E11', 'Bogo-Indian Defense', 'd4 Nf6 c4 e6 Nf3 Bb4+'],
+        ['E12', "Queen's Indian Defense", 'd4 Nf6 c4 e6 Nf3 b6'],
+        ['E20', 'Nimzo-Indian Defense', 'd4 Nf6 c4 e6 Nc3 Bb4'],
+        ['E32', 'Nimzo-Indian Defense: Classical Variation', 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2'],
+        ['E40', 'Nimzo-Indian Defense: Normal Variation', 'd4 Nf6 c4 e6 Nc3 Bb4 e3'],
+        ['E60', "King's Indian Defense", 'd4 Nf6 c4 g6'],
+        ['E61', "King's Indian Defense", 'd4 Nf6 c4 g6 Nc3 Bg7'],
+        ['E70', "King's Indian Defense: Normal Variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6'],
+        ['E76', "King's Indian Defense: Four Pawns Attack", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f4'],
+        ['E80', "King's Indian Defense: Sämisch Variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3'],
+        ['E90', "King's Indian Defense: Normal Variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3'],
+        ['E92', "King's Indian Defense: Orthodox Variation", 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5']
+    ];
+    
+    let positions = null; // Position key → {eco, name}, built on first use
+    
+    /**
+     * Name the opening of a game
+     * @param {array} fens - FENs of the game's positions, in order
+     * @returns {object|null} {eco, name} of the deepest known line reached, or null when none is
+     */
+    function identify(fens) {
+        const known = getPositions();
+        let opening = null;
+        
+        fens.forEach(fen => {
+            opening = known.get(getPositionKey(fen)) || opening;
+        });
+        return opening;
+    }
+    
+    /**
+     * Get the position at the end of every line, playing the lines the first time
+     * @returns {Map} Position key → {eco, name}
+     */
+    function getPositions() {
+        if (positions) {
+            return positions;
+        }
+        
+        positions = new Map();
+        LINES.forEach(([eco, name, moves]) => {
+            const game = new Chess();
+            const complete = moves.split(' ').every(san => game.move(san) !== null);
+            if (complete) {
+                positions.set(getPositionKey(game.fen()), { eco, name });
+            } else {
+                console.warn(`Opening line does not play out: ${eco} ${name}`);
+            }
+        });
+        return positions;
+    }
+    
+    /**
+     * Get the part of a FEN that tells positions apart for naming: placement and side to move
+     * @param {string} fen - FEN string
+     * @returns {string}
+     */
+    function getPositionKey(fen) {
+        return fen.split(' ').slice(0, 2).join(' ');
+    }
+    
+    // Public API
+    return {
+        identify
+    };
+})();
@@ -0,0 +1,348 @@
+/**
+ * pgn.js - PGN Reader
+ * Splits PGN text into games and reads their tags, moves, comments, NAGs and variations
+ *
+ * A parsed game is {headers, comment, moves, result, endComment}: comment is the text before the first move
+ * and moves is a line of {san, nags, comment, variations}, where each variation is again a line
+ * of alternatives to that move. SAN is kept as written; moves are checked when the game is replayed.
+ * endComment is the last comment before the result, which may say how the game ended; it is also
+ * part of the last move's comment.
+ */
+
+const Pgn = (function() {
+    'use strict';
+    
+    const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+    
+    // Move suffixes and the NAGs they stand for
+    const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+    
+    // Symbols shown for common NAGs; others are shown as $n
+    const NAG_SYMBOLS = {
+        1: '!', 2: '?', 3: '!!', 4: '??', 5: '!?', 6: '?!',
+        7: '□', 10: '=', 13: '∞', 14: '⩲', 15: '⩱', 16: '±', 17: '∓', 18: '+−', 19: '−+',
+        22: '⨀', 23: '⨀', 32: '⟳', 33: '⟳', 36: '→', 37: '→', 40: '↑', 41: '↑', 132: '⇆', 133: '⇆', 146: 'N'
+    };
+    
+    // Characters that end a move or other word in the movetext
+    const DELIMITERS = '{}()[];$';
+    
+    /**
+     * Split PGN text into tokens
+     * @param {string} text - PGN text
+     * @returns {array} Tokens {type, value, line}; type is header, comment, open, close, nag, move or result
+     */
+    function tokenize(text) {
+        const tokens = [];
+        const source = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        const tagPattern = /\[\s*([A-Za-z0-9_]+)\s*"((?:[^"\\]|\\.)*)"\s*\]/y;
+        let line = 1;
+        let i = 0;
+        
+        const fail = message => {
+            throw new Error(`PGN error on line ${line}: ${message}`);
+        };
+        const push = (type, value) => tokens.push({ type, value, line });
+        
+        while (i < source.length) {
+            const char = source[i];
+            
+            if (char === '\n') {
+                line++;
+                i++;
+            } else if (/\s/.test(char)) {
+                i++;
+            } else if (char === '%' && (i === 0 || source[i - 1] === '\n')) {
+                // Escaped line, e.g. software-specific data
+                const end = source.indexOf('\n', i);
+                i = end < 0 ? source.length : end;
+            } else if (char === ';') {
+                const end = source.indexOf('\n', i);
+                push('comment', source.slice(i + 1, end < 0 ? source.length : end).trim());
+                i = end < 0 ? source.length : end;
+            } else if (char === '{') {
+                const end = source.indexOf('}', i);
+                if (end < 0) {
+                    fail('comment is not closed with }');
+                }
+                const comment = source.slice(i + 1, end);
+                push('comment', comment.replace(/\s+/g, ' ').trim());
+                line += (comment.match(/\n/g) || []).length;
+                i = end + 1;
+            } else if (char === '[') {
+                tagPattern.lastIndex = i;
+                const tag = tagPattern.exec(source);
+                if (!tag) {
+                    fail('tag pair is not written as [Name "value"]');
+                }
+                push('header', { name: tag[1], value: tag[2].replace(/\\(["\\])/g, '$1') });
+                i = tagPattern.lastIndex;
+            } else if (char === '(' || char === ')') {
+                push(char === '(' ? 'open' : 'close', char);
+                i++;
+            } else if (char === '$') {
+                const nag = source.slice(i).match(/^\$(\d+)/);
+                if (!nag) {
+                    fail('$ must be followed by a NAG number');
+                }
+                push('nag', Number(nag[1]));
+                i += nag[0].length;
+            } else {
+                let end = i;
+                while (end < source.length && !/\s/.test(source[end]) && !DELIMITERS.includes(source[end])) {
+                    end++;
+                }
+                readWord(source.slice(i, end), push, fail);
+                i = end;
+            }
+        }
+        
+        return tokens;
+    }
+    
+    /**
+     * Read a word of movetext: a result, a move number, a move with its suffix, or a suffix on its own
+     * @param {string} word - Text up to the next space or delimiter
+     * @param {function} push - Adds a token
+     * @param {function} fail - Reports an error
+     */
+    function readWord(word, push, fail) {
+        if (RESULTS.includes(word)) {
+            push('result', word);
+            return;
+        }
+        
+        // Move numbers, also written against the move: '12.', '12...', '12.Nf3'
+        const numbered = word.match(/^\d+\.+(.*)$/);
+        const rest = numbered ? numbered[1] : word;
+        if (!rest || /^(\d+|\.+)$/.test(rest)) {
+            return;
+        }
+        
+        const parts = rest.match(/^(.*?)([!?]*)$/);
+        if (parts[1]) {
+            if (parts[1] === '--' || parts[1] === 'Z0') {
+                fail('null moves are not supported');
+            }
+            if (!/^[A-Za-z0-9=+#\-]+$/.test(parts[1])) {
+                fail(`"${word}" is not a move`);
+            }
+            push('move', parts[1]);
+        }
+        if (parts[2]) {
+            if (!SUFFIX_NAGS[parts[2]]) {
+                fail(`"${parts[2]}" is not a move annotation`);
+            }
+            push('nag', SUFFIX_NAGS[parts[2]]);
+        }
+    }
+    
+    /**
+     * Parse PGN text, which may hold several games
+     * @param {string} text - PGN text
+     * @returns {array} Games {headers, comment, moves, result, endComment}
+     * @throws {Error} When the text is not valid PGN; the message names the line
+     */
+    function parse(text) {
+        const games = [];
+        let game = null;
+        let lines = []; // Line being read, with the lines it branches from below it
+        let inMovetext = false;
+        let pendingComment = ''; // Comment before the first move of a variation
+        let lastComment = ''; // Mainline comment just read, while nothing else has followed it
+        
+        const startGame = () => {
+            game = { headers: {}, comment: '', moves: [], result: '*', endComment: '' };
+            lines = [game.moves];
+            inMovetext = false;
+            pendingComment = '';
+            lastComment = '';
+            games.push(game);
+        };
+        const join = (first, second) => [first, second].filter(Boolean).join(' ');
+        
+        tokenize(text).forEach(token => {
+            const fail = message => {
+                throw new Error(`PGN error on line ${token.line}: ${message}`);
+            };
+            
+            if (token.type === 'header') {
+                if (!game || inMovetext) {
+                    startGame();
+                }
+                game.headers[token.value.name] = token.value.value;
+                return;
+            }
+            
+            if (!game) {
+                startGame();
+            }
+            inMovetext = true;
+            
+            const line = lines[lines.length - 1];
+            const lastMove = line[line.length - 1];
+            const commentBefore = lastComment;
+            lastComment = token.type === 'comment' && lastMove && lines.length === 1 ? token.value : '';
+            
+            switch (token.type) {
+                case 'move':
+                    line.push({ san: token.value, nags: [], comment: pendingComment, variations: [] });
+                    pendingComment = '';
+                    break;
+                case 'comment':
+                    if (lastMove) {
+                        lastMove.comment = join(lastMove.comment, token.value);
+                    } else if (lines.length > 1) {
+                        pendingComment = join(pendingComment, token.value);
+                    } else {
+                        game.comment = join(game.comment, token.value);
+                    }
+                    break;
+                case 'nag':
+                    if (lastMove && !lastMove.nags.includes(token.value)) {
+                        lastMove.nags.push(token.value);
+                    }
+                    break;
+                case 'open': {
+                    if (!lastMove) {
+                        fail('a variation must follow the move it replaces');
+                    }
+                    const variation = [];
+                    lastMove.variations.push(variation);
+                    lines.push(variation);
+                    break;
+                }
+                case 'close':
+                    if (lines.length === 1) {
+                        fail(') closes no variation');
+                    }
+                    if (line.length === 0) {
+                        fail('a variation has no moves');
+                    }
+                    lines.pop();
+                    pendingComment = '';
+                    break;
+                case 'result':
+                    if (lines.length > 1) {
+                        fail('the game ends inside a variation');
+                    }
+                    game.result = token.value;
+                    game.endComment = commentBefore;
+                    game = null;
+                    break;
+            }
+        });
+        
+        if (game && lines.length > 1) {
+            throw new Error('PGN error: a variation is not closed with )');
+        }
+        
+        return games;
+    }
+    
+    /**
+     * Read the commands a comment carries: [%clk] and [%emt] times and [%csl]/[%cal] drawings
+     * @param {string} comment - Comment text
+     * @returns {object} {text, clock, thinkingTime, annotations}: text without the commands,
+     *   times in ms or undefined
+     */
+    function readComment(comment) {
+        const source = comment || '';
+        return {
+            text: source.replace(/\[%[^\]]*\]/g, '').replace(/\s+/g, ' ').trim(),
+            clock: readTime(source, 'clk'),
+            thinkingTime: readTime(source, 'emt'),
+            annotations: Annotations.fromPgn(source)
+        };
+    }
+    
+    /**
+     * Read a time command from a comment
+     * @param {string} comment - Comment text
+     * @param {string} command - 'clk' or 'emt'
+     * @returns {number|undefined} Time in ms
+     */
+    function readTime(comment, command) {
+        const time = comment.match(new RegExp(`\\[%${command}\\s+(\\d+):(\\d{1,2}):(\\d{1,2}(?:\\.\\d+)?)\\s*\\]`));
+        return time
+            ? Math.round(((Number(time[1]) * 60 + Number(time[2])) * 60 + Number(time[3])) * 1000)
+            : undefined;
+    }
+    
+    /**
+     * Find the legal move that SAN stands for. Also accepts common variations of SAN:
+     * 0-0 castling, missing or extra capture and check signs, e8Q promotions,
+     * extra disambiguation and long algebraic moves such as e2e4
+     * @param {object} game - Game in the position before the move
+     * @param {string} san - Move as written
+     * @returns {object|null} Verbose move, or null when no legal move matches
+     */
+    function findMove(game, san) {
+        const moves = game.moves({ verbose: true });
+        const target = normalizeSan(san);
+        const exact = moves.find(move => normalizeSan(move.san) === target);
+        if (exact) {
+            return exact;
+        }
+        
+        const parts = san.replace(/[+#]/g, '').match(/^([NBRQK])?([a-h])?([1-8])?[x-]?([a-h][1-8])=?([NBRQnbrq])?$/);
+        if (!parts) {
+            return null;
+        }
+        
+        const [, piece, file, rank, to, promotion] = parts;
+        const matching = moves.filter(move =>
+            move.piece === (piece ? piece.toLowerCase() : 'p') &&
+            move.to === to &&
+            (!file || move.from[0] === file) &&
+            (!rank || move.from[1] === rank) &&
+            (move.promotion || null) === (promotion ? promotion.toLowerCase() : null));
+        return matching.length === 1 ? matching[0] : null;
+    }
+    
+    /**
+     * Reduce SAN to what identifies the move
+     * @param {string} san - Move as written
+     * @returns {string}
+     */
+    function normalizeSan(san) {
+        return san.replace(/0/g, 'O').replace(/[+#x=\-]/g, '');
+    }
+    
+    /**
+     * Get the symbol of a NAG
+     * @param {number} nag - NAG number
+     * @returns {string} e.g. '!?' or '±', or '$n' when it has no symbol
+     */
+    function getNagSymbol(nag) {
+        return NAG_SYMBOLS[nag] || `$${nag}`;
+    }
+    
+    /**
+     * Describe a game for a game picker
+     * @param {object} game - Parsed game
+     * @returns {string} e.g. 'Kasparov vs Topalov · Wijk aan Zee 1999 · 1-0'
+     */
+    function describeGame(game) {
+        const headers = game.headers;
+        const named = value => value && !/^[?.\s-]*$/.test(value) ? value : '';
+        const date = named(headers.Date) ? headers.Date.replace(/\.\?\?/g, '') : '';
+        const event = [named(headers.Event), date].filter(Boolean).join(' ');
+        
+        return [
+            `${named(headers.White) || '?'} vs ${named(headers.Black) || '?'}`,
+            event,
+            headers.Result || game.result
+        ].filter(Boolean).join(' · ');
+    }
+    
+    // Public API
+    return {
+        RESULTS,
+        parse,
+        readComment,
+        findMove,
+        getNagSymbol,
+        describeGame
+    };
+})();
@@ -0,0 +1,194 @@
+/**
+ * position.js - Position Helpers
+ * FEN validation and parsing shared by game setup and the board editor
+ */
+
+const Position = (function() {
+    'use strict';
+    
+    const DEFAULT_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+    
+    // Home squares required by each castling right
+    const CASTLING_SQUARES = {
+        'K': { king: 'e1', rook: 'h1', color: 'w' },
+        'Q': { king: 'e1', rook: 'a1', color: 'w' },
+        'k': { king: 'e8', rook: 'h8', color: 'b' },
+        'q': { king: 'e8', rook: 'a8', color: 'b' }
+    };
+    
+    /**
+     * Normalize a pasted FEN: trim whitespace and add missing move counters
+     * @param {string} fen - FEN string as entered
+     * @returns {string} Normalized FEN
+     */
+    function normalizeFen(fen) {
+        const fields = (fen || '').trim().split(/\s+/).filter(Boolean);
+        
+        // EPD-style positions often omit the halfmove clock and fullmove number
+        if (fields.length === 4) {
+            fields.push('0', '1');
+        } else if (fields.length === 5) {
+            fields.push('1');
+        }
+        
+        return fields.join(' ');
+    }
+    
+    /**
+     * Validate a FEN string, checking both its syntax and the legality of the position
+     * @param {string} fen - FEN string
+     * @returns {object} {valid, errors, fen} with the normalized FEN
+     */
+    function validateFen(fen) {
+        const normalized = normalizeFen(fen);
+        const errors = [];
+        
+        if (!normalized) {
+            return { valid: false, errors: ['Enter a FEN string.'], fen: normalized };
+        }
+        
+        const syntax = new Chess().validate_fen(normalized);
+        if (!syntax.valid) {
+            return { valid: false, errors: [syntax.error], fen: normalized };
+        }
+        
+        const [placement, turn, castling, enPassant] = normalized.split(' ');
+        const game = new Chess(normalized);
+        const counts = countPieces(placement);
+        
+        ['w', 'b'].forEach(color => {
+            const side = color === 'w' ? 'White' : 'Black';
+            const kings = counts[color].k || 0;
+            const pawns = counts[color].p || 0;
+            const total = Object.values(counts[color]).reduce((sum, count) => sum + count, 0);
+            
+            if (kings !== 1) {
+                errors.push(`${side} must have exactly one king (found ${kings}).`);
+            }
+            if (pawns > 8) {
+                errors.push(`${side} has ${pawns} pawns; at most 8 are possible.`);
+            }
+            if (total > 16) {
+                errors.push(`${side} has ${total} pieces; at most 16 are possible.`);
+            }
+        });
+        
+        const backRanks = placement.split('/');
+        if (/p/i.test(backRanks[0]) || /p/i.test(backRanks[7])) {
+            errors.push('Pawns cannot stand on the first or eighth rank.');
+        }
+        
+        if (castling !== '-') {
+            castling.split('').forEach(right => {
+                const required = CASTLING_SQUARES[right];
+                const king = game.get(required.king);
+                const rook = game.get(required.rook);
+                if (!king || king.type !== 'k' || king.color !== required.color ||
+                    !rook || rook.type !== 'r' || rook.color !== required.color) {
+                    errors.push(`Castling right '${right}' needs the king on ${required.king} and a rook on ${required.rook}.`);
+                }
+            });
+        }
+        
+        if (enPassant !== '-') {
+            const error = validateEnPassant(game, turn, enPassant);
+            if (error) {
+                errors.push(error);
+            }
+        }
+        
+        // Only check the kings once there is exactly one of each
+        if (errors.length === 0) {
+            if (isOpponentInCheck(normalized)) {
+                const side = turn === 'w' ? 'Black' : 'White';
+                errors.push(`${side} is in check but it is not ${side}'s move.`);
+            } else if (game.moves().length === 0) {
+                errors.push(game.in_check()
+                    ? 'The position is already checkmate.'
+                    : 'The position is already stalemate.');
+            }
+        }
+        
+        return { valid: errors.length === 0, errors, fen: normalized };
+    }
+    
+    /**
+     * Count pieces by color and type
+     * @param {string} placement - Piece placement field of a FEN
+     * @returns {object} {w: {type: count}, b: {type: count}}
+     */
+    function countPieces(placement) {
+        const counts = { w: {}, b: {} };
+        
+        for (const symbol of placement) {
+            if (/[a-zA-Z]/.test(symbol)) {
+                const color = symbol === symbol.toUpperCase() ? 'w' : 'b';
+                const type = symbol.toLowerCase();
+                counts[color][type] = (counts[color][type] || 0) + 1;
+            }
+        }
+        
+        return counts;
+    }
+    
+    /**
+     * Check that an en passant square matches a pawn that has just advanced two squares
+     * @param {object} game - Chess.js instance loaded with the position
+     * @param {string} turn - Side to move
+     * @param {string} square - En passant target square
+     * @returns {string|null} Error message, or null if consistent
+     */
+    function validateEnPassant(game, turn, square) {
+        const file = square[0];
+        const pawnRank = turn === 'w' ? '5' : '4';
+        const originRank = turn === 'w' ? '7' : '2';
+        const pawn = game.get(file + pawnRank);
+        const movedColor = turn === 'w' ? 'b' : 'w';
+        
+        if (!pawn || pawn.type !== 'p' || pawn.color !== movedColor ||
+            game.get(square) || game.get(file + originRank)) {
+            return `En passant square ${square} does not follow a two-square pawn advance.`;
+        }
+        return null;
+    }
+    
+    /**
+     * Check whether the side that is not to move is in check
+     * @param {string} fen - Normalized FEN
+     * @returns {boolean}
+     */
+    function isOpponentInCheck(fen) {
+        const fields = fen.split(' ');
+        fields[1] = fields[1] === 'w' ? 'b' : 'w';
+        fields[3] = '-';
+        return new Chess(fields.join(' ')).in_check();
+    }
+    
+    /**
+     * Get the side to move of a FEN
+     * @param {string} fen - FEN string
+     * @returns {string} 'w' or 'b'
+     */
+    function getSideToMove(fen) {
+        return fen.split(' ')[1];
+    }
+    
+    /**
+     * Get the fullmove number of a FEN
+     * @param {string} fen - FEN string
+     * @returns {number} Fullmove number
+     */
+    function getFullmoveNumber(fen) {
+        return parseInt(fen.split(' ')[5], 10) || 1;
+    }
+    
+    // Public API
+    return {
+        DEFAULT_FEN,
+        normalizeFen,
+        validateFen,
+        countPieces,
+        getSideToMove,
+        getFullmoveNumber
+    };
+})();
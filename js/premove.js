@@ -0,0 +1,138 @@
+/**
+ * premove.js - Premoves
+ * The board a player sees while moves are queued for their next turns, and where pieces may be premoved to
+ */
+
+const Premove = (function() {
+    'use strict';
+    
+    const FILES = 'abcdefgh';
+    
+    const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+    const KING_STEPS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+    const ROOK_DIRECTIONS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+    const BISHOP_DIRECTIONS = [[1, 1], [-1, 1], [-1, -1], [1, -1]];
+    
+    /**
+     * Build the position the queued premoves lead to, ignoring the opponent's replies
+     * @param {object} game - Game object in the live position
+     * @param {array} premoves - Queued premoves {from, to, promotion, castling}, castling being
+     *   {kingTo, rookFrom, rookTo} for castling moves
+     * @returns {object} Chess.js instance used as a piece container
+     */
+    function createPosition(game, premoves) {
+        const position = new Chess();
+        position.clear();
+        
+        game.board().forEach((row, rowIndex) => {
+            row.forEach((piece, colIndex) => {
+                if (piece) {
+                    position.put({ type: piece.type, color: piece.color }, FILES[colIndex] + (8 - rowIndex));
+                }
+            });
+        });
+        
+        premoves.forEach(premove => {
+            const piece = position.get(premove.from);
+            if (!piece) return;
+            
+            position.remove(premove.from);
+            if (premove.castling) {
+                const rook = position.get(premove.castling.rookFrom);
+                position.remove(premove.castling.rookFrom);
+                position.put(piece, premove.castling.kingTo);
+                if (rook) {
+                    position.put(rook, premove.castling.rookTo);
+                }
+            } else {
+                position.put(premove.promotion ? { type: premove.promotion, color: piece.color } : piece, premove.to);
+            }
+        });
+        
+        return position;
+    }
+    
+    /**
+     * Get the squares a piece could move to once the opponent has replied. Sliding pieces
+     * are not stopped by other pieces, as those may have moved by then
+     * @param {object} position - Position from createPosition
+     * @param {string} square - Square of the piece
+     * @returns {array} Square names, leaving out squares held by the player's own pieces
+     */
+    function getTargets(position, square) {
+        const piece = position.get(square);
+        if (!piece) {
+            return [];
+        }
+        
+        const file = FILES.indexOf(square[0]);
+        const rank = parseInt(square[1], 10);
+        const targets = [];
+        
+        const add = (fileStep, rankStep) => {
+            const target = toSquare(file + fileStep, rank + rankStep);
+            if (target) {
+                targets.push(target);
+            }
+            return target;
+        };
+        const slide = directions => directions.forEach(([fileStep, rankStep]) => {
+            let distance = 1;
+            while (add(fileStep * distance, rankStep * distance)) {
+                distance++;
+            }
+        });
+        
+        switch (piece.type) {
+            case 'p': {
+                const forward = piece.color === 'w' ? 1 : -1;
+                add(0, forward);
+                add(-1, forward);
+                add(1, forward);
+                if (rank === (piece.color === 'w' ? 2 : 7)) {
+                    add(0, 2 * forward);
+                }
+                break;
+            }
+            case 'n':
+                KNIGHT_STEPS.forEach(([fileStep, rankStep]) => add(fileStep, rankStep));
+                break;
+            case 'k':
+                KING_STEPS.forEach(([fileStep, rankStep]) => add(fileStep, rankStep));
+                break;
+            case 'b':
+                slide(BISHOP_DIRECTIONS);
+                break;
+            case 'r':
+                slide(ROOK_DIRECTIONS);
+                break;
+            case 'q':
+                slide(ROOK_DIRECTIONS.concat(BISHOP_DIRECTIONS));
+                break;
+        }
+        
+        return targets.filter(target => {
+            const occupant = position.get(target);
+            return !occupant || occupant.color !== piece.color;
+        });
+    }
+    
+    /**
+     * Get a square name from board coordinates
+     * @param {number} file - File index, 0 for the a-file
+     * @param {number} rank - Rank, 1-8
+     * @returns {string|null} Square name, or null off the board
+     */
+    function toSquare(file, rank) {
+        if (file < 0 || file > 7 || rank < 1 || rank > 8) {
+            return null;
+        }
+        return FILES[file] + rank;
+    }
+    
+    // Public API
+    return {
+        createPosition,
+        getTargets
+    };
+})();
@@ -0,0 +1,184 @@
+/**
+ * share-link.js - Shareable Game Links
+ * Writes a game into a URL fragment and reads it back, so a game can be sent as a link with no server
+ *
+ * A shared game is {variant, startFen, moves, ply, white, black, result}: moves is the mainline
+ * in UCI notation, ply is the number of moves played in the position shown, players are
+ * {provider, difficulty} and result is {result, reason, termination} or null, termination being the
+ * PGN Termination value. The fragment leaves out what
+ * can be assumed, e.g. #v=1&moves=e2e4e7e5g1f3&ply=2&white=human&black=stockfish.advanced
+ */
+
+const ShareLink = (function() {
+    'use strict';
+    
+    // Format of the links written by this version
+    const VERSION = 1;
+    
+    // One move in UCI notation; moves are written back to back, so a promotion piece is only
+    // read as one when no rank follows it (in 'g1f3b8c6' the b starts the next move)
+    const MOVE_PATTERN = /[a-h][1-8][a-h][1-8](?:[qrbn](?![1-8]))?/y;
+    
+    // Longest termination reason a link may carry
+    const MAX_REASON_LENGTH = 100;
+    
+    // PGN Termination value, e.g. 'time forfeit'
+    const TERMINATION_PATTERN = /^[a-z]+(?: [a-z]+)?$/;
+    
+    /**
+     * Write a shared game as a URL fragment
+     * @param {object} shared - Shared game
+     * @returns {string} Fragment without the leading #
+     */
+    function encode(shared) {
+        const rules = Variants.get(shared.variant);
+        const fields = [['v', VERSION]];
+        
+        if (rules.id !== 'standard') {
+            fields.push(['variant', rules.id]);
+        }
+        // Chess960 games start from one of many positions, so theirs is always written
+        if (rules.id === 'chess960' || shared.startFen !== rules.getStartFen({})) {
+            fields.push(['fen', shared.startFen.replace(/ /g, '_')]);
+        }
+        if (shared.moves.length > 0) {
+            fields.push(['moves', shared.moves.join('')]);
+        }
+        if (shared.ply !== shared.moves.length) {
+            fields.push(['ply', shared.ply]);
+        }
+        fields.push(['white', encodePlayer(shared.white)], ['black', encodePlayer(shared.black)]);
+        if (shared.result) {
+            fields.push(['result', shared.result.result], ['reason', shared.result.reason]);
+            if (shared.result.termination && shared.result.termination !== 'normal') {
+                fields.push(['termination', shared.result.termination]);
+            }
+        }
+        
+        return fields
+            .map(([name, value]) => `${name}=${encodeURIComponent(value).replace(/%2F/g, '/')}`)
+            .join('&');
+    }
+    
+    /**
+     * Write a player as 'provider.difficulty', or just 'human'
+     * @param {object} player - {provider, difficulty}
+     * @returns {string}
+     */
+    function encodePlayer(player) {
+        return player.provider === AIManager.AIProvider.HUMAN ? player.provider : `${player.provider}.${player.difficulty}`;
+    }
+    
+    /**
+     * Read a shared game from a URL fragment. Only the format is checked here;
+     * whether the position and moves are legal is found out when the game is replayed
+     * @param {string} fragment - Fragment, with or without the leading #
+     * @returns {object|null} Shared game, or null when the fragment holds none
+     * @throws {Error} When the fragment holds a game that cannot be read; the message says why
+     */
+    function decode(fragment) {
+        const params = new URLSearchParams((fragment || '').replace(/^#/, ''));
+        if (!params.has('v')) {
+            return null;
+        }
+        if (params.get('v') !== String(VERSION)) {
+            throw new Error('The link was made by another version of the game');
+        }
+        
+        const variantId = params.get('variant') || 'standard';
+        const rules = Variants.get(variantId);
+        if (rules.id !== variantId) {
+            throw new Error(`The ${variantId} variant is not supported`);
+        }
+        
+        const fen = params.has('fen') ? params.get('fen').replace(/_/g, ' ').trim() : null;
+        if (fen === '' || (!fen && rules.id === 'chess960')) {
+            throw new Error('The start position is missing');
+        }
+        
+        const moves = decodeMoves(params.get('moves') || '');
+        
+        const ply = params.has('ply') ? Number(params.get('ply')) : moves.length;
+        if (!Number.isInteger(ply) || ply < 0 || ply > moves.length) {
+            throw new Error(`Move ${params.get('ply')} is not in the game`);
+        }
+        
+        let result = null;
+        if (params.has('result')) {
+            const reason = (params.get('reason') || '').trim();
+            const termination = params.get('termination') || 'normal';
+            if (!['1-0', '0-1', '1/2-1/2'].includes(params.get('result')) || !reason || reason.length > MAX_REASON_LENGTH ||
+                !TERMINATION_PATTERN.test(termination)) {
+                throw new Error('The result cannot be read');
+            }
+            result = { result: params.get('result'), reason, termination };
+        }
+        
+        return {
+            variant: rules.id,
+            startFen: fen || rules.getStartFen({}),
+            moves,
+            ply,
+            white: decodePlayer(params.get('white')),
+            black: decodePlayer(params.get('black')),
+            result
+        };
+    }
+    
+    /**
+     * Split moves written back to back
+     * @param {string} text - Moves, e.g. 'e2e4e7e5e7e8q'
+     * @returns {array} Moves in UCI notation
+     * @throws {Error} When the text is not a list of moves
+     */
+    function decodeMoves(text) {
+        const moves = [];
+        MOVE_PATTERN.lastIndex = 0;
+        while (MOVE_PATTERN.lastIndex < text.length) {
+            const start = MOVE_PATTERN.lastIndex;
+            const match = MOVE_PATTERN.exec(text);
+            if (!match) {
+                throw new Error(`The moves cannot be read from "${text.slice(start, start + 5)}" on`);
+            }
+            moves.push(match[0]);
+        }
+        return moves;
+    }
+    
+    /**
+     * Read a player written by encodePlayer()
+     * @param {string|null} text - Player, or null when the link leaves it out (a human)
+     * @returns {object} {provider, difficulty}
+     * @throws {Error} When the provider or difficulty is unknown
+     */
+    function decodePlayer(text) {
+        const [provider, difficulty] = (text || AIManager.AIProvider.HUMAN).split('.');
+        if (!Object.values(AIManager.AIProvider).includes(provider)) {
+            throw new Error(`Unknown player "${provider}"`);
+        }
+        if (provider === AIManager.AIProvider.HUMAN) {
+            return { provider, difficulty: null };
+        }
+        if (!Object.values(AIManager.DifficultyLevel).includes(difficulty)) {
+            throw new Error(`Unknown difficulty "${difficulty}"`);
+        }
+        return { provider, difficulty };
+    }
+    
+    /**
+     * Build the link to a shared game
+     * @param {object} shared - Shared game
+     * @param {string} pageUrl - URL of the page, whose own fragment is replaced
+     * @returns {string}
+     */
+    function createUrl(shared, pageUrl) {
+        return `${pageUrl.split('#')[0]}#${encode(shared)}`;
+    }
+    
+    // Public API
+    return {
+        encode,
+        decode,
+        createUrl
+    };
+})();
@@ -0,0 +1,164 @@
+/**
+ * sounds.js - Sound Effects
+ * Move, capture, castling, check and promotion sounds, the low-time warning and the game-over cue
+ *
+ * Sounds only play once the page has had a user gesture (a click or key press), as browsers
+ * block audio before that; anything played earlier is skipped rather than queued.
+ */
+
+const Sounds = (function() {
+    'use strict';
+    
+    // Sound files in assets/sounds/, by name
+    const SOUND_FILES = {
+        move: 'move.wav',
+        capture: 'capture.wav',
+        castle: 'castle.wav',
+        check: 'check.wav',
+        promote: 'promote.wav',
+        lowTime: 'low-time.wav',
+        gameEnd: 'game-end.wav'
+    };
+    
+    const STORAGE_KEYS = {
+        VOLUME: 'chess.soundVolume',
+        MUTED: 'chess.soundMuted'
+    };
+    
+    let sounds = {};    // Preloaded audio elements by name
+    let volume = 0.7;   // 0 to 1
+    let muted = false;
+    
+    /**
+     * Preload the sounds and restore the saved volume and mute setting
+     */
+    function init() {
+        Object.keys(SOUND_FILES).forEach(name => {
+            const audio = new Audio();
+            audio.preload = 'auto';
+            audio.src = `assets/sounds/${SOUND_FILES[name]}`;
+            sounds[name] = audio;
+        });
+        
+        try {
+            const savedVolume = parseFloat(localStorage.getItem(STORAGE_KEYS.VOLUME));
+            if (savedVolume >= 0 && savedVolume <= 1) {
+                volume = savedVolume;
+            }
+            muted = localStorage.getItem(STORAGE_KEYS.MUTED) === 'true';
+        } catch (error) {
+            // Storage disabled: keep the defaults
+        }
+    }
+    
+    /**
+     * Play a sound. A sound that is still playing starts over, so fast games
+     * (e.g. AI vs AI at the highest speed) never build up a queue of sounds
+     * @param {string} name - Key of SOUND_FILES
+     */
+    function play(name) {
+        const audio = sounds[name];
+        if (!audio || muted || volume === 0 || !canPlay()) return;
+        
+        audio.volume = volume;
+        audio.currentTime = 0;
+        
+        // play() returns a promise in current browsers, rejected when playback is not allowed
+        const playing = audio.play();
+        if (playing) {
+            playing.catch(() => {});
+        }
+    }
+    
+    /**
+     * Play the sound for a move: check, promotion, castling, capture or a plain move.
+     * Checkmate makes no move sound, as the game-over cue follows
+     * @param {object} move - Verbose move object from chess.js
+     */
+    function playMove(move) {
+        if (move.san.endsWith('#')) return;
+        play(getMoveSound(move));
+    }
+    
+    /**
+     * Pick the sound for a move from its SAN and chess.js flags
+     * @param {object} move - Verbose move object
+     * @returns {string} Key of SOUND_FILES
+     */
+    function getMoveSound(move) {
+        if (move.san.endsWith('+')) return 'check';
+        if (move.flags.includes('p')) return 'promote';
+        if (/[kq]/.test(move.flags)) return 'castle';
+        if (/[ce]/.test(move.flags)) return 'capture';
+        return 'move';
+    }
+    
+    /**
+     * Check whether the browser lets the page play sound yet
+     * @returns {boolean} False before the first user gesture, where the browser reports it
+     */
+    function canPlay() {
+        return !navigator.userActivation || navigator.userActivation.hasBeenActive;
+    }
+    
+    /**
+     * Get the volume
+     * @returns {number} 0 to 1
+     */
+    function getVolume() {
+        return volume;
+    }
+    
+    /**
+     * Set the volume and remember it
+     * @param {number} newVolume - 0 to 1
+     */
+    function setVolume(newVolume) {
+        volume = Math.min(1, Math.max(0, newVolume));
+        saveSetting(STORAGE_KEYS.VOLUME, String(volume));
+    }
+    
+    /**
+     * Check whether sounds are muted
+     * @returns {boolean}
+     */
+    function isMuted() {
+        return muted;
+    }
+    
+    /**
+     * Mute or unmute sounds and remember the choice
+     * @param {boolean} enabled - Whether to mute
+     */
+    function setMuted(enabled) {
+        muted = enabled;
+        saveSetting(STORAGE_KEYS.MUTED, String(muted));
+        if (muted) {
+            Object.values(sounds).forEach(audio => audio.pause());
+        }
+    }
+    
+    /**
+     * Save a setting, ignoring disabled or full storage
+     * @param {string} key - Storage key
+     * @param {string} value - Value
+     */
+    function saveSetting(key, value) {
+        try {
+            localStorage.setItem(key, value);
+        } catch (error) {
+            console.warn(`Could not save ${key}:`, error);
+        }
+    }
+    
+    // Public API
+    return {
+        init,
+        play,
+        playMove,
+        getVolume,
+        setVolume,
+        isMuted,
+        setMuted
+    };
+})();
@@ -13,6 +13,7 @@ const StockfishEngine = (function() {
         STOCKFISH_URL: 'https://chess.com/js/stockfish/stockfish.js',
         MAX_DEPTH: 20,
         DEFAULT_DEPTH: 10,
+        EVAL_DEPTH: 12, // Depth used to evaluate positions (e.g. for draw offers)
         TIMEOUT: 30000, // 30 seconds
         // Difficulty to skill level mapping
         SKILL_LEVELS: {
@@ -26,6 +27,9 @@ const StockfishEngine = (function() {
     let engine = null;
     let engineReady = false;
     let currentCallback = null;
+    let currentReject = null;
+    let ignoredBestMoves = 0; // bestmove replies still owed by abandoned searches
+    let lastScore = null;     // Latest score reported by the current search
     let pendingCommands = [];
     
     /**
@@ -151,11 +155,22 @@ const StockfishEngine = (function() {
             console.log('Stockfish engine ready');
         }
         
+        // Keep the latest score, e.g. "info depth 12 ... score cp -35 ..." or "score mate 3"
+        const scoreMatch = line.match(/\bscore (cp|mate) (-?\d+)/);
+        if (scoreMatch && line.startsWith('info')) {
+            lastScore = scoreMatch[1] === 'cp'
+                ? { cp: parseInt(scoreMatch[2], 10), mate: null }
+                : { cp: null, mate: parseInt(scoreMatch[2], 10) };
+        }
+        
         if (line.startsWith('bestmove')) {
             const parts = line.split(' ');
             const move = parts[1];
             
-            if (currentCallback) {
+            if (ignoredBestMoves > 0) {
+                // Reply to a search that was cancelled or timed out
+                ignoredBestMoves--;
+            } else if (currentCallback) {
                 currentCallback(move);
                 currentCallback = null;
             }
@@ -231,9 +246,11 @@ const StockfishEngine = (function() {
      * @param {string} fen - Current position in FEN notation
      * @param {string} difficulty - Difficulty level (beginner, intermediate, advanced, master)
      * @param {number} thinkingTime - Optional time in milliseconds
-     * @returns {Promise<string>} UCI move notation (e.g., 'e2e4')
+     * @param {object} clock - Optional clock state {wtime, btime, winc, binc} in milliseconds
+     * @param {object} options - Optional {chess960} for Chess960 games
+     * @returns {Promise<string>} UCI move notation (e.g., 'e2e4'; Chess960 castling as king takes rook)
      */
-    async function getBestMove(fen, difficulty = 'intermediate', thinkingTime = null) {
+    async function getBestMove(fen, difficulty = 'intermediate', thinkingTime = null, clock = null, options = {}) {
         if (!engine || !engineReady) {
             const initialized = await init();
             if (!initialized) {
@@ -259,31 +276,120 @@ const StockfishEngine = (function() {
                 sendCommand('setoption name UCI_LimitStrength value false');
             }
             
+            setVariantOptions(options);
+            
             // Set position
             sendCommand(`position fen ${fen}`);
             
             // Set callback for best move
             currentCallback = (move) => {
+                currentReject = null;
                 resolve(move);
             };
+            currentReject = reject;
             
             // Start analysis
-            if (thinkingTime) {
+            if (clock) {
+                // Let the engine manage its own clock, still capped at the difficulty depth
+                sendCommand(`go depth ${depth} wtime ${clock.wtime} btime ${clock.btime} winc ${clock.winc} binc ${clock.binc}`);
+            } else if (thinkingTime) {
                 sendCommand(`go movetime ${thinkingTime}`);
             } else {
                 sendCommand(`go depth ${depth}`);
             }
             
             // Timeout fallback
+            const callback = currentCallback;
+            setTimeout(() => {
+                if (currentCallback === callback) {
+                    abandonSearch(new Error('Stockfish timeout'));
+                }
+            }, CONFIG.TIMEOUT);
+        });
+    }
+    
+    /**
+     * Evaluate a position at full strength
+     * @param {string} fen - Position in FEN notation
+     * @param {object} options - Optional {depth, chess960}
+     * @returns {Promise<object>} Score {cp, mate} from the point of view of the side to move
+     */
+    async function evaluate(fen, options = {}) {
+        if (!engine || !engineReady) {
+            const initialized = await init();
+            if (!initialized) {
+                throw new Error('Stockfish engine not available');
+            }
+        }
+        
+        if (currentCallback) {
+            throw new Error('Stockfish is busy');
+        }
+        
+        return new Promise((resolve, reject) => {
+            sendCommand('setoption name UCI_LimitStrength value false');
+            sendCommand(`setoption name Skill Level value ${CONFIG.SKILL_LEVELS.master}`);
+            setVariantOptions(options);
+            sendCommand(`position fen ${fen}`);
+            
+            lastScore = null;
+            currentCallback = () => {
+                currentReject = null;
+                if (lastScore) {
+                    resolve(lastScore);
+                } else {
+                    reject(new Error('Stockfish reported no score'));
+                }
+            };
+            currentReject = reject;
+            
+            sendCommand(`go depth ${options.depth || CONFIG.EVAL_DEPTH}`);
+            
+            // Timeout fallback
+            const callback = currentCallback;
             setTimeout(() => {
-                if (currentCallback) {
-                    currentCallback = null;
-                    reject(new Error('Stockfish timeout'));
+                if (currentCallback === callback) {
+                    abandonSearch(new Error('Stockfish timeout'));
                 }
             }, CONFIG.TIMEOUT);
         });
     }
     
+    /**
+     * Switch the engine between standard chess and Chess960 before a search
+     * @param {object} options - {chess960}
+     */
+    function setVariantOptions(options) {
+        sendCommand(`setoption name UCI_Chess960 value ${Boolean(options.chess960)}`);
+    }
+    
+    /**
+     * Cancel the search in progress, if any; its promise is rejected with an error marked cancelled
+     */
+    function cancel() {
+        if (currentCallback) {
+            const error = new Error('Stockfish search cancelled');
+            error.cancelled = true;
+            abandonSearch(error);
+        }
+    }
+    
+    /**
+     * Stop the current search and reject its promise; its bestmove reply is ignored
+     * @param {Error} error - Reason passed to the waiting caller
+     */
+    function abandonSearch(error) {
+        const reject = currentReject;
+        currentCallback = null;
+        currentReject = null;
+        ignoredBestMoves++;
+        sendCommand('stop');
+        
+        if (reject) {
+            reject(error);
+        }
+    }
+    
     /**
      * Get analysis depth based on difficulty
      * @param {string} difficulty - Difficulty level
@@ -333,6 +439,8 @@ const StockfishEngine = (function() {
     return {
         init,
         getBestMove,
+        evaluate,
+        cancel,
         isReady,
         stop,
         getConfig,
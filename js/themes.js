@@ -0,0 +1,356 @@
+/**
+ * themes.js - Board Themes and Piece Sets
+ * Board color schemes, the piece sets pieces are drawn with, and remembering the choice between sessions
+ *
+ * A piece set is either the Unicode glyphs or one image per piece, named after the piece
+ * (white-king.svg, black-pawn.png, ...) as in assets/pieces/.
+ */
+
+const Themes = (function() {
+    'use strict';
+    
+    // Board color schemes: square colors and the highlights drawn on them
+    const BOARD_THEMES = {
+        brown: {
+            name: 'Brown',
+            light: '#f0d9b5',
+            dark: '#b58863',
+            lastMoveLight: '#f6eb72',
+            lastMoveDark: '#dcc34b',
+            selected: '#7fc97f',
+            premove: '#9fb4d8',
+            legalDot: 'rgba(0, 0, 0, 0.2)',
+            capture: 'rgba(255, 0, 0, 0.6)'
+        },
+        green: {
+            name: 'Green',
+            light: '#eeeed2',
+            dark: '#769656',
+            lastMoveLight: '#f6f682',
+            lastMoveDark: '#bbcb44',
+            selected: '#8fc9e8',
+            premove: '#c6a5d8',
+            legalDot: 'rgba(0, 0, 0, 0.2)',
+            capture: 'rgba(200, 0, 0, 0.6)'
+        },
+        blue: {
+            name: 'Blue',
+            light: '#dee3e6',
+            dark: '#8ca2ad',
+            lastMoveLight: '#cdd26a',
+            lastMoveDark: '#aaa23a',
+            selected: '#7fc97f',
+            premove: '#e0b0c0',
+            legalDot: 'rgba(0, 0, 0, 0.25)',
+            capture: 'rgba(255, 0, 0, 0.6)'
+        },
+        grey: {
+            name: 'Grey',
+            light: '#e6e6e6',
+            dark: '#a6a6a6',
+            lastMoveLight: '#f3e38f',
+            lastMoveDark: '#cdbd68',
+            selected: '#7fc97f',
+            premove: '#9fb4d8',
+            legalDot: 'rgba(0, 0, 0, 0.25)',
+            capture: 'rgba(255, 0, 0, 0.6)'
+        },
+        // Blue and orange highlights (Okabe-Ito palette) stay apart with red-green color blindness
+        colorblind: {
+            name: 'Color-blind safe',
+            light: '#ece6d8',
+            dark: '#8a9bb0',
+            lastMoveLight: '#9fd3f2',
+            lastMoveDark: '#56b4e9',
+            selected: '#e69f00',
+            premove: '#cc79a7',
+            legalDot: 'rgba(0, 0, 0, 0.35)',
+            capture: 'rgba(213, 94, 0, 0.9)'
+        },
+        contrast: {
+            name: 'High contrast',
+            light: '#ffffff',
+            dark: '#6e6e6e',
+            lastMoveLight: '#00e5ff',
+            lastMoveDark: '#0097a7',
+            selected: '#ffd600',
+            premove: '#ff4fd8',
+            legalDot: 'rgba(0, 0, 0, 0.6)',
+            capture: 'rgba(255, 0, 0, 1)'
+        }
+    };
+    
+    // CSS custom properties set from a board theme
+    const THEME_PROPERTIES = {
+        light: '--square-light',
+        dark: '--square-dark',
+        lastMoveLight: '--last-move-light',
+        lastMoveDark: '--last-move-dark',
+        selected: '--selected-square',
+        premove: '--premove-square',
+        legalDot: '--legal-dot',
+        capture: '--capture-border'
+    };
+    
+    // Bundled piece sets; folder is under assets/pieces/, and null means Unicode glyphs
+    const PIECE_SETS = {
+        unicode: { name: 'Unicode', folder: null },
+        flat: { name: 'Flat', folder: 'flat' },
+        wood: { name: 'Wood', folder: 'wood' },
+        contrast: { name: 'High contrast', folder: 'contrast' }
+    };
+    
+    const CUSTOM_SET = 'custom';
+    
+    const PIECE_FILE_NAMES = {
+        'k': 'king', 'q': 'queen', 'r': 'rook', 'b': 'bishop', 'n': 'knight', 'p': 'pawn'
+    };
+    
+    // Image types a custom set may use
+    const IMAGE_EXTENSIONS = ['svg', 'png', 'webp', 'gif', 'jpg', 'jpeg'];
+    
+    const STORAGE_KEYS = {
+        BOARD_THEME: 'chess.boardTheme',
+        PIECE_SET: 'chess.pieceSet',
+        CUSTOM_PIECES: 'chess.customPieces'
+    };
+    
+    let boardTheme = 'brown';
+    let pieceSet = 'unicode';
+    let customPieces = null; // {name, images: {'wk': dataUrl, ...}} of the loaded custom set
+    
+    /**
+     * Restore the saved board theme and piece set, and apply them
+     */
+    function init() {
+        customPieces = readStorage(STORAGE_KEYS.CUSTOM_PIECES, true);
+        
+        const savedTheme = readStorage(STORAGE_KEYS.BOARD_THEME);
+        const savedSet = readStorage(STORAGE_KEYS.PIECE_SET);
+        boardTheme = BOARD_THEMES[savedTheme] ? savedTheme : 'brown';
+        pieceSet = (PIECE_SETS[savedSet] || (savedSet === CUSTOM_SET && customPieces)) ? savedSet : 'unicode';
+        
+        applyBoardTheme();
+    }
+    
+    /**
+     * Get the board theme in use
+     * @returns {string} Theme ID
+     */
+    function getBoardTheme() {
+        return boardTheme;
+    }
+    
+    /**
+     * Switch the board theme and remember it
+     * @param {string} themeId - Key of BOARD_THEMES
+     * @returns {boolean} False if there is no such theme
+     */
+    function setBoardTheme(themeId) {
+        if (!BOARD_THEMES[themeId]) {
+            return false;
+        }
+        
+        boardTheme = themeId;
+        writeStorage(STORAGE_KEYS.BOARD_THEME, themeId);
+        applyBoardTheme();
+        return true;
+    }
+    
+    /**
+     * Get the colors of the board theme in use
+     * @returns {object} Entry of BOARD_THEMES
+     */
+    function getBoardColors() {
+        return BOARD_THEMES[boardTheme];
+    }
+    
+    /**
+     * Set the theme's colors as CSS custom properties, which the board styles use
+     */
+    function applyBoardTheme() {
+        const theme = BOARD_THEMES[boardTheme];
+        Object.keys(THEME_PROPERTIES).forEach(key => {
+            document.documentElement.style.setProperty(THEME_PROPERTIES[key], theme[key]);
+        });
+    }
+    
+    /**
+     * Get the piece set in use
+     * @returns {string} Key of PIECE_SETS, or 'custom'
+     */
+    function getPieceSet() {
+        return pieceSet;
+    }
+    
+    /**
+     * Switch the piece set and remember it. The board has to be redrawn afterwards
+     * @param {string} setId - Key of PIECE_SETS, or 'custom' once a custom set is loaded
+     * @returns {boolean} False if there is no such set
+     */
+    function setPieceSet(setId) {
+        if (!PIECE_SETS[setId] && !(setId === CUSTOM_SET && customPieces)) {
+            return false;
+        }
+        
+        pieceSet = setId;
+        writeStorage(STORAGE_KEYS.PIECE_SET, setId);
+        return true;
+    }
+    
+    /**
+     * Get the piece sets to choose from, including a loaded custom set
+     * @returns {array} [{id, name}]
+     */
+    function getPieceSets() {
+        const sets = Object.keys(PIECE_SETS).map(id => ({ id, name: PIECE_SETS[id].name }));
+        if (customPieces) {
+            sets.push({ id: CUSTOM_SET, name: `Custom (${customPieces.name})` });
+        }
+        return sets;
+    }
+    
+    /**
+     * Get the image a piece is drawn with
+     * @param {object} piece - {type, color}
+     * @returns {string|null} Image URL, or null when the set uses Unicode glyphs
+     */
+    function getPieceImage(piece) {
+        if (pieceSet === CUSTOM_SET) {
+            return customPieces.images[piece.color + piece.type];
+        }
+        
+        const folder = PIECE_SETS[pieceSet].folder;
+        return folder ? `assets/pieces/${folder}/${getPieceFileName(piece)}.svg` : null;
+    }
+    
+    /**
+     * Get the file name of a piece's image, without extension
+     * @param {object} piece - {type, color}
+     * @returns {string} E.g. 'white-knight'
+     */
+    function getPieceFileName(piece) {
+        return `${piece.color === 'w' ? 'white' : 'black'}-${PIECE_FILE_NAMES[piece.type]}`;
+    }
+    
+    /**
+     * Load a custom piece set from the files of a local folder, switch to it and remember it.
+     * Images are found by name: white-king.svg, black-pawn.png and so on, or the short wK.svg, bP.png
+     * @param {FileList|array} files - Files picked from the folder
+     * @returns {Promise<object>} {loaded, saved, missing}: whether the set is now in use, whether it
+     *   could be stored for later sessions, and the names of the pieces with no image
+     */
+    async function loadCustomPieceSet(files) {
+        const found = {};
+        Array.from(files).forEach(file => {
+            const key = getPieceKeyForFile(file.name);
+            if (key) {
+                found[key] = file;
+            }
+        });
+        
+        const keys = ['w', 'b'].flatMap(color => Object.keys(PIECE_FILE_NAMES).map(type => color + type));
+        const missing = keys.filter(key => !found[key])
+            .map(key => getPieceFileName({ color: key[0], type: key[1] }));
+        if (missing.length > 0) {
+            return { loaded: false, saved: false, missing };
+        }
+        
+        const images = {};
+        for (const key of keys) {
+            images[key] = await readAsDataUrl(found[key]);
+        }
+        
+        // The folder name comes with the file's path when a whole folder was picked
+        const path = found.wk.webkitRelativePath || '';
+        customPieces = { name: path.includes('/') ? path.split('/')[0] : 'local files', images };
+        pieceSet = CUSTOM_SET;
+        
+        // Images can outgrow the storage quota; the set then lasts for this session only
+        const saved = writeStorage(STORAGE_KEYS.CUSTOM_PIECES, customPieces, true);
+        if (!saved) {
+            writeStorage(STORAGE_KEYS.CUSTOM_PIECES, null, true);
+        }
+        writeStorage(STORAGE_KEYS.PIECE_SET, saved ? CUSTOM_SET : 'unicode');
+        return { loaded: true, saved, missing: [] };
+    }
+    
+    /**
+     * Tell which piece an image file is for
+     * @param {string} fileName - File name
+     * @returns {string|null} Color and type (e.g. 'wn'), or null if the name is not a piece image
+     */
+    function getPieceKeyForFile(fileName) {
+        const match = fileName.toLowerCase().match(/^(white|black|w|b)-?(king|queen|rook|bishop|knight|pawn|k|q|r|b|n|p)\.(\w+)$/);
+        if (!match || !IMAGE_EXTENSIONS.includes(match[3])) {
+            return null;
+        }
+        
+        const type = match[2].length === 1
+            ? match[2]
+            : Object.keys(PIECE_FILE_NAMES).find(key => PIECE_FILE_NAMES[key] === match[2]);
+        return match[1][0] + type;
+    }
+    
+    /**
+     * Read a file into a data URL, which outlives the page unlike object URLs
+     * @param {File} file - Image file
+     * @returns {Promise<string>}
+     */
+    function readAsDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+    
+    /**
+     * Read a saved setting
+     * @param {string} key - Storage key
+     * @param {boolean} isJson - Whether the value is stored as JSON
+     * @returns {*} Value, or null when missing or unreadable
+     */
+    function readStorage(key, isJson = false) {
+        try {
+            const value = localStorage.getItem(key);
+            return isJson && value !== null ? JSON.parse(value) : value;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Save a setting. Fails when storage is disabled or full
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @param {boolean} isJson - Whether to store the value as JSON
+     * @returns {boolean} True if saved
+     */
+    function writeStorage(key, value, isJson = false) {
+        try {
+            localStorage.setItem(key, isJson ? JSON.stringify(value) : value);
+            return true;
+        } catch (error) {
+            console.warn(`Could not save ${key}:`, error);
+            return false;
+        }
+    }
+    
+    // Public API
+    return {
+        BOARD_THEMES,
+        PIECE_SETS,
+        init,
+        getBoardTheme,
+        setBoardTheme,
+        getBoardColors,
+        getPieceSet,
+        setPieceSet,
+        getPieceSets,
+        getPieceImage,
+        getPieceFileName,
+        loadCustomPieceSet
+    };
+})();
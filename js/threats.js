@@ -0,0 +1,135 @@
+/**
+ * threats.js - Threat Detection
+ * Which squares each side attacks, and which pieces hang (attacked and undefended)
+ */
+
+const Threats = (function() {
+    'use strict';
+    
+    const FILES = 'abcdefgh';
+    
+    const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+    const KING_STEPS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+    const ROOK_DIRECTIONS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+    const BISHOP_DIRECTIONS = [[1, 1], [-1, 1], [-1, -1], [1, -1]];
+    
+    /**
+     * Check whether a side attacks a square
+     * @param {array} board - Board from game.board()
+     * @param {string} square - Square name
+     * @param {string} color - Attacking side, 'w' or 'b'
+     * @returns {boolean}
+     */
+    function isAttacked(board, square, color) {
+        const file = FILES.indexOf(square[0]);
+        const rank = parseInt(square[1], 10);
+        const pieceAt = (fileStep, rankStep) => getPiece(board, file + fileStep, rank + rankStep);
+        const isPiece = (piece, types) => piece && piece.color === color && types.includes(piece.type);
+        
+        // Pawns attack diagonally forward, so an attacking pawn stands diagonally behind the square
+        const pawnRank = color === 'w' ? -1 : 1;
+        if (isPiece(pieceAt(-1, pawnRank), 'p') || isPiece(pieceAt(1, pawnRank), 'p')) {
+            return true;
+        }
+        
+        if (KNIGHT_STEPS.some(([fileStep, rankStep]) => isPiece(pieceAt(fileStep, rankStep), 'n')) ||
+            KING_STEPS.some(([fileStep, rankStep]) => isPiece(pieceAt(fileStep, rankStep), 'k'))) {
+            return true;
+        }
+        
+        return isSlideAttacked(board, file, rank, ROOK_DIRECTIONS, piece => isPiece(piece, 'rq')) ||
+            isSlideAttacked(board, file, rank, BISHOP_DIRECTIONS, piece => isPiece(piece, 'bq'));
+    }
+    
+    /**
+     * Check whether a sliding piece reaches a square along any of some directions
+     * @param {array} board - Board from game.board()
+     * @param {number} file - File index of the square
+     * @param {number} rank - Rank of the square
+     * @param {array} directions - [fileStep, rankStep] pairs
+     * @param {function} isSlider - Whether a piece is one of the attacking sliders
+     * @returns {boolean}
+     */
+    function isSlideAttacked(board, file, rank, directions, isSlider) {
+        return directions.some(([fileStep, rankStep]) => {
+            for (let distance = 1; distance < 8; distance++) {
+                const target = file + fileStep * distance;
+                const targetRank = rank + rankStep * distance;
+                if (target < 0 || target > 7 || targetRank < 1 || targetRank > 8) {
+                    return false;
+                }
+                
+                const piece = getPiece(board, target, targetRank);
+                if (piece) {
+                    return isSlider(piece);
+                }
+            }
+            return false;
+        });
+    }
+    
+    /**
+     * Find the pieces of both sides that are attacked and not defended. Kings are left out
+     * @param {object} game - Game object
+     * @returns {array} Square names
+     */
+    function getHangingSquares(game) {
+        const board = game.board();
+        const hanging = [];
+        
+        board.forEach((row, rowIndex) => {
+            row.forEach((piece, colIndex) => {
+                if (!piece || piece.type === 'k') return;
+                
+                const square = FILES[colIndex] + (8 - rowIndex);
+                const enemy = piece.color === 'w' ? 'b' : 'w';
+                if (isAttacked(board, square, enemy) && !isAttacked(board, square, piece.color)) {
+                    hanging.push(square);
+                }
+            });
+        });
+        
+        return hanging;
+    }
+    
+    /**
+     * Find the king of the side to move when it is in check
+     * @param {object} game - Game object
+     * @returns {string|null} Square name, or null when not in check
+     */
+    function getCheckedKingSquare(game) {
+        if (!game.in_check()) {
+            return null;
+        }
+        
+        const board = game.board();
+        for (let rowIndex = 0; rowIndex < 8; rowIndex++) {
+            const colIndex = board[rowIndex].findIndex(piece => piece && piece.type === 'k' && piece.color === game.turn());
+            if (colIndex >= 0) {
+                return FILES[colIndex] + (8 - rowIndex);
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Get the piece on a square given by coordinates
+     * @param {array} board - Board from game.board()
+     * @param {number} file - File index, 0 for the a-file
+     * @param {number} rank - Rank, 1-8
+     * @returns {object|null} Piece, or null when empty or off the board
+     */
+    function getPiece(board, file, rank) {
+        if (file < 0 || file > 7 || rank < 1 || rank > 8) {
+            return null;
+        }
+        return board[8 - rank][file];
+    }
+    
+    // Public API
+    return {
+        isAttacked,
+        getHangingSquares,
+        getCheckedKingSquare
+    };
+})();
@@ -8,13 +8,33 @@ const UIController = (function() {
     
     let setupListenersAttached = false;
     let gameListenersAttached = false;
+    let libraryGames = []; // Records listed in the game library panel
+    let libraryRequest = 0; // Incremented to discard library listings overtaken by a newer search
+    let importedGames = []; // Games read from the PGN in the import panel
+    let sharedGame = null; // Game from the link the page was opened with
+    let diagramPositions = []; // Mainline positions listed in the diagram export panel
+    let diagramPreviewRequest = 0; // Incremented to discard previews overtaken by newer options
     
     /**
      * Initialize UI controller
      */
     function init() {
+        Themes.init();
+        Sounds.init();
         setupModalListeners();
         showSetupModal();
+        showSavedGame();
+        showSharedGame();
+        
+        // Save the clocks as they are when the page goes away, not as of the last move
+        window.addEventListener('pagehide', () => GameController.saveGame());
+        
+        // A link pasted into the open page only changes the fragment
+        window.addEventListener('hashchange', () => {
+            if (showSharedGame()) {
+                showSetupModal();
+            }
+        });
     }
     
     /**
@@ -48,15 +68,219 @@ const UIController = (function() {
             });
         }
         
+        // Time control selection
+        const timeControlPreset = document.getElementById('time-control-preset');
+        if (timeControlPreset) {
+            timeControlPreset.addEventListener('change', () => {
+                toggleTimeControlInputs(timeControlPreset.value);
+            });
+        }
+        
+        // Variant selection
+        const variantSelect = document.getElementById('variant-select');
+        if (variantSelect) {
+            variantSelect.addEventListener('change', () => {
+                toggleVariantInputs(variantSelect.value);
+            });
+        }
+        
+        const chess960Input = document.getElementById('chess960-position');
+        if (chess960Input) {
+            chess960Input.addEventListener('input', () => showChess960Error(null));
+        }
+        
+        // Clear FEN errors as soon as the position is edited
+        const startFenInput = document.getElementById('start-fen');
+        if (startFenInput) {
+            startFenInput.addEventListener('input', () => showFenErrors([]));
+        }
+        
         // Start custom game button
         const startCustomBtn = document.getElementById('start-custom-game');
         if (startCustomBtn) {
             startCustomBtn.addEventListener('click', startCustomGame);
         }
         
+        // Board editor button
+        const openEditorBtn = document.getElementById('open-board-editor');
+        if (openEditorBtn) {
+            openEditorBtn.addEventListener('click', openBoardEditor);
+        }
+        
+        // Saved game buttons
+        const resumeGameBtn = document.getElementById('resume-game-btn');
+        if (resumeGameBtn) {
+            resumeGameBtn.addEventListener('click', resumeSavedGame);
+        }
+        
+        const discardSavedGameBtn = document.getElementById('discard-saved-game-btn');
+        if (discardSavedGameBtn) {
+            discardSavedGameBtn.addEventListener('click', () => {
+                Autosave.clear();
+                hideSavedGame();
+            });
+        }
+        
+        // Shared game buttons
+        const replaySharedGameBtn = document.getElementById('replay-shared-game-btn');
+        if (replaySharedGameBtn) {
+            replaySharedGameBtn.addEventListener('click', () => openSharedGame(false));
+        }
+        
+        const playSharedGameBtn = document.getElementById('play-shared-game-btn');
+        if (playSharedGameBtn) {
+            playSharedGameBtn.addEventListener('click', () => openSharedGame(true));
+        }
+        
+        const dismissSharedGameBtn = document.getElementById('dismiss-shared-game-btn');
+        if (dismissSharedGameBtn) {
+            dismissSharedGameBtn.addEventListener('click', hideSharedGame);
+        }
+        
+        setupLibraryListeners();
+        setupImportListeners();
+        
         setupListenersAttached = true;
     }
     
+    /**
+     * Setup game library listeners; the library opens from the setup screen and from the game controls
+     */
+    function setupLibraryListeners() {
+        ['setup-library-btn', 'library-btn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', openLibrary);
+            }
+        });
+        
+        const modal = document.getElementById('library-modal');
+        const closeBtn = document.getElementById('close-library-btn');
+        const exportBtn = document.getElementById('export-library-btn');
+        const gameList = document.getElementById('library-games');
+        
+        if (modal) {
+            modal.addEventListener('keydown', event => {
+                if (event.key === 'Escape') {
+                    closeLibrary();
+                }
+            });
+        }
+        
+        if (closeBtn) {
+            closeBtn.addEventListener('click', closeLibrary);
+        }
+        
+        const searchInput = document.getElementById('library-search');
+        if (searchInput) {
+            searchInput.addEventListener('input', refreshLibrary);
+        }
+        
+        ['library-result-filter', 'library-player-filter', 'library-variant-filter'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', refreshLibrary);
+            }
+        });
+        
+        if (exportBtn) {
+            exportBtn.addEventListener('click', exportLibrary);
+        }
+        
+        // One listener for the buttons of every listed game
+        if (gameList) {
+            gameList.addEventListener('click', event => {
+                const button = event.target.closest('button[data-action]');
+                if (!button) return;
+                
+                const id = Number(button.dataset.id);
+                if (button.dataset.action === 'replay') {
+                    replayLibraryGame(id);
+                } else if (button.dataset.action === 'delete') {
+                    deleteLibraryGame(id);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Setup PGN import listeners; games are imported from the setup screen, the game controls,
+     * or by dropping a file on the board
+     */
+    function setupImportListeners() {
+        ['setup-import-btn', 'import-pgn-btn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', openImport);
+            }
+        });
+        
+        const modal = document.getElementById('import-modal');
+        const closeBtn = document.getElementById('close-import-btn');
+        const chooseFileBtn = document.getElementById('choose-pgn-file-btn');
+        const fileInput = document.getElementById('import-file-input');
+        const pgnText = document.getElementById('import-pgn-text');
+        const loadBtn = document.getElementById('import-load-btn');
+        
+        if (modal) {
+            modal.addEventListener('keydown', event => {
+                if (event.key === 'Escape') {
+                    closeImport();
+                }
+            });
+        }
+        
+        if (closeBtn) {
+            closeBtn.addEventListener('click', closeImport);
+        }
+        
+        if (chooseFileBtn && fileInput) {
+            chooseFileBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files.length > 0) {
+                    readImportFile(fileInput.files[0]);
+                }
+                fileInput.value = '';
+            });
+        }
+        
+        if (pgnText) {
+            pgnText.addEventListener('input', () => {
+                showImportFileName('');
+                readImportText();
+            });
+        }
+        
+        if (loadBtn) {
+            loadBtn.addEventListener('click', importSelectedGame);
+        }
+        
+        // Files dropped on the board; pieces are dragged with pointer events, so they never get here
+        const boardContainer = document.querySelector('.board-container');
+        if (boardContainer) {
+            const isFileDrag = event => event.dataTransfer &&
+                Array.from(event.dataTransfer.types).includes('Files') && !BoardEditor.isActive();
+            
+            boardContainer.addEventListener('dragover', event => {
+                if (!isFileDrag(event)) return;
+                event.preventDefault();
+                event.dataTransfer.dropEffect = 'copy';
+                boardContainer.classList.add('drop-target');
+            });
+            boardContainer.addEventListener('dragleave', event => {
+                if (!boardContainer.contains(event.relatedTarget)) {
+                    boardContainer.classList.remove('drop-target');
+                }
+            });
+            boardContainer.addEventListener('drop', event => {
+                boardContainer.classList.remove('drop-target');
+                if (!isFileDrag(event) || event.dataTransfer.files.length === 0) return;
+                event.preventDefault();
+                importDroppedFile(event.dataTransfer.files[0]);
+            });
+        }
+    }
+    
     /**
      * Setup game control listeners
      */
@@ -64,14 +288,35 @@ const UIController = (function() {
         if (gameListenersAttached) return;
         
         const newGameBtn = document.getElementById('new-game-btn');
+        const takebackBtn = document.getElementById('takeback-btn');
+        const offerDrawBtn = document.getElementById('offer-draw-btn');
+        const claimDrawBtn = document.getElementById('claim-draw-btn');
+        const resignBtn = document.getElementById('resign-btn');
+        const acceptDrawBtn = document.getElementById('accept-draw-btn');
+        const declineDrawBtn = document.getElementById('decline-draw-btn');
         const flipBoardBtn = document.getElementById('flip-board-btn');
         const exportPGNBtn = document.getElementById('export-pgn-btn');
+        const copyLinkBtn = document.getElementById('copy-link-btn');
+        const describePositionBtn = document.getElementById('describe-position-btn');
+        const playOnBtn = document.getElementById('play-on-btn');
         const prevMoveBtn = document.getElementById('prev-move-btn');
         const nextMoveBtn = document.getElementById('next-move-btn');
         const backToCurrentBtn = document.getElementById('back-to-current-btn');
+        const promoteVariationBtn = document.getElementById('promote-variation-btn');
+        const deleteVariationBtn = document.getElementById('delete-variation-btn');
         const pauseBtn = document.getElementById('pause-btn');
         const resumeBtn = document.getElementById('resume-btn');
         const aiSpeedSelect = document.getElementById('ai-speed');
+        const autoQueenToggle = document.getElementById('auto-queen-toggle');
+        const showHangingToggle = document.getElementById('show-hanging-toggle');
+        const boardThemeSelect = document.getElementById('board-theme-select');
+        const pieceSetSelect = document.getElementById('piece-set-select');
+        const coordinatesSelect = document.getElementById('coordinates-select');
+        const animationSpeedSelect = document.getElementById('animation-speed');
+        const loadPiecesBtn = document.getElementById('load-pieces-btn');
+        const customPiecesInput = document.getElementById('custom-pieces-input');
+        const soundVolumeSlider = document.getElementById('sound-volume');
+        const soundMuteToggle = document.getElementById('sound-mute-toggle');
         
         if (newGameBtn) {
             newGameBtn.addEventListener('click', () => {
@@ -81,20 +326,54 @@ const UIController = (function() {
             });
         }
         
-        if (flipBoardBtn) {
-            flipBoardBtn.addEventListener('click', () => {
-                ChessBoard.flip();
-                const game = GameController.getGame();
-                if (game) {
-                    ChessBoard.render(game);
+        if (takebackBtn) {
+            takebackBtn.addEventListener('click', () => GameController.takeback());
+        }
+        
+        if (offerDrawBtn) {
+            offerDrawBtn.addEventListener('click', () => GameController.offerDraw());
+        }
+        
+        if (claimDrawBtn) {
+            claimDrawBtn.addEventListener('click', () => GameController.claimDraw());
+        }
+        
+        if (resignBtn) {
+            resignBtn.addEventListener('click', () => {
+                if (confirm('Resign this game?')) {
+                    GameController.resign();
                 }
             });
         }
         
+        if (acceptDrawBtn) {
+            acceptDrawBtn.addEventListener('click', () => GameController.acceptDraw());
+        }
+        
+        if (declineDrawBtn) {
+            declineDrawBtn.addEventListener('click', () => GameController.declineDraw());
+        }
+        
+        if (flipBoardBtn) {
+            flipBoardBtn.addEventListener('click', () => GameController.flipBoard());
+        }
+        
         if (exportPGNBtn) {
             exportPGNBtn.addEventListener('click', exportGamePGN);
         }
         
+        if (copyLinkBtn) {
+            copyLinkBtn.addEventListener('click', copyShareLink);
+        }
+        
+        if (describePositionBtn) {
+            describePositionBtn.addEventListener('click', () => GameController.announcePosition());
+        }
+        
+        if (playOnBtn) {
+            playOnBtn.addEventListener('click', playFromHere);
+        }
+        
         if (prevMoveBtn) {
             prevMoveBtn.addEventListener('click', () => GameController.showPreviousMove());
         }
@@ -107,6 +386,14 @@ const UIController = (function() {
             backToCurrentBtn.addEventListener('click', () => GameController.returnToCurrent());
         }
         
+        if (promoteVariationBtn) {
+            promoteVariationBtn.addEventListener('click', () => GameController.promoteVariation());
+        }
+        
+        if (deleteVariationBtn) {
+            deleteVariationBtn.addEventListener('click', () => GameController.deleteVariation());
+        }
+        
         if (pauseBtn) {
             pauseBtn.addEventListener('click', () => {
                 GameController.pause();
@@ -130,9 +417,214 @@ const UIController = (function() {
             });
         }
         
+        if (autoQueenToggle) {
+            autoQueenToggle.checked = GameController.CONFIG.AUTO_QUEEN;
+            autoQueenToggle.addEventListener('change', () => {
+                GameController.setAutoQueen(autoQueenToggle.checked);
+            });
+        }
+        
+        if (showHangingToggle) {
+            showHangingToggle.checked = GameController.CONFIG.SHOW_HANGING;
+            showHangingToggle.addEventListener('change', () => {
+                GameController.setShowHanging(showHangingToggle.checked);
+            });
+        }
+        
+        if (boardThemeSelect) {
+            boardThemeSelect.innerHTML = Object.keys(Themes.BOARD_THEMES)
+                .map(id => `<option value="${id}">${Themes.BOARD_THEMES[id].name}</option>`)
+                .join('');
+            boardThemeSelect.value = Themes.getBoardTheme();
+            boardThemeSelect.addEventListener('change', () => {
+                Themes.setBoardTheme(boardThemeSelect.value);
+            });
+        }
+        
+        if (pieceSetSelect) {
+            updatePieceSetOptions();
+            pieceSetSelect.addEventListener('change', () => {
+                Themes.setPieceSet(pieceSetSelect.value);
+                ChessBoard.refreshPieces();
+                GameController.updateMaterialDisplay();
+            });
+        }
+        
+        if (coordinatesSelect) {
+            coordinatesSelect.addEventListener('change', () => {
+                ChessBoard.setCoordinates(coordinatesSelect.value);
+            });
+        }
+        
+        if (animationSpeedSelect) {
+            animationSpeedSelect.value = String(GameController.CONFIG.ANIMATION_DURATION);
+            animationSpeedSelect.addEventListener('change', () => {
+                GameController.setAnimationDuration(parseInt(animationSpeedSelect.value, 10));
+            });
+        }
+        
+        if (soundVolumeSlider) {
+            soundVolumeSlider.value = Math.round(Sounds.getVolume() * 100);
+            soundVolumeSlider.addEventListener('input', () => {
+                Sounds.setVolume(parseInt(soundVolumeSlider.value, 10) / 100);
+            });
+            // Let the player hear the new level
+            soundVolumeSlider.addEventListener('change', () => Sounds.play('move'));
+        }
+        
+        if (soundMuteToggle) {
+            soundMuteToggle.checked = Sounds.isMuted();
+            soundMuteToggle.addEventListener('change', () => {
+                Sounds.setMuted(soundMuteToggle.checked);
+            });
+        }
+        
+        if (loadPiecesBtn && customPiecesInput) {
+            loadPiecesBtn.addEventListener('click', () => customPiecesInput.click());
+            customPiecesInput.addEventListener('change', () => {
+                loadCustomPieces(customPiecesInput.files);
+                customPiecesInput.value = '';
+            });
+        }
+        
+        setupDiagramListeners();
+        MoveInput.init('move-input', 'move-suggestions');
+        document.addEventListener('keydown', handleShortcut);
+        
         gameListenersAttached = true;
     }
     
+    /**
+     * Setup diagram export listeners
+     */
+    function setupDiagramListeners() {
+        const openBtn = document.getElementById('diagram-btn');
+        const modal = document.getElementById('diagram-modal');
+        const closeBtn = document.getElementById('close-diagram-btn');
+        const exportBtn = document.getElementById('export-diagram-btn');
+        const selectAllBtn = document.getElementById('select-all-diagrams-btn');
+        const selectNoneBtn = document.getElementById('select-no-diagrams-btn');
+        const exportSelectedBtn = document.getElementById('export-selected-diagrams-btn');
+        const positionList = document.getElementById('diagram-positions');
+        
+        if (openBtn) {
+            openBtn.addEventListener('click', openDiagramExport);
+        }
+        
+        if (modal) {
+            modal.addEventListener('keydown', event => {
+                if (event.key === 'Escape') {
+                    closeDiagramExport();
+                }
+            });
+        }
+        
+        if (closeBtn) {
+            closeBtn.addEventListener('click', closeDiagramExport);
+        }
+        
+        // The preview follows the options; the format only matters for the file
+        ['diagram-orientation', 'diagram-coordinates', 'diagram-last-move', 'diagram-arrows', 'diagram-caption'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', updateDiagramPreview);
+            }
+        });
+        
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => exportDiagrams([GameController.getShownDiagramPosition()]));
+        }
+        
+        if (selectAllBtn) {
+            selectAllBtn.addEventListener('click', () => selectDiagramPositions(true));
+        }
+        
+        if (selectNoneBtn) {
+            selectNoneBtn.addEventListener('click', () => selectDiagramPositions(false));
+        }
+        
+        if (positionList) {
+            positionList.addEventListener('change', updateDiagramSelection);
+        }
+        
+        if (exportSelectedBtn) {
+            exportSelectedBtn.addEventListener('click', () => exportDiagrams(getSelectedDiagramPositions()));
+        }
+    }
+    
+    /**
+     * Handle keyboard shortcuts for the game
+     * Arrow keys also browse the history from the move box while it is empty
+     * @param {KeyboardEvent} event - Key down event
+     */
+    function handleShortcut(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey || isShortcutBlocked()) {
+            return;
+        }
+        
+        const target = event.target;
+        const inMoveInput = MoveInput.isInput(target);
+        const isTyping = target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
+        if (isTyping && !(inMoveInput && MoveInput.isEmpty())) {
+            return;
+        }
+        
+        const navigation = {
+            ArrowLeft: () => GameController.showPreviousMove(),
+            ArrowRight: () => GameController.showNextMove(),
+            End: () => GameController.returnToCurrent()
+        };
+        const commands = {
+            '/': () => MoveInput.focus(),
+            d: () => GameController.announcePosition(),
+            f: () => GameController.flipBoard(),
+            n: () => document.getElementById('new-game-btn').click(),
+            p: togglePause
+        };
+        
+        // Letters typed in the move box are moves, not commands
+        const action = navigation[event.key] || (!inMoveInput && commands[event.key.toLowerCase()]);
+        if (action) {
+            event.preventDefault();
+            action();
+        }
+    }
+    
+    /**
+     * Check whether something covers the game, so keys should not reach it
+     * @returns {boolean}
+     */
+    function isShortcutBlocked() {
+        const modal = document.getElementById('setup-modal');
+        const libraryModal = document.getElementById('library-modal');
+        const importModal = document.getElementById('import-modal');
+        const diagramModal = document.getElementById('diagram-modal');
+        return (modal && modal.classList.contains('show')) ||
+            (libraryModal && libraryModal.classList.contains('show')) ||
+            (importModal && importModal.classList.contains('show')) ||
+            (diagramModal && diagramModal.classList.contains('show')) ||
+            BoardEditor.isActive() ||
+            document.querySelector('.promotion-overlay') !== null;
+    }
+    
+    /**
+     * Pause or resume an AI vs AI game with its playback buttons
+     */
+    function togglePause() {
+        const aiVsAiControls = document.getElementById('ai-vs-ai-controls');
+        if (!aiVsAiControls || aiVsAiControls.style.display === 'none') {
+            return;
+        }
+        
+        const pauseBtn = document.getElementById('pause-btn');
+        const resumeBtn = document.getElementById('resume-btn');
+        if (pauseBtn.style.display !== 'none') {
+            pauseBtn.click();
+        } else {
+            resumeBtn.click();
+        }
+    }
+    
     /**
      * Show setup modal
      */
@@ -194,8 +686,33 @@ const UIController = (function() {
         }
     }
     
+    /**
+     * Set up the start position on the board editor, then play it with the custom players
+     */
+    function openBoardEditor() {
+        const startFenInput = document.getElementById('start-fen');
+        const initialFen = startFenInput && startFenInput.value.trim()
+            ? startFenInput.value
+            : Position.DEFAULT_FEN;
+        
+        // Keep the previous game from moving on the board while it is being edited
+        if (GameController.getGame()) {
+            GameController.stop();
+        }
+        
+        hideSetupModal();
+        BoardEditor.open(initialFen, {
+            onStart: fen => {
+                startFenInput.value = fen;
+                startCustomGame();
+            },
+            onCancel: showSetupModal
+        });
+    }
+    
     /**
      * Start custom game with configured settings
+     * @returns {Promise<boolean>} True if the game was started
      */
     async function startCustomGame() {
         const whiteProvider = document.getElementById('white-provider').value;
@@ -203,18 +720,24 @@ const UIController = (function() {
         const blackProvider = document.getElementById('black-provider').value;
         const blackDifficulty = document.getElementById('black-difficulty').value;
         
-        // Check if providers are available
-        const whiteAvailable = await AIManager.isProviderAvailable(whiteProvider);
-        const blackAvailable = await AIManager.isProviderAvailable(blackProvider);
+        const variant = getSelectedVariant();
+        if (!variant) {
+            return false;
+        }
+        
+        // Check if providers are available; variants Stockfish cannot play use the local search instead
+        const needsProviders = Variants.get(variant.variant).engineCompatible;
+        const whiteAvailable = !needsProviders || await AIManager.isProviderAvailable(whiteProvider);
+        const blackAvailable = !needsProviders || await AIManager.isProviderAvailable(blackProvider);
         
         if (!whiteAvailable && whiteProvider !== 'human') {
             alert(`${AIManager.getProviderDisplayName(whiteProvider)} is not available. Please check your configuration.`);
-            return;
+            return false;
         }
         
         if (!blackAvailable && blackProvider !== 'human') {
             alert(`${AIManager.getProviderDisplayName(blackProvider)} is not available. Please check your configuration.`);
-            return;
+            return false;
         }
         
         const gameMode = AIManager.createGameMode(
@@ -222,16 +745,52 @@ const UIController = (function() {
             blackProvider, blackDifficulty
         );
         
-        startGame(gameMode);
+        return startGame(gameMode);
     }
     
     /**
      * Start game with given mode
      * @param {object} gameMode - Game mode configuration
+     * @returns {boolean} True if the game was started
      */
     function startGame(gameMode) {
+        const variant = getSelectedVariant();
+        if (!variant) {
+            return false;
+        }
+        
+        // Chess960 and Horde games always start from their own position
+        const startFen = Variants.get(variant.variant).customStart ? getSelectedStartFen() : null;
+        if (startFen === false) {
+            return false;
+        }
+        
+        showGameScreen(gameMode);
+        
+        gameMode.timeControl = getSelectedTimeControl();
+        gameMode.takebackLimit = getSelectedTakebackLimit();
+        gameMode.startFen = startFen;
+        gameMode.variant = variant.variant;
+        gameMode.chess960Position = variant.chess960Position;
+        
+        // Initialize game controller
+        GameController.setGameMode(gameMode);
+        GameController.init(gameMode);
+        return true;
+    }
+    
+    /**
+     * Leave the setup screens for the board, with the controls the players need
+     * @param {object} gameMode - Game mode configuration
+     */
+    function showGameScreen(gameMode) {
+        if (BoardEditor.isActive()) {
+            BoardEditor.close();
+        }
         hideSetupModal();
+        hideSavedGame();
         setupGameListeners();
+        MoveInput.clear();
         
         // Show AI vs AI controls if both players are AI
         const aiVsAiControls = document.getElementById('ai-vs-ai-controls');
@@ -240,55 +799,986 @@ const UIController = (function() {
                             gameMode.black.provider !== AIManager.AIProvider.HUMAN;
             aiVsAiControls.style.display = isAIvsAI ? 'block' : 'none';
         }
+    }
+    
+    /**
+     * Offer to resume the game saved from the last visit, if there is one in progress
+     */
+    function showSavedGame() {
+        const panel = document.getElementById('resume-game');
+        const summary = document.getElementById('resume-game-summary');
+        const snapshot = Autosave.load();
+        if (!panel || !summary || !snapshot) return;
         
-        // Initialize game controller
-        GameController.setGameMode(gameMode);
-        GameController.init(gameMode);
+        summary.textContent = describeSavedGame(snapshot);
+        panel.style.display = 'flex';
     }
     
     /**
-     * Toggle difficulty visibility based on provider selection
-     * @param {string} color - 'white' or 'black'
-     * @param {string} provider - Selected provider
+     * Hide the offer to resume the saved game
      */
-    function toggleDifficultyVisibility(color, provider) {
-        const difficultyGroup = document.getElementById(`${color}-difficulty-group`);
-        if (difficultyGroup) {
-            difficultyGroup.style.display = provider === 'human' ? 'none' : 'block';
+    function hideSavedGame() {
+        const panel = document.getElementById('resume-game');
+        if (panel) {
+            panel.style.display = 'none';
         }
     }
     
     /**
-     * Export game to PGN
+     * Describe a saved game for the resume offer
+     * @param {object} snapshot - Saved game
+     * @returns {string} e.g. 'Human vs Stockfish (Intermediate) · Standard · 5+3 · Move 14, Black to move · Saved 10/19/2026, 9:41:07 PM'
      */
-    function exportGamePGN() {
+    function describeSavedGame(snapshot) {
+        const gameMode = snapshot.gameMode;
+        const history = snapshot.moveHistory;
+        const fen = history.length > 0 ? history[history.length - 1].fen : snapshot.startFen;
+        
+        return [
+            `${GameLibrary.describePlayer(gameMode.white)} vs ${GameLibrary.describePlayer(gameMode.black)}`,
+            Variants.get(gameMode.variant).name,
+            ChessClock.describe(gameMode.timeControl || null),
+            `Move ${Position.getFullmoveNumber(fen)}, ${Position.getSideToMove(fen) === 'w' ? 'White' : 'Black'} to move`,
+            `Saved ${new Date(snapshot.savedAt).toLocaleString()}`
+        ].join(' · ');
+    }
+    
+    /**
+     * Resume the saved game: its moves, clocks and board as they were left
+     * @returns {Promise<boolean>} True if the game was resumed
+     */
+    async function resumeSavedGame() {
+        const snapshot = Autosave.load();
+        if (!snapshot) {
+            hideSavedGame();
+            return false;
+        }
+        
+        // The engine may have to start again, as for a new game
+        const gameMode = snapshot.gameMode;
+        if (Variants.get(gameMode.variant).engineCompatible) {
+            for (const config of [gameMode.white, gameMode.black]) {
+                if (!await AIManager.isProviderAvailable(config.provider)) {
+                    alert(`${AIManager.getProviderDisplayName(config.provider)} is not available. Please check your configuration.`);
+                    return false;
+                }
+            }
+        }
+        
+        showGameScreen(gameMode);
         try {
-            const pgn = GameController.exportPGN();
-            const gameMode = GameController.getGameMode();
-            
-            // Create enhanced PGN with AI metadata
-            const whitePlayer = `${AIManager.getProviderDisplayName(gameMode.white.provider)}` +
-                              (gameMode.white.provider !== AIManager.AIProvider.HUMAN ? ` (${gameMode.white.difficulty})` : '');
-            const blackPlayer = `${AIManager.getProviderDisplayName(gameMode.black.provider)}` +
-                              (gameMode.black.provider !== AIManager.AIProvider.HUMAN ? ` (${gameMode.black.difficulty})` : '');
-            
-            const enhancedPGN = `[Event "Chess Game"]\n[White "${whitePlayer}"]\n[Black "${blackPlayer}"]\n[Date "${new Date().toISOString().split('T')[0]}"]\n\n${pgn}`;
-            
-            // Download PGN file
-            const blob = new Blob([enhancedPGN], { type: 'text/plain' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `chess-game-${Date.now()}.pgn`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
-            console.log('PGN exported successfully');
+            GameController.restoreGame(snapshot);
         } catch (error) {
-            console.error('Error exporting PGN:', error);
-            alert('Failed to export PGN');
+            console.error('Could not resume the saved game:', error);
+            alert('The saved game could not be resumed.');
+            Autosave.clear();
+            showSetupModal();
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Offer to open the game in the page's link, or say why it cannot be opened
+     * @returns {boolean} True if the link holds a game
+     */
+    function showSharedGame() {
+        const panel = document.getElementById('shared-game');
+        const summary = document.getElementById('shared-game-summary');
+        if (!panel || !summary) return false;
+        
+        sharedGame = null;
+        let error = '';
+        try {
+            sharedGame = ShareLink.decode(window.location.hash);
+        } catch (decodeError) {
+            error = decodeError.message;
+        }
+        if (!sharedGame && !error) {
+            panel.style.display = 'none';
+            return false;
+        }
+        
+        summary.textContent = sharedGame ? describeSharedGame(sharedGame) : 'The game in this link cannot be opened.';
+        showSharedGameError(error);
+        ['replay-shared-game-btn', 'play-shared-game-btn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.disabled = !sharedGame;
+            }
+        });
+        panel.style.display = 'flex';
+        return true;
+    }
+    
+    /**
+     * Hide the shared game and take it out of the page's link, so a reload does not offer it again
+     */
+    function hideSharedGame() {
+        sharedGame = null;
+        const panel = document.getElementById('shared-game');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+        if (window.location.hash) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }
+    
+    /**
+     * Describe a shared game for the setup screen
+     * @param {object} shared - Shared game
+     * @returns {string} e.g. 'Human vs Stockfish (Advanced) · Standard · 31 moves, shown after move 12 · 0-1'
+     */
+    function describeSharedGame(shared) {
+        const moves = Math.ceil(shared.moves.length / 2);
+        let length = moves === 0 ? 'No moves' : `${moves} ${moves === 1 ? 'move' : 'moves'}`;
+        if (shared.ply < shared.moves.length) {
+            length += shared.ply === 0 ? ', shown at the start' : `, shown after move ${Math.ceil(shared.ply / 2)}`;
+        }
+        
+        return [
+            `${GameLibrary.describePlayer(shared.white)} vs ${GameLibrary.describePlayer(shared.black)}`,
+            Variants.get(shared.variant).name,
+            length,
+            shared.result ? shared.result.result : ''
+        ].filter(Boolean).join(' · ');
+    }
+    
+    /**
+     * Show why the shared game cannot be opened
+     * @param {string} message - Error message, or '' to clear it
+     */
+    function showSharedGameError(message) {
+        const errorElement = document.getElementById('shared-game-error');
+        if (!errorElement) return;
+        
+        errorElement.textContent = message;
+        errorElement.classList.toggle('hidden', !message);
+    }
+    
+    /**
+     * Open the game from the page's link, either to replay it or to play on
+     * from the position it shows with its players
+     * @param {boolean} playOn - Whether to play on rather than replay
+     * @returns {Promise<boolean>} True if the game was opened
+     */
+    async function openSharedGame(playOn) {
+        if (!sharedGame) {
+            return false;
+        }
+        
+        if (GameController.getGame() && !GameController.getGameResult() &&
+            !confirm('Leave the game in progress to open the shared one?')) {
+            return false;
+        }
+        
+        // The engine may have to start again, as for a new game
+        if (playOn && Variants.get(sharedGame.variant).engineCompatible) {
+            for (const config of [sharedGame.white, sharedGame.black]) {
+                if (!await AIManager.isProviderAvailable(config.provider)) {
+                    alert(`${AIManager.getProviderDisplayName(config.provider)} is not available. Please check your configuration.`);
+                    return false;
+                }
+            }
+        }
+        
+        // The game in progress is only replaced once every move has been read
+        try {
+            GameController.openSharedGame(sharedGame, playOn);
+        } catch (error) {
+            console.error('Could not open the shared game:', error);
+            showSharedGameError(`This game could not be opened: ${error.message}`);
+            return false;
+        }
+        
+        hideSharedGame();
+        showGameScreen(GameController.getGameMode());
+        return true;
+    }
+    
+    /**
+     * Open the game library
+     */
+    function openLibrary() {
+        if (!GameLibrary.isAvailable()) {
+            alert('This browser cannot store a game library.');
+            return;
+        }
+        
+        const modal = document.getElementById('library-modal');
+        if (!modal) return;
+        
+        modal.classList.add('show');
+        refreshLibrary();
+        
+        const searchInput = document.getElementById('library-search');
+        if (searchInput) {
+            searchInput.focus();
+        }
+    }
+    
+    /**
+     * Close the game library
+     */
+    function closeLibrary() {
+        const modal = document.getElementById('library-modal');
+        if (modal) {
+            modal.classList.remove('show');
+        }
+    }
+    
+    /**
+     * List the library games that match the search and filters
+     */
+    async function refreshLibrary() {
+        const value = id => {
+            const element = document.getElementById(id);
+            return element ? element.value : '';
+        };
+        const filter = {
+            text: value('library-search'),
+            result: value('library-result-filter'),
+            provider: value('library-player-filter'),
+            variant: value('library-variant-filter')
+        };
+        
+        const requestId = ++libraryRequest;
+        let games;
+        try {
+            games = await GameLibrary.list(filter);
+        } catch (error) {
+            console.error('Error reading the game library:', error);
+            games = null;
+        }
+        
+        // A newer search started while this one was reading
+        if (requestId !== libraryRequest) return;
+        
+        libraryGames = games || [];
+        renderLibrary(games === null
+            ? 'The game library could not be read.'
+            : describeLibraryListing(libraryGames.length, Object.values(filter).some(Boolean)));
+    }
+    
+    /**
+     * Describe how many games are listed
+     * @param {number} count - Games listed
+     * @param {boolean} isFiltered - Whether a search or filter is set
+     * @returns {string}
+     */
+    function describeLibraryListing(count, isFiltered) {
+        if (count === 0) {
+            return isFiltered
+                ? 'No games match the search.'
+                : 'No finished games yet. Games are added here when they end.';
+        }
+        return `${count} game${count === 1 ? '' : 's'}`;
+    }
+    
+    /**
+     * Show the listed library games
+     * @param {string} summary - Text above the list
+     */
+    function renderLibrary(summary) {
+        const summaryEl = document.getElementById('library-summary');
+        const gameList = document.getElementById('library-games');
+        const exportBtn = document.getElementById('export-library-btn');
+        
+        if (summaryEl) {
+            summaryEl.textContent = summary;
+        }
+        if (exportBtn) {
+            exportBtn.disabled = libraryGames.length === 0;
+        }
+        if (!gameList) return;
+        
+        gameList.innerHTML = '';
+        libraryGames.forEach(record => gameList.appendChild(createLibraryRow(record)));
+    }
+    
+    /**
+     * Create the table row of a library game
+     * @param {object} record - Game record
+     * @returns {HTMLTableRowElement}
+     */
+    function createLibraryRow(record) {
+        const row = document.createElement('tr');
+        const white = GameLibrary.describePlayer(record.white);
+        const black = GameLibrary.describePlayer(record.black);
+        
+        let opening = record.opening ? `${record.opening.eco} ${record.opening.name}` : '—';
+        if (record.variant !== 'standard') {
+            opening = `${Variants.get(record.variant).name}${record.opening ? `: ${opening}` : ''}`;
+        }
+        
+        const cells = [
+            new Date(record.date).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }),
+            white,
+            black,
+            record.result === '1/2-1/2' ? '½-½' : record.result,
+            opening,
+            String(Math.ceil(record.plies / 2)),
+            record.termination
+        ];
+        cells.forEach((text, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (index === 4) {
+                cell.className = 'library-opening';
+            }
+            row.appendChild(cell);
+        });
+        
+        const actions = document.createElement('td');
+        actions.className = 'library-game-actions';
+        actions.innerHTML =
+            `<button class="btn btn-primary" data-action="replay" data-id="${record.id}">Replay</button> ` +
+            `<button class="btn btn-danger" data-action="delete" data-id="${record.id}">Delete</button>`;
+        actions.querySelectorAll('button').forEach(button => {
+            button.setAttribute('aria-label', `${button.textContent} ${white} vs ${black}, ${cells[0]}`);
+        });
+        row.appendChild(actions);
+        
+        return row;
+    }
+    
+    /**
+     * Load a library game on the board, at its start position, to step through it
+     * @param {number} id - Record id
+     * @returns {Promise<boolean>} True if the game was loaded
+     */
+    async function replayLibraryGame(id) {
+        const record = await GameLibrary.get(id);
+        if (!record) {
+            refreshLibrary();
+            return false;
+        }
+        
+        if (GameController.getGame() && !GameController.getGameResult() &&
+            !confirm('Leave the game in progress to replay this one?')) {
+            return false;
+        }
+        
+        closeLibrary();
+        showGameScreen(record.snapshot.gameMode);
+        try {
+            GameController.restoreGame({ ...record.snapshot, viewCursor: [{ index: -1 }] });
+        } catch (error) {
+            console.error('Could not replay the game:', error);
+            alert('This game could not be replayed.');
+            showSetupModal();
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Delete a game from the library
+     * @param {number} id - Record id
+     */
+    async function deleteLibraryGame(id) {
+        if (!confirm('Delete this game from the library?')) {
+            return;
+        }
+        
+        try {
+            await GameLibrary.remove(id);
+        } catch (error) {
+            console.error('Error deleting the game:', error);
+            alert('Failed to delete the game');
+        }
+        refreshLibrary();
+    }
+    
+    /**
+     * Download the listed library games as one PGN file
+     */
+    function exportLibrary() {
+        if (libraryGames.length === 0) return;
+        downloadText(GameLibrary.toPgn(libraryGames), `chess-library-${new Date().toISOString().split('T')[0]}.pgn`);
+    }
+    
+    /**
+     * Open the PGN import panel
+     */
+    function openImport() {
+        const modal = document.getElementById('import-modal');
+        if (!modal) return;
+        
+        modal.classList.add('show');
+        const pgnText = document.getElementById('import-pgn-text');
+        if (pgnText) {
+            pgnText.focus();
+        }
+    }
+    
+    /**
+     * Close the PGN import panel
+     */
+    function closeImport() {
+        const modal = document.getElementById('import-modal');
+        if (modal) {
+            modal.classList.remove('show');
+        }
+    }
+    
+    /**
+     * Put a PGN file in the import panel and read its games
+     * @param {File} file - PGN file
+     * @returns {Promise<boolean>} True if the file was read
+     */
+    async function readImportFile(file) {
+        let text;
+        try {
+            text = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsText(file);
+            });
+        } catch (error) {
+            console.error('Error reading the PGN file:', error);
+            alert(`Failed to read ${file.name}`);
+            return false;
+        }
+        
+        const pgnText = document.getElementById('import-pgn-text');
+        if (pgnText) {
+            pgnText.value = text;
+        }
+        showImportFileName(file.name);
+        readImportText();
+        return true;
+    }
+    
+    /**
+     * Show the name of the file in the import panel
+     * @param {string} name - File name, or '' for pasted text
+     */
+    function showImportFileName(name) {
+        const fileName = document.getElementById('import-file-name');
+        if (fileName) {
+            fileName.textContent = name;
+        }
+    }
+    
+    /**
+     * Read the games in the import panel's PGN text, and offer a choice when there are several
+     */
+    function readImportText() {
+        const pgnText = document.getElementById('import-pgn-text');
+        const text = pgnText ? pgnText.value : '';
+        
+        importedGames = [];
+        let error = '';
+        if (text.trim()) {
+            try {
+                importedGames = Pgn.parse(text);
+                if (importedGames.length === 0) {
+                    error = 'No games found.';
+                }
+            } catch (parseError) {
+                error = parseError.message;
+            }
+        }
+        
+        const picker = document.getElementById('import-game-picker');
+        const gameSelect = document.getElementById('import-game-select');
+        if (picker && gameSelect) {
+            gameSelect.innerHTML = '';
+            importedGames.forEach((game, index) => {
+                const option = document.createElement('option');
+                option.value = String(index);
+                option.textContent = `${index + 1}. ${Pgn.describeGame(game)}`;
+                gameSelect.appendChild(option);
+            });
+            picker.style.display = importedGames.length > 1 ? 'flex' : 'none';
+        }
+        
+        showImportError(error);
+        const loadBtn = document.getElementById('import-load-btn');
+        if (loadBtn) {
+            loadBtn.disabled = importedGames.length === 0;
+        }
+    }
+    
+    /**
+     * Show why the PGN cannot be imported
+     * @param {string} message - Error message, or '' to clear it
+     */
+    function showImportError(message) {
+        const errorElement = document.getElementById('import-error');
+        if (!errorElement) return;
+        
+        errorElement.textContent = message;
+        errorElement.classList.toggle('hidden', !message);
+    }
+    
+    /**
+     * Import a PGN file dropped on the board: a single game loads at once,
+     * files with several games (or errors) open the import panel
+     * @param {File} file - Dropped file
+     */
+    async function importDroppedFile(file) {
+        if (!await readImportFile(file)) {
+            return;
+        }
+        
+        if (importedGames.length === 1) {
+            importSelectedGame();
+        } else {
+            openImport();
+        }
+    }
+    
+    /**
+     * Load the game picked in the import panel, at its start position, to step through it
+     * @returns {boolean} True if the game was loaded
+     */
+    function importSelectedGame() {
+        const gameSelect = document.getElementById('import-game-select');
+        const pgnGame = importedGames[gameSelect && gameSelect.value ? Number(gameSelect.value) : 0];
+        if (!pgnGame) {
+            return false;
+        }
+        
+        if (GameController.getGame() && !GameController.getGameResult() &&
+            !confirm('Leave the game in progress to import this one?')) {
+            return false;
+        }
+        
+        // The game in progress is only replaced once every move has been read
+        try {
+            GameController.importGame(pgnGame);
+        } catch (error) {
+            console.error('Could not import the game:', error);
+            showImportError(`This game could not be imported: ${error.message}`);
+            openImport();
+            return false;
+        }
+        
+        closeImport();
+        showGameScreen(GameController.getGameMode());
+        return true;
+    }
+    
+    /**
+     * Play on from the position shown against the AI picked in the Play From Here panel
+     * @returns {Promise<boolean>} True if play went on
+     */
+    async function playFromHere() {
+        const side = document.getElementById('play-on-side').value;
+        const provider = document.getElementById('play-on-provider').value;
+        const difficulty = document.getElementById('play-on-difficulty').value;
+        
+        // Variants Stockfish cannot play use the local search instead
+        if (Variants.get(GameController.getVariant()).engineCompatible && !await AIManager.isProviderAvailable(provider)) {
+            alert(`${AIManager.getProviderDisplayName(provider)} is not available. Please check your configuration.`);
+            return false;
+        }
+        
+        const human = AIManager.AIProvider.HUMAN;
+        const gameMode = side === 'w'
+            ? AIManager.createGameMode(human, null, provider, difficulty)
+            : AIManager.createGameMode(provider, difficulty, human, null);
+        
+        showGameScreen(gameMode);
+        return GameController.playFromPosition(gameMode);
+    }
+    
+    /**
+     * Toggle difficulty visibility based on provider selection
+     * @param {string} color - 'white' or 'black'
+     * @param {string} provider - Selected provider
+     */
+    function toggleDifficultyVisibility(color, provider) {
+        const difficultyGroup = document.getElementById(`${color}-difficulty-group`);
+        if (difficultyGroup) {
+            difficultyGroup.style.display = provider === 'human' ? 'none' : 'block';
+        }
+    }
+    
+    /**
+     * Show the increment and custom time inputs that apply to a preset
+     * @param {string} preset - Selected time control preset
+     */
+    function toggleTimeControlInputs(preset) {
+        const incrementGroup = document.getElementById('increment-type-group');
+        const customInputs = document.getElementById('custom-time-control');
+        
+        if (incrementGroup) {
+            incrementGroup.style.display = preset === 'none' ? 'none' : 'block';
+        }
+        if (customInputs) {
+            customInputs.style.display = preset === 'custom' ? 'flex' : 'none';
+        }
+    }
+    
+    /**
+     * Show the Chess960 position input, and hide the start position options in variants with their own start
+     * @param {string} variant - Selected variant
+     */
+    function toggleVariantInputs(variant) {
+        const customStart = Variants.get(variant).customStart;
+        const positionGroup = document.getElementById('chess960-position-group');
+        const startPositionGroup = document.getElementById('start-position-group');
+        const openEditorBtn = document.getElementById('open-board-editor');
+        
+        if (positionGroup) {
+            positionGroup.style.display = variant === 'chess960' ? 'block' : 'none';
+        }
+        if (startPositionGroup) {
+            startPositionGroup.style.display = customStart ? 'block' : 'none';
+        }
+        if (openEditorBtn) {
+            openEditorBtn.style.display = customStart ? '' : 'none';
+        }
+        showChess960Error(null);
+    }
+    
+    /**
+     * Read the variant chosen in the setup modal
+     * @returns {object|null} {variant, chess960Position}, or null if the position number is invalid
+     */
+    function getSelectedVariant() {
+        const select = document.getElementById('variant-select');
+        const variant = select ? select.value : 'standard';
+        
+        if (variant !== 'chess960') {
+            return { variant, chess960Position: null };
+        }
+        
+        const input = document.getElementById('chess960-position');
+        const value = input ? input.value.trim() : '';
+        if (value === '') {
+            return { variant, chess960Position: null };
+        }
+        
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0 || number > 959) {
+            showChess960Error('Chess960 positions are numbered from 0 to 959.');
+            return null;
+        }
+        return { variant, chess960Position: number };
+    }
+    
+    /**
+     * Show a Chess960 position number error in the setup modal
+     * @param {string|null} message - Error message, or null to clear
+     */
+    function showChess960Error(message) {
+        const errorElement = document.getElementById('chess960-error');
+        if (!errorElement) return;
+        
+        errorElement.textContent = message || '';
+        errorElement.classList.toggle('hidden', !message);
+    }
+    
+    /**
+     * Read the time control chosen in the setup modal
+     * @returns {object|null} {baseTime, increment, incrementType} in milliseconds, or null for untimed
+     */
+    function getSelectedTimeControl() {
+        const preset = document.getElementById('time-control-preset');
+        if (!preset || preset.value === 'none') {
+            return null;
+        }
+        
+        let baseSeconds;
+        let incrementSeconds;
+        
+        if (preset.value === 'custom') {
+            baseSeconds = parseFloat(document.getElementById('custom-base-minutes').value) * 60;
+            incrementSeconds = parseFloat(document.getElementById('custom-increment-seconds').value) || 0;
+        } else {
+            [baseSeconds, incrementSeconds] = preset.value.split('+').map(Number);
+        }
+        
+        if (!(baseSeconds > 0)) {
+            return null;
+        }
+        
+        return {
+            baseTime: baseSeconds * 1000,
+            increment: Math.max(0, incrementSeconds) * 1000,
+            incrementType: document.getElementById('increment-type').value
+        };
+    }
+    
+    /**
+     * Read the takeback setting chosen in the setup modal
+     * @returns {number|null} Takebacks allowed per game, or null when unlimited
+     */
+    function getSelectedTakebackLimit() {
+        const setting = document.getElementById('takeback-setting');
+        if (!setting || setting.value === 'unlimited') {
+            return null;
+        }
+        return parseInt(setting.value);
+    }
+    
+    /**
+     * Read and validate the start position entered in the setup modal
+     * @returns {string|null|false} Normalized FEN, null for the standard position, or false if invalid
+     */
+    function getSelectedStartFen() {
+        const input = document.getElementById('start-fen');
+        if (!input || input.value.trim() === '') {
+            showFenErrors([]);
+            return null;
+        }
+        
+        const validation = Position.validateFen(input.value);
+        showFenErrors(validation.errors);
+        return validation.valid ? validation.fen : false;
+    }
+    
+    /**
+     * Show FEN validation errors in the setup modal
+     * @param {array} errors - Error messages (empty to clear)
+     */
+    function showFenErrors(errors) {
+        const errorElement = document.getElementById('start-fen-error');
+        if (!errorElement) return;
+        
+        errorElement.innerHTML = errors.map(error => `<div>${error}</div>`).join('');
+        errorElement.classList.toggle('hidden', errors.length === 0);
+    }
+    
+    /**
+     * Export game to PGN
+     */
+    function exportGamePGN() {
+        try {
+            downloadText(GameController.exportPGN(), `chess-game-${Date.now()}.pgn`);
+            console.log('PGN exported successfully');
+        } catch (error) {
+            console.error('Error exporting PGN:', error);
+            alert('Failed to export PGN');
+        }
+    }
+    
+    /**
+     * Copy a link to the game, at the position shown, to the clipboard
+     * @returns {Promise<boolean>} True if the link was copied
+     */
+    async function copyShareLink() {
+        const url = ShareLink.createUrl(GameController.getSharedGame(), window.location.href);
+        const button = document.getElementById('copy-link-btn');
+        
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (error) {
+            // No clipboard access (e.g. a page opened from a file): let the user copy it by hand
+            console.warn('Could not copy the link:', error);
+            prompt('Copy this link to the game:', url);
+            return false;
+        }
+        
+        if (button) {
+            button.textContent = '✓ Link Copied';
+            setTimeout(() => {
+                button.textContent = '🔗 Copy Link';
+            }, 2000);
+        }
+        return true;
+    }
+    
+    /**
+     * Open the diagram export panel, listing the positions of the game
+     */
+    function openDiagramExport() {
+        const modal = document.getElementById('diagram-modal');
+        const positionList = document.getElementById('diagram-positions');
+        if (!modal || !positionList) return;
+        
+        diagramPositions = GameController.getMainlineDiagramPositions();
+        positionList.innerHTML = '';
+        diagramPositions.forEach((position, index) => {
+            const label = document.createElement('label');
+            label.className = 'setting-toggle';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = String(index);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(position.move
+                ? `${position.moveNumber}${position.move.color === 'w' ? '.' : '...'} ${position.move.san}`
+                : 'Start position'));
+            positionList.appendChild(label);
+        });
+        updateDiagramSelection();
+        
+        modal.classList.add('show');
+        updateDiagramPreview();
+        const exportBtn = document.getElementById('export-diagram-btn');
+        if (exportBtn) {
+            exportBtn.focus();
+        }
+    }
+    
+    /**
+     * Close the diagram export panel
+     */
+    function closeDiagramExport() {
+        const modal = document.getElementById('diagram-modal');
+        if (modal) {
+            modal.classList.remove('show');
+        }
+    }
+    
+    /**
+     * Read the options of the diagram export panel
+     * @returns {object} Diagram options (see Diagram.DEFAULT_OPTIONS)
+     */
+    function getDiagramOptions() {
+        const orientation = document.getElementById('diagram-orientation').value;
+        return {
+            flipped: orientation === 'board' ? ChessBoard.getFlipState() : orientation === 'b',
+            coordinates: document.getElementById('diagram-coordinates').checked,
+            lastMove: document.getElementById('diagram-last-move').checked,
+            annotations: document.getElementById('diagram-arrows').checked,
+            caption: document.getElementById('diagram-caption').checked
+        };
+    }
+    
+    /**
+     * Show the position on the board as the diagram will draw it
+     */
+    async function updateDiagramPreview() {
+        const preview = document.getElementById('diagram-preview');
+        if (!preview) return;
+        
+        const request = ++diagramPreviewRequest;
+        const svg = await Diagram.toSvg(GameController.getShownDiagramPosition(), getDiagramOptions());
+        if (request === diagramPreviewRequest) {
+            preview.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        }
+    }
+    
+    /**
+     * Tick or clear every position in the diagram export panel
+     * @param {boolean} selected - Whether to tick them
+     */
+    function selectDiagramPositions(selected) {
+        document.querySelectorAll('#diagram-positions input').forEach(checkbox => {
+            checkbox.checked = selected;
+        });
+        updateDiagramSelection();
+    }
+    
+    /**
+     * Get the positions ticked in the diagram export panel
+     * @returns {array} Positions, in game order
+     */
+    function getSelectedDiagramPositions() {
+        return Array.from(document.querySelectorAll('#diagram-positions input:checked'))
+            .map(checkbox => diagramPositions[Number(checkbox.value)]);
+    }
+    
+    /**
+     * Show how many positions are ticked on the export button, and disable it when none are
+     */
+    function updateDiagramSelection() {
+        const exportSelectedBtn = document.getElementById('export-selected-diagrams-btn');
+        if (!exportSelectedBtn) return;
+        
+        const count = getSelectedDiagramPositions().length;
+        exportSelectedBtn.disabled = count === 0;
+        exportSelectedBtn.textContent = count > 0
+            ? `⬇ Export ${count} Selected ${count === 1 ? 'Position' : 'Positions'}`
+            : '⬇ Export Selected Positions';
+    }
+    
+    /**
+     * Download diagrams of positions in the format picked, one file each
+     * @param {array} positions - Positions (see Diagram)
+     * @returns {Promise<boolean>} True if every diagram was exported
+     */
+    async function exportDiagrams(positions) {
+        const format = document.getElementById('diagram-format').value;
+        const options = getDiagramOptions();
+        
+        try {
+            for (const position of positions) {
+                const blob = format === 'png'
+                    ? await Diagram.toPng(position, options)
+                    : new Blob([await Diagram.toSvg(position, options)], { type: 'image/svg+xml' });
+                const name = position.move ? `${position.moveNumber}${position.move.color}` : 'start';
+                downloadBlob(blob, `chess-diagram-${name}.${format}`);
+            }
+        } catch (error) {
+            console.error('Error exporting the diagram:', error);
+            alert('Failed to export the diagram');
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Download text as a file
+     * @param {string} text - File contents
+     * @param {string} fileName - Suggested file name
+     */
+    function downloadText(text, fileName) {
+        downloadBlob(new Blob([text], { type: 'text/plain' }), fileName);
+    }
+    
+    /**
+     * Download a blob as a file
+     * @param {Blob} blob - File contents
+     * @param {string} fileName - Suggested file name
+     */
+    function downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * List the piece sets in the piece set menu and select the one in use
+     */
+    function updatePieceSetOptions() {
+        const pieceSetSelect = document.getElementById('piece-set-select');
+        if (!pieceSetSelect) return;
+        
+        // The custom set is named after the folder the user picked, so names are set as text
+        pieceSetSelect.innerHTML = '';
+        Themes.getPieceSets().forEach(set => {
+            const option = document.createElement('option');
+            option.value = set.id;
+            option.textContent = set.name;
+            pieceSetSelect.appendChild(option);
+        });
+        pieceSetSelect.value = Themes.getPieceSet();
+    }
+    
+    /**
+     * Use the piece images of a folder picked by the user
+     * @param {FileList} files - Files of the folder
+     */
+    async function loadCustomPieces(files) {
+        try {
+            const result = await Themes.loadCustomPieceSet(files);
+            if (!result.loaded) {
+                alert(`The folder has no image for: ${result.missing.join(', ')}`);
+                return;
+            }
+            
+            updatePieceSetOptions();
+            ChessBoard.refreshPieces();
+            GameController.updateMaterialDisplay();
+            if (!result.saved) {
+                alert('These pieces are too large to remember, so they are only used until the page is closed.');
+            }
+        } catch (error) {
+            console.error('Error loading piece set:', error);
+            alert('Failed to load the piece images');
         }
     }
     
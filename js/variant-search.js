@@ -0,0 +1,264 @@
+/**
+ * variant-search.js - Local Variant Search
+ * A small alpha-beta search that plays the variants Stockfish does not support
+ */
+
+const VariantSearch = (function() {
+    'use strict';
+    
+    // Piece values in centipawns
+    const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+    
+    // Score of a won position; wins found sooner score higher
+    const WIN_SCORE = 100000;
+    
+    // Search depth, time budget (ms) and random noise (centipawns) per difficulty
+    const DIFFICULTY_SETTINGS = {
+        beginner: { depth: 1, timeLimit: 500, noise: 120 },
+        intermediate: { depth: 2, timeLimit: 1500, noise: 30 },
+        advanced: { depth: 3, timeLimit: 3000, noise: 0 },
+        master: { depth: 4, timeLimit: 5000, noise: 0 }
+    };
+    
+    // Captures searched past the nominal depth, so exchanges are not cut off halfway
+    const MAX_CAPTURE_PLIES = 4;
+    
+    // Thrown to unwind the search when the time budget runs out
+    const TIME_UP = {};
+    
+    // Longest stretch (ms) the search runs before yielding to the page, so clocks and clicks keep working
+    const SLICE_TIME = 20;
+    
+    let activeSearch = null; // Token of the search in progress; cancel() clears it
+    
+    /**
+     * Find the best move in a variant position
+     * @param {string} variantId - Variant id (see Variants)
+     * @param {string} fen - Current position in FEN notation
+     * @param {object} state - Variant state of the position (e.g. checks given)
+     * @param {object} options - Optional {difficulty, timeLimit} (timeLimit in milliseconds)
+     * @returns {Promise<string>} UCI move notation
+     */
+    function getBestMove(variantId, fen, state, options = {}) {
+        const token = {};
+        const slice = { end: 0 };
+        const steps = search(variantId, fen, state, options, slice);
+        activeSearch = token;
+        
+        // Run the search in slices between timeouts; the first one waits so the "thinking" status can render
+        return new Promise((resolve, reject) => {
+            const runSlice = () => {
+                if (activeSearch !== token) {
+                    const error = new Error('Variant search cancelled');
+                    error.cancelled = true;
+                    reject(error);
+                    return;
+                }
+                
+                slice.end = Date.now() + SLICE_TIME;
+                try {
+                    const step = steps.next();
+                    if (!step.done) {
+                        setTimeout(runSlice, 0);
+                        return;
+                    }
+                    activeSearch = null;
+                    resolve(step.value);
+                } catch (error) {
+                    activeSearch = null;
+                    reject(error);
+                }
+            };
+            setTimeout(runSlice, 0);
+        });
+    }
+    
+    /**
+     * Cancel the search in progress, if any; its promise is rejected with an error marked cancelled
+     */
+    function cancel() {
+        activeSearch = null;
+    }
+    
+    /**
+     * Run an iterative deepening search, pausing (yield) whenever the slice runs out
+     * @param {string} variantId - Variant id
+     * @param {string} fen - Current position in FEN notation
+     * @param {object} state - Variant state of the position
+     * @param {object} options - {difficulty, timeLimit}
+     * @param {object} slice - {end}: time (ms since the epoch) at which to pause, set before each resume
+     * @returns {Generator} Finishes with the UCI move notation
+     */
+    function* search(variantId, fen, state, options, slice) {
+        const variant = Variants.get(variantId);
+        const settings = DIFFICULTY_SETTINGS[options.difficulty] || DIFFICULTY_SETTINGS.intermediate;
+        const game = variant.createGame(fen);
+        const rootMoves = orderMoves(game.moves({ verbose: true }));
+        
+        if (rootMoves.length === 0) {
+            throw new Error('No legal moves available');
+        }
+        
+        const deadline = Date.now() + (options.timeLimit || settings.timeLimit);
+        const context = { variant, deadline, slice };
+        let bestMove = rootMoves[0];
+        
+        for (let depth = 1; depth <= settings.depth; depth++) {
+            try {
+                const scored = [];
+                for (const move of rootMoves) {
+                    game.move(move);
+                    const score = -(yield* negamax(game, variant.applyMove(state, game, move), depth - 1, -Infinity, Infinity, 1, context));
+                    game.undo();
+                    scored.push({ move, score: score + Math.random() * settings.noise });
+                }
+                
+                scored.sort((a, b) => b.score - a.score);
+                bestMove = scored[0].move;
+                
+                // Search the best move first next time
+                rootMoves.splice(rootMoves.indexOf(bestMove), 1);
+                rootMoves.unshift(bestMove);
+                
+                if (scored[0].score >= WIN_SCORE - depth) {
+                    break;
+                }
+            } catch (error) {
+                if (error !== TIME_UP) {
+                    throw error;
+                }
+                break;
+            }
+        }
+        
+        return bestMove.from + bestMove.to + (bestMove.promotion || '');
+    }
+    
+    /**
+     * Negamax search with alpha-beta pruning; pauses when the time slice runs out
+     * @param {object} game - Game object in the searched position
+     * @param {object} state - Variant state of the position
+     * @param {number} depth - Remaining depth; captures are searched below zero
+     * @param {number} alpha - Lower bound
+     * @param {number} beta - Upper bound
+     * @param {number} ply - Distance from the root
+     * @param {object} context - {variant, deadline, slice}
+     * @returns {Generator} Finishes with the score from the side to move's point of view
+     */
+    function* negamax(game, state, depth, alpha, beta, ply, context) {
+        const now = Date.now();
+        if (now > context.deadline) {
+            throw TIME_UP;
+        }
+        if (now > context.slice.end) {
+            yield;
+        }
+        
+        // A variant win always goes to the side that just moved
+        if (context.variant.getResult(game, state)) {
+            return -(WIN_SCORE - ply);
+        }
+        
+        const moves = game.moves({ verbose: true });
+        if (moves.length === 0) {
+            return game.in_check() ? -(WIN_SCORE - ply) : 0;
+        }
+        
+        let candidates = moves;
+        if (depth <= 0) {
+            // Stand pat, then look at captures only
+            const standPat = evaluate(game, state, context.variant);
+            if (standPat >= beta || depth <= -MAX_CAPTURE_PLIES) {
+                return standPat;
+            }
+            alpha = Math.max(alpha, standPat);
+            candidates = moves.filter(move => move.captured);
+        }
+        
+        for (const move of orderMoves(candidates)) {
+            game.move(move);
+            const score = -(yield* negamax(game, context.variant.applyMove(state, game, move), depth - 1, -beta, -alpha, ply + 1, context));
+            game.undo();
+            
+            if (score >= beta) {
+                return score;
+            }
+            alpha = Math.max(alpha, score);
+        }
+        
+        return alpha;
+    }
+    
+    /**
+     * Put the most promising moves first: promotions, then captures of the most valuable pieces
+     * @param {array} moves - Verbose move objects
+     * @returns {array} Sorted copy
+     */
+    function orderMoves(moves) {
+        const priority = move => (move.promotion ? PIECE_VALUES[move.promotion] : 0) +
+            (move.captured ? 10 * PIECE_VALUES[move.captured] - PIECE_VALUES[move.piece] : 0);
+        
+        return [...moves].sort((a, b) => priority(b) - priority(a));
+    }
+    
+    /**
+     * Evaluate a position: material, a little piece placement, and the variant's own bonus
+     * @param {object} game - Game object
+     * @param {object} state - Variant state of the position
+     * @param {object} variant - Variant rules
+     * @returns {number} Score in centipawns from the side to move's point of view
+     */
+    function evaluate(game, state, variant) {
+        let score = 0;
+        
+        game.board().forEach((row, rowIndex) => {
+            row.forEach((piece, colIndex) => {
+                if (!piece) return;
+                
+                const sign = piece.color === 'w' ? 1 : -1;
+                score += sign * (PIECE_VALUES[piece.type] + getPlacementBonus(piece, rowIndex, colIndex));
+            });
+        });
+        
+        score += variant.evaluate(game, state, 'w') - variant.evaluate(game, state, 'b');
+        return game.turn() === 'w' ? score : -score;
+    }
+    
+    /**
+     * Small bonus for advanced pawns and centralized minor pieces
+     * @param {object} piece - {type, color}
+     * @param {number} rowIndex - Board row, 0 for the eighth rank
+     * @param {number} colIndex - Board column, 0 for the a-file
+     * @returns {number} Bonus in centipawns
+     */
+    function getPlacementBonus(piece, rowIndex, colIndex) {
+        if (piece.type === 'p') {
+            const advance = piece.color === 'w' ? 6 - rowIndex : rowIndex - 1;
+            return Math.max(advance, 0) * 8;
+        }
+        if (piece.type === 'n' || piece.type === 'b') {
+            const centerDistance = Math.max(Math.abs(3.5 - rowIndex), Math.abs(3.5 - colIndex));
+            return Math.round((3.5 - centerDistance) * 10);
+        }
+        return 0;
+    }
+    
+    /**
+     * Evaluate a position without searching
+     * @param {string} variantId - Variant id
+     * @param {string} fen - Position in FEN notation
+     * @param {object} state - Variant state of the position
+     * @returns {number} Score in centipawns from the side to move's point of view
+     */
+    function evaluatePosition(variantId, fen, state) {
+        const variant = Variants.get(variantId);
+        return evaluate(variant.createGame(fen), state, variant);
+    }
+    
+    // Public API
+    return {
+        getBestMove,
+        cancel,
+        evaluatePosition
+    };
+})();
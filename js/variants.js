@@ -0,0 +1,235 @@
+/**
+ * variants.js - Variant Rules
+ * Start positions, extra win conditions and status text for each variant the game supports
+ */
+
+const Variants = (function() {
+    'use strict';
+    
+    // Center squares a king must reach in King of the Hill
+    const HILL_SQUARES = ['d4', 'e4', 'd5', 'e5'];
+    
+    // Checks needed to win a Three-check game
+    const CHECKS_TO_WIN = 3;
+    
+    /**
+     * Rules every variant starts from: standard chess. A variant overrides what it changes:
+     *   name, pgnName        Display name, and the PGN Variant tag (null for standard chess)
+     *   engineCompatible     Whether Stockfish plays the variant; AI sides in other variants use VariantSearch
+     *   customStart          Whether games may start from a FEN or the board editor
+     *   getStartFen(options) Start position; options carries {chess960Position}
+     *   isStartFen(fen)      Whether a game may start from the position, given as the game writes it;
+     *                        variants without customStart only start from their own start positions
+     *   createGame(fen)      Game object with the chess.js API
+     *   createState()        Extra state the rules track through the game (e.g. checks given)
+     *   applyMove(state, game, move)  State after a move; game is already in the new position
+     *   getResult(game, state)        {winner, reason} when a variant rule ends the game, reason
+     *                                 completing "White wins ..."
+     *   isInsufficientMaterial(game)  Whether neither side can win any more
+     *   canWin(game, color)           Whether one side could still win by any legal sequence, which
+     *                                 decides whether the opponent's flag fall loses or draws
+     *   describeState(game, state)    Text for the status panel, or null
+     *   evaluate(game, state, color)  Bonus in centipawns for one side, used by VariantSearch
+     */
+    const STANDARD_RULES = {
+        name: 'Standard',
+        pgnName: null,
+        engineCompatible: true,
+        customStart: true,
+        getStartFen: () => Position.DEFAULT_FEN,
+        isStartFen: () => true,
+        createGame: fen => new Chess(fen),
+        createState: () => null,
+        applyMove: state => state,
+        getResult: () => null,
+        isInsufficientMaterial: game => game.insufficient_material(),
+        canWin: (game, color) => hasMatingMaterial(game, color),
+        describeState: () => null,
+        evaluate: () => 0
+    };
+    
+    const VARIANTS = {
+        standard: {},
+        
+        chess960: {
+            name: 'Chess960',
+            pgnName: 'Chess960',
+            customStart: false,
+            getStartFen: options => Chess960.getStartFen(options.chess960Position),
+            isStartFen: fen => [...Array(960).keys()].some(number => Chess960.getStartFen(number) === fen),
+            createGame: fen => Chess960.createGame(fen)
+        },
+        
+        kingOfTheHill: {
+            name: 'King of the Hill',
+            pgnName: 'King of the Hill',
+            engineCompatible: false,
+            getResult: game => {
+                const color = ['w', 'b'].find(side => HILL_SQUARES.includes(findKing(game, side)));
+                return color ? { winner: color, reason: 'by reaching the hill' } : null;
+            },
+            // A bare king can still walk to the center
+            isInsufficientMaterial: () => false,
+            canWin: () => true,
+            describeState: () => 'First king to d4, e4, d5 or e5 wins',
+            evaluate: (game, state, color) => {
+                const king = findKing(game, color);
+                if (!king) return 0;
+                
+                const distance = Math.min(...HILL_SQUARES.map(square => getDistance(king, square)));
+                return [0, 120, 50, 15][Math.min(distance, 3)];
+            }
+        },
+        
+        threeCheck: {
+            name: 'Three-check',
+            pgnName: 'Three-check',
+            engineCompatible: false,
+            createState: () => ({ checks: { w: 0, b: 0 } }),
+            applyMove: (state, game, move) => {
+                if (!game.in_check()) {
+                    return state;
+                }
+                const checks = { ...state.checks };
+                checks[move.color]++;
+                return { checks };
+            },
+            getResult: (game, state) => {
+                const color = ['w', 'b'].find(side => state.checks[side] >= CHECKS_TO_WIN);
+                return color ? { winner: color, reason: 'by giving three checks' } : null;
+            },
+            // Any piece, even a lone minor one, can still give checks
+            isInsufficientMaterial: game => countPieces(game) === 2,
+            canWin: (game, color) => getPieceTypes(game, color).length > 0,
+            describeState: (game, state) =>
+                `Checks given: White ${state.checks.w}/${CHECKS_TO_WIN}, Black ${state.checks.b}/${CHECKS_TO_WIN}`,
+            evaluate: (game, state, color) => [0, 150, 400][Math.min(state.checks[color], 2)]
+        },
+        
+        horde: {
+            name: 'Horde',
+            pgnName: 'Horde',
+            engineCompatible: false,
+            customStart: false,
+            getStartFen: () => Horde.START_FEN,
+            isStartFen: fen => fen === Horde.START_FEN,
+            createGame: fen => Horde.createGame(fen),
+            getResult: game => Horde.countHordePieces(game) === 0
+                ? { winner: Horde.HORDE_COLOR === 'w' ? 'b' : 'w', reason: 'by destroying the horde' }
+                : null,
+            isInsufficientMaterial: () => false,
+            // The horde has no king, so the other side wins by capturing everything, which even a bare king might
+            canWin: (game, color) => color !== Horde.HORDE_COLOR || hasMatingMaterial(game, color),
+            describeState: game => `Horde pieces left: ${Horde.countHordePieces(game)}`
+        }
+    };
+    
+    /**
+     * Get the rules of a variant
+     * @param {string} id - Variant id, e.g. 'kingOfTheHill'; unknown ids give standard chess
+     * @returns {object} Variant rules with their id
+     */
+    function get(id) {
+        const variantId = VARIANTS[id] ? id : 'standard';
+        return { ...STANDARD_RULES, ...VARIANTS[variantId], id: variantId };
+    }
+    
+    /**
+     * Find a variant by its PGN Variant tag
+     * @param {string} name - Tag value; missing, 'Standard' and 'From Position' mean standard chess
+     * @returns {object|null} Variant rules, or null for a variant the game does not support
+     */
+    function findByPgnName(name) {
+        const tag = (name || '').trim().toLowerCase();
+        if (!tag || tag === 'standard' || tag === 'from position') {
+            return get('standard');
+        }
+        
+        const id = Object.keys(VARIANTS).find(variantId =>
+            VARIANTS[variantId].pgnName && VARIANTS[variantId].pgnName.toLowerCase() === tag);
+        return id ? get(id) : null;
+    }
+    
+    /**
+     * Find the king of a color
+     * @param {object} game - Game object
+     * @param {string} color - 'w' or 'b'
+     * @returns {string|null} Square name
+     */
+    function findKing(game, color) {
+        const board = game.board();
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = board[row][col];
+                if (piece && piece.type === 'k' && piece.color === color) {
+                    return 'abcdefgh'[col] + (8 - row);
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Count the pieces on the board, kings included
+     * @param {object} game - Game object
+     * @returns {number}
+     */
+    function countPieces(game) {
+        return game.board().reduce((total, row) => total + row.filter(Boolean).length, 0);
+    }
+    
+    /**
+     * Get the types of one side's pieces, kings left out
+     * @param {object} game - Game object
+     * @param {string} color - 'w' or 'b'
+     * @returns {array} e.g. ['p', 'p', 'n']
+     */
+    function getPieceTypes(game, color) {
+        return game.board().flat()
+            .filter(piece => piece && piece.color === color && piece.type !== 'k')
+            .map(piece => piece.type);
+    }
+    
+    /**
+     * Check whether a side could still deliver checkmate by any legal sequence
+     * (the insufficient material rule applied to one side)
+     * @param {object} game - Game object
+     * @param {string} color - 'w' or 'b'
+     * @returns {boolean}
+     */
+    function hasMatingMaterial(game, color) {
+        const own = getPieceTypes(game, color);
+        const opponent = getPieceTypes(game, color === 'w' ? 'b' : 'w');
+        
+        if (own.length === 0) {
+            return false;
+        }
+        if (own.length > 1 || own.some(type => type === 'p' || type === 'r' || type === 'q')) {
+            return true;
+        }
+        
+        // A lone minor piece can only mate if the opponent has material to block their own king
+        return opponent.length > 0;
+    }
+    
+    /**
+     * Get the number of king moves between two squares
+     * @param {string} from - Square name
+     * @param {string} to - Square name
+     * @returns {number}
+     */
+    function getDistance(from, to) {
+        return Math.max(
+            Math.abs(from.charCodeAt(0) - to.charCodeAt(0)),
+            Math.abs(from.charCodeAt(1) - to.charCodeAt(1))
+        );
+    }
+    
+    // Public API
+    return {
+        HILL_SQUARES,
+        CHECKS_TO_WIN,
+        get,
+        findByPgnName
+    };
+})();